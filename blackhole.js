@@ -0,0 +1,298 @@
+/**
+ * Central Black Hole
+ *
+ * An optional supermassive black hole at the galactic center (the
+ * centralBlackHole config key, see BLACK_HOLE_MODES):
+ *
+ * - Event horizon: a black sphere of radius HORIZON_RADIUS_PER_MASS × mass
+ * - Accretion disk: sprites on circular orbits from the innermost stable
+ *   orbit (3 horizon radii) out to accretionDiskRadius, each turning at its
+ *   Keplerian angular speed, hotter and brighter towards the inside
+ * - Relativistic jet: sprites streaming out along both poles
+ * - Gravitational lensing: a screen-space post pass that bends the image
+ *   around the black holes of all galaxies like point-mass lenses
+ *   (gravitationalLensing)
+ *
+ * The sprites need no buffers: their positions are closed-form functions of
+ * the simulation time, so they follow pause, stepping and reversed time. The
+ * mass also speeds up the rotation curve and pulls on the particles in gravity
+ * mode (centralAngularSpeed and galacticAcceleration in nbody.js).
+ */
+
+import * as THREE from 'three/webgpu';
+import {
+  Fn,
+  instanceIndex,
+  float,
+  vec2,
+  vec3,
+  vec4,
+  uv,
+  sin,
+  cos,
+  sqrt,
+  fract,
+  mix,
+  length,
+  smoothstep,
+  select,
+  uniform
+} from 'three/tsl';
+
+import { hash } from './helpers.js';
+
+export const BLACK_HOLE_MODES = {
+  none: { label: 'None', disk: false, jet: false },
+  disk: { label: 'Accretion Disk', disk: true, jet: false },
+  jet: { label: 'Disk + Jet', disk: true, jet: true }
+};
+
+/**
+ * Looks up a black hole mode by key, falling back to none
+ */
+export function getBlackHoleMode(name) {
+  return BLACK_HOLE_MODES[name] || BLACK_HOLE_MODES.none;
+}
+
+// Event horizon (Schwarzschild) radius per unit of mass, in scene units
+export const HORIZON_RADIUS_PER_MASS = 0.4;
+
+// Radius of the dark shadow seen around the horizon (photons captured), in horizon radii
+export const SHADOW_RADIUS = 2.6;
+
+// Einstein ring radius at lensing strength 1, in shadow radii
+export const EINSTEIN_RADIUS = 1.5;
+
+// Black holes the lensing pass bends the image around (one per galaxy)
+export const MAX_LENSES = 4;
+
+// Innermost stable circular orbit, where the accretion disk starts, in horizon radii
+const DISK_INNER_RADIUS = 3.0;
+
+const DISK_PARTICLES = 20000;
+const JET_PARTICLES = 6000;
+
+const JET_SPEED = 3.0; // Scene units per second
+const JET_OPENING = 0.06; // Cone radius per unit of length
+const TWO_PI = 6.28318;
+
+/**
+ * Event horizon radius of a mass
+ */
+export function horizonRadius(mass) {
+  return mass * HORIZON_RADIUS_PER_MASS;
+}
+
+export class CentralBlackHole {
+  /**
+   * @param {object} uniforms - GalaxySimulation uniforms (blackHole, compute and galaxy groups)
+   */
+  constructor(uniforms) {
+    this.uniforms = uniforms;
+    this.group = new THREE.Group();
+
+    // Drawn first, so stars behind it fail the depth test and stars in front still show
+    this.horizon = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 32, 16),
+      new THREE.MeshBasicNodeMaterial({ color: 0x000000 })
+    );
+    this.horizon.renderOrder = -2;
+    this.group.add(this.horizon);
+
+    this.disk = this.createDisk();
+    this.jet = this.createJet();
+    this.group.add(this.disk, this.jet);
+
+    this.setMass(uniforms.blackHole.mass.value);
+  }
+
+  createDisk() {
+    const blackHole = this.uniforms.blackHole;
+    const inner = blackHole.mass.mul(HORIZON_RADIUS_PER_MASS * DISK_INNER_RADIUS);
+    const outer = blackHole.diskRadius.max(inner.mul(1.5));
+
+    const material = new THREE.SpriteNodeMaterial();
+    material.transparent = false;
+    material.depthWrite = false;
+    material.blending = THREE.AdditiveBlending;
+
+    const seed = instanceIndex.toFloat().add(40000).add(this.uniforms.galaxy.seed);
+
+    // More matter (and light) near the inner edge
+    const u = hash(seed);
+    const radius = mix(inner, outer, u.mul(u));
+
+    // Keplerian orbit, ω = sqrt(M / r³), in the rotation direction of the galaxy
+    const angularSpeed = sqrt(blackHole.mass.div(radius.mul(radius).mul(radius)));
+    const angle = hash(seed.add(1)).mul(TWO_PI).sub(angularSpeed.mul(this.uniforms.compute.time));
+    const height = hash(seed.add(2)).sub(0.5).mul(radius).mul(0.04);
+    material.positionNode = vec3(cos(angle).mul(radius), height, sin(angle).mul(radius));
+
+    // White-hot inside, the disk color outside, fading towards the outer edge
+    const t = radius.sub(inner).div(outer.sub(inner));
+    const color = mix(vec3(1.0, 0.95, 0.9), vec3(blackHole.diskColor), t.sqrt())
+      .mul(float(1.0).sub(t).pow(1.5))
+      .mul(blackHole.diskBrightness);
+    material.colorNode = vec4(color, float(1.0));
+    material.opacityNode = circleShape();
+    material.scaleNode = outer.mul(0.03);
+
+    return createSprite(material, DISK_PARTICLES);
+  }
+
+  createJet() {
+    const blackHole = this.uniforms.blackHole;
+
+    const material = new THREE.SpriteNodeMaterial();
+    material.transparent = false;
+    material.depthWrite = false;
+    material.blending = THREE.AdditiveBlending;
+
+    const seed = instanceIndex.toFloat().add(50000).add(this.uniforms.galaxy.seed);
+
+    // Each sprite streams outwards and starts over at the base (fract also runs backwards)
+    const side = select(hash(seed).lessThan(0.5), float(1.0), float(-1.0));
+    const t = fract(hash(seed.add(1)).add(this.uniforms.compute.time.mul(JET_SPEED).div(blackHole.jetLength)));
+    const spread = t.mul(blackHole.jetLength).mul(JET_OPENING).mul(hash(seed.add(2)).sqrt());
+    const angle = hash(seed.add(3)).mul(TWO_PI);
+    const base = blackHole.mass.mul(HORIZON_RADIUS_PER_MASS * DISK_INNER_RADIUS * 0.5);
+    material.positionNode = vec3(
+      cos(angle).mul(spread),
+      side.mul(base.add(t.mul(blackHole.jetLength))),
+      sin(angle).mul(spread)
+    );
+
+    const color = mix(vec3(0.7, 0.85, 1.0), vec3(0.35, 0.45, 1.0), t)
+      .mul(float(1.0).sub(t))
+      .mul(blackHole.diskBrightness);
+    material.colorNode = vec4(color, float(1.0));
+    material.opacityNode = circleShape();
+    material.scaleNode = blackHole.jetLength.mul(0.015);
+
+    return createSprite(material, JET_PARTICLES);
+  }
+
+  /**
+   * Shows the parts of a mode
+   *
+   * @param {string} name - Key in BLACK_HOLE_MODES
+   */
+  setMode(name) {
+    const mode = getBlackHoleMode(name);
+    this.group.visible = mode.disk;
+    this.jet.visible = mode.jet;
+  }
+
+  /**
+   * Sizes the event horizon for a mass (the sprites read the mass uniform)
+   */
+  setMass(mass) {
+    this.horizon.scale.setScalar(Math.max(horizonRadius(mass), 0.0001));
+  }
+
+  dispose() {
+    [this.horizon, this.disk, this.jet].forEach((object) => {
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+  }
+}
+
+/**
+ * Sprite drawing count instances, with its own copy of the shared sprite geometry
+ */
+function createSprite(material, count) {
+  const sprite = new THREE.Sprite(material);
+  sprite.geometry = sprite.geometry.clone();
+  sprite.count = count;
+  sprite.frustumCulled = false;
+  return sprite;
+}
+
+function circleShape() {
+  const dist = length(uv().sub(0.5).mul(2.0));
+  return smoothstep(1.0, 0.0, dist);
+}
+
+// ==============================================================================
+// GRAVITATIONAL LENSING
+// ==============================================================================
+
+/**
+ * Uniforms of the lensing pass, updated every frame by updateLens()
+ *
+ * - center: screen position of the black hole (uv, origin at the top left)
+ * - shadowRadius and einsteinRadius: in fractions of the viewport height
+ * - aspect: viewport width / height
+ *
+ * Zero radii leave the image untouched.
+ */
+export function createLensUniforms() {
+  return {
+    center: uniform(new THREE.Vector2(0.5, 0.5)),
+    shadowRadius: uniform(0),
+    einsteinRadius: uniform(0),
+    aspect: uniform(1)
+  };
+}
+
+/**
+ * Points the lens at a black hole as seen by a camera
+ *
+ * @param {object} lens - Uniforms from createLensUniforms()
+ * @param {THREE.PerspectiveCamera} camera - Camera with up-to-date matrices (view offsets included)
+ * @param {THREE.Vector3} position - World position of the black hole
+ * @param {number} mass - Black hole mass, 0 without one
+ * @param {number} strength - Lensing strength (1 = default Einstein radius)
+ */
+export function updateLens(lens, camera, position, mass, strength) {
+  const view = position.clone().applyMatrix4(camera.matrixWorldInverse);
+  if (mass <= 0 || view.z >= 0) {
+    lens.shadowRadius.value = 0;
+    lens.einsteinRadius.value = 0;
+    return;
+  }
+
+  const projection = camera.projectionMatrix.elements;
+  const ndc = position.clone().project(camera);
+  lens.center.value.set(ndc.x * 0.5 + 0.5, 0.5 - ndc.y * 0.5);
+  lens.aspect.value = projection[5] / projection[0];
+
+  // Apparent size: world radius / distance, in viewport heights
+  const scale = projection[5] * 0.5 / view.length();
+  lens.shadowRadius.value = horizonRadius(mass) * SHADOW_RADIUS * scale;
+  lens.einsteinRadius.value = lens.shadowRadius.value * EINSTEIN_RADIUS * strength;
+}
+
+/**
+ * Bends an image around point masses (thin lenses): the ray seen at offset θ
+ * from a lens comes from θ - θE² / |θ| along the same direction, where θE is
+ * its Einstein radius. The deflections of several lenses add up, as for masses
+ * in one lens plane. Light from inside a shadow radius never reaches the camera.
+ *
+ * @param {TextureNode} textureNode - Rendered scene
+ * @param {object[]} lenses - Uniform nodes { center, shadowRadius, einsteinRadius, aspect }
+ *   of every lens (see createLensUniforms), sharing the aspect
+ * @returns {Node<vec4>} - Lensed color
+ */
+export const gravitationalLensing = (textureNode, lenses) => Fn(() => {
+  const aspect = vec2(lenses[0].aspect, 1.0);
+  const deflection = vec2(0.0).toVar();
+  const visible = float(1.0).toVar();
+
+  lenses.forEach((lens) => {
+    const offset = uv().sub(lens.center).mul(aspect);
+    const distance = length(offset).max(0.00001);
+
+    const bend = lens.einsteinRadius.mul(lens.einsteinRadius).div(distance);
+    deflection.addAssign(offset.div(distance).mul(bend));
+    visible.mulAssign(select(
+      lens.shadowRadius.greaterThan(0.0),
+      smoothstep(lens.shadowRadius.mul(0.9), lens.shadowRadius, distance),
+      float(1.0)
+    ));
+  });
+
+  const color = textureNode.sample(uv().sub(deflection.div(aspect)));
+  return vec4(color.rgb.mul(visible), color.a);
+})();
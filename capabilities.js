@@ -0,0 +1,63 @@
+/**
+ * Renderer Capabilities
+ *
+ * WebGPURenderer falls back to a WebGL 2 backend when the browser has no
+ * WebGPU. That backend runs compute shaders as transform feedback passes in a
+ * vertex shader, which limits what the simulation can do:
+ * - a particle can only write its own buffer elements and there are no atomics,
+ *   so the particle-mesh self-gravity (and with it gravity mode) is unavailable
+ * - a pass writes at most four buffers, which is why init shaders are split
+ * - it is slower, so the star count is capped lower
+ *
+ * maxTextureSize is the guaranteed minimum; detectCapabilities() reads the
+ * actual limit from the device.
+ */
+
+export const BACKENDS = {
+  webgpu: {
+    name: 'WebGPU',
+    fallback: false,
+    maxStarCount: 1000000,
+    maxTextureSize: 8192,
+    gravity: true
+  },
+  webgl: {
+    name: 'WebGL 2',
+    fallback: true,
+    maxStarCount: 250000,
+    maxTextureSize: 2048,
+    gravity: false
+  }
+};
+
+/**
+ * Capabilities of the backend an initialized renderer ended up with
+ *
+ * @param {THREE.WebGPURenderer} renderer - Renderer after init()
+ * @returns {object} - Entry of BACKENDS, with the device's maxTextureSize
+ */
+export function detectCapabilities(renderer) {
+  const backend = renderer.backend;
+  if (backend.isWebGPUBackend) {
+    return { ...BACKENDS.webgpu, maxTextureSize: backend.device.limits.maxTextureDimension2D };
+  }
+
+  const gl = backend.gl;
+  return { ...BACKENDS.webgl, maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE) };
+}
+
+/**
+ * Adjusts config values to what a backend supports
+ *
+ * @param {object} config - Config values
+ * @param {object} capabilities - Entry of BACKENDS
+ * @returns {object} - Copy of config with the star count capped and, without
+ *   gravity support, kinematic physics
+ */
+export function fitToCapabilities(config, capabilities) {
+  return {
+    ...config,
+    starCount: Math.min(config.starCount, capabilities.maxStarCount),
+    physicsMode: capabilities.gravity ? config.physicsMode : 'kinematic'
+  };
+}
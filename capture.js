@@ -0,0 +1,169 @@
+/**
+ * Screenshot Capture
+ *
+ * Helpers for GalaxyViewer.capture(), which renders a single frame at any size
+ * by splitting it into tiles the GPU can render (camera view offsets), and
+ * writes the result as a PNG carrying the config that produced it.
+ *
+ * Bloom is a screen-space pass, so every tile is rendered at the same size with
+ * a margin that is cropped away; this keeps the glow continuous across tile
+ * borders. Its extent is relative to the rendered size, so in a tiled capture
+ * the glow is tighter than in a single render.
+ *
+ * Everything in the scene emits light additively on black, so a transparent
+ * background is derived from brightness rather than from the blended alpha:
+ * each pixel's alpha is its brightest channel, and compositing the PNG over
+ * black gives back the opaque render.
+ *
+ * The functions here are plain JavaScript and run in Node.
+ */
+
+import { crc32, concatBytes } from './recorder.js';
+
+// Share of a tile's size rendered around it for the bloom (cropped away)
+export const TILE_MARGIN = 0.125;
+
+// Largest capture side; 2D canvases stop working above roughly 16k × 16k
+export const MAX_CAPTURE_SIZE = 16384;
+
+/**
+ * Rounds a capture size to whole pixels, scaled down as a whole (keeping the
+ * aspect ratio) when its larger side exceeds maxSize
+ *
+ * @param {number} width - Requested width in pixels
+ * @param {number} height - Requested height in pixels
+ * @param {number} maxSize - Largest side (default: MAX_CAPTURE_SIZE; recordings
+ *   pass the GPU texture limit, since they render untiled)
+ * @returns {{ width: number, height: number }}
+ */
+export function fitCaptureSize(width, height, maxSize = MAX_CAPTURE_SIZE) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.min(Math.max(Math.round(width * scale), 1), maxSize),
+    height: Math.min(Math.max(Math.round(height * scale), 1), maxSize)
+  };
+}
+
+/**
+ * Splits an image into tiles of at most tileSize pixels, each with the region
+ * to render around it
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} tileSize - Largest render size per side (the GPU texture limit)
+ * @returns {Array<object>} - Tiles { x, y, width, height } with the rendered
+ *   region { x, y, width, height } (inside the image) as `render`
+ */
+export function getTiles(width, height, tileSize) {
+  // The margin comes out of the render size, so the rendered region stays within the limit
+  const single = width <= tileSize && height <= tileSize;
+  const margin = single ? 0 : Math.floor(tileSize * TILE_MARGIN);
+  const step = tileSize - 2 * margin;
+
+  const tiles = [];
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const tile = { x, y, width: Math.min(step, width - x), height: Math.min(step, height - y) };
+
+      // Same render size for every tile (shifted inwards at the image edges), so the bloom matches
+      const renderWidth = Math.min(tileSize, width);
+      const renderHeight = Math.min(tileSize, height);
+      tile.render = {
+        x: Math.min(Math.max(0, x - margin), width - renderWidth),
+        y: Math.min(Math.max(0, y - margin), height - renderHeight),
+        width: renderWidth,
+        height: renderHeight
+      };
+      tiles.push(tile);
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Turns an opaque render on black into a transparent image, in place: alpha
+ * becomes the brightest channel and the color is un-premultiplied by it
+ *
+ * @param {Uint8ClampedArray} pixels - RGBA pixels (ImageData.data)
+ */
+export function alphaFromBrightness(pixels) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = Math.max(pixels[i], pixels[i + 1], pixels[i + 2]);
+    if (alpha > 0) {
+      pixels[i] = (pixels[i] * 255) / alpha;
+      pixels[i + 1] = (pixels[i + 1] * 255) / alpha;
+      pixels[i + 2] = (pixels[i + 2] * 255) / alpha;
+    }
+    pixels[i + 3] = alpha;
+  }
+}
+
+/**
+ * Adds text metadata to a PNG as uncompressed UTF-8 (iTXt) chunks, right
+ * after the header chunk
+ *
+ * @param {Uint8Array} png - PNG file bytes
+ * @param {object} entries - Text by keyword (1-79 Latin-1 characters)
+ * @returns {Uint8Array} - PNG file bytes with the chunks
+ */
+export function addPngText(png, entries) {
+  const encoder = new TextEncoder();
+
+  const chunks = Object.entries(entries).map(([keyword, text]) => {
+    // keyword, null, compression flag and method (0: none), empty language and translated keyword
+    const data = concatBytes([
+      encoder.encode(keyword),
+      new Uint8Array([0, 0, 0, 0, 0]),
+      encoder.encode(text)
+    ]);
+    return pngChunk('iTXt', data);
+  });
+
+  // Signature (8 bytes) and IHDR (4 length + 4 type + 13 data + 4 CRC)
+  const headerEnd = 8 + 25;
+  return concatBytes([png.subarray(0, headerEnd), ...chunks, png.subarray(headerEnd)]);
+}
+
+/**
+ * Reads the text (tEXt and iTXt) chunks of a PNG
+ *
+ * @param {Uint8Array} png - PNG file bytes
+ * @returns {object} - Text by keyword
+ */
+export function readPngText(png) {
+  const decoder = new TextDecoder();
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const entries = {};
+
+  for (let offset = 8; offset + 12 <= png.length;) {
+    const length = view.getUint32(offset);
+    const type = decoder.decode(png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'tEXt' || type === 'iTXt') {
+      const end = data.indexOf(0);
+      const keyword = decoder.decode(data.subarray(0, end));
+      if (type === 'tEXt') {
+        entries[keyword] = decoder.decode(data.subarray(end + 1));
+      } else if (data[end + 1] === 0) {
+        // Skip the compression bytes, then the language tag and translated keyword
+        let start = end + 3;
+        start = data.indexOf(0, start) + 1;
+        start = data.indexOf(0, start) + 1;
+        entries[keyword] = decoder.decode(data.subarray(start));
+      }
+    }
+    offset += 12 + length;
+  }
+  return entries;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length))); // CRC over type and data
+  return chunk;
+}
@@ -0,0 +1,115 @@
+/**
+ * Simulation Clock
+ *
+ * Turns frame times into fixed-size simulation steps, so the simulation
+ * advances the same way at any frame rate. Frame time (scaled by the time
+ * scale) is accumulated and spent in whole steps of FIXED_TIME_STEP. At most
+ * MAX_STEPS_PER_FRAME run per frame, which keeps up with MAX_TIME_SCALE down
+ * to 15 fps; a backlog beyond that is carried over to later frames. Only
+ * what exceeds MAX_BACKLOG_STEPS is dropped, so a stall (or a tab coming back)
+ * cannot snowball into ever slower frames; droppedTime sums what was dropped.
+ *
+ * A negative time scale runs the steps with a negative delta, which rewinds
+ * the kinematic orbits (and the leapfrog integrator in gravity mode).
+ * While paused no time accumulates; stepOnce() queues single steps.
+ */
+
+export const FIXED_TIME_STEP = 1 / 60;
+export const MAX_STEPS_PER_FRAME = 16;
+
+// Steps carried over to later frames at most: one second of simulation at 1×
+export const MAX_BACKLOG_STEPS = 60;
+
+// Time scale range: MAX_TIME_SCALE still fits into MAX_STEPS_PER_FRAME at 15 fps
+export const MIN_TIME_SCALE = -4;
+export const MAX_TIME_SCALE = 4;
+
+export class SimulationClock {
+  /**
+   * @param {number} step - Simulated seconds per step
+   * @param {number} maxSteps - Most steps run in one frame
+   * @param {number} maxBacklog - Most steps carried over to later frames
+   */
+  constructor(step = FIXED_TIME_STEP, maxSteps = MAX_STEPS_PER_FRAME, maxBacklog = MAX_BACKLOG_STEPS) {
+    this.step = step;
+    this.maxSteps = maxSteps;
+    this.maxBacklog = maxBacklog;
+    this.timeScale = 1;
+    this.paused = false;
+
+    // Unspent scaled frame time, and single steps queued by stepOnce() (signed)
+    this.accumulator = 0;
+    this.pendingSteps = 0;
+
+    // Scaled frame time dropped because the backlog was full, in seconds
+    this.droppedTime = 0;
+
+    // Signed delta of the steps returned by the last advance()
+    this.deltaTime = step;
+  }
+
+  /**
+   * Accounts for one rendered frame
+   *
+   * @param {number} frameTime - Wall-clock seconds since the previous frame
+   * @returns {number} - Number of steps to run now, each of this.deltaTime seconds
+   */
+  advance(frameTime) {
+    // Queued single steps run even while paused
+    if (this.pendingSteps !== 0) {
+      const direction = Math.sign(this.pendingSteps);
+      const count = Math.min(Math.abs(this.pendingSteps), this.maxSteps);
+      this.pendingSteps -= direction * count;
+      this.deltaTime = direction * this.step;
+      return count;
+    }
+
+    if (this.paused || this.timeScale === 0) return 0;
+
+    this.accumulator += Math.max(frameTime, 0) * Math.abs(this.timeScale);
+    const count = Math.min(Math.floor(this.accumulator / this.step), this.maxSteps);
+    this.accumulator -= count * this.step;
+
+    // The rest waits for later frames, up to the backlog limit
+    const backlog = this.maxBacklog * this.step;
+    if (this.accumulator > backlog) {
+      this.droppedTime += this.accumulator - backlog;
+      this.accumulator = backlog;
+    }
+
+    this.deltaTime = Math.sign(this.timeScale) * this.step;
+    return count;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.accumulator = 0;
+  }
+
+  togglePause() {
+    if (this.paused) this.resume();
+    else this.pause();
+  }
+
+  /**
+   * Pauses and queues one step
+   *
+   * @param {number} direction - 1 to step forward, -1 to step back
+   */
+  stepOnce(direction = 1) {
+    this.pause();
+    this.pendingSteps += direction < 0 ? -1 : 1;
+  }
+
+  /**
+   * @param {number} timeScale - Simulated seconds per second, clamped to
+   *   [MIN_TIME_SCALE, MAX_TIME_SCALE]; negative values run backwards
+   */
+  setTimeScale(timeScale) {
+    this.timeScale = Math.min(Math.max(timeScale, MIN_TIME_SCALE), MAX_TIME_SCALE);
+  }
+}
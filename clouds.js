@@ -0,0 +1,187 @@
+/**
+ * Cloud Populations
+ *
+ * Registry of the cloud particle populations drawn on top of the stars. Every
+ * population gets its own buffers, init/update shaders, material and UI folder
+ * (see GalaxySimulation.createCloudPopulation), and describes only what is
+ * specific to it:
+ *
+ * - label: display name
+ * - countKey: config key holding the particle count
+ * - springStrength: spring pull back to the orbit (kinematic mode)
+ * - generate(index, uniforms, morphology, config): builds the init graph of one
+ *   particle and returns { position, color, size, rotation } nodes, and the
+ *   particle's seed
+ * - setupMaterial(material, uniforms, particle, config): blending, colour,
+ *   opacity and scale from the particle attributes { color, size, rotation, shape }
+ * - renderOrder(config): draw order relative to the stars (order 0); populations
+ *   drawn after the stars are depth-tested against them, so they only cover the
+ *   stars behind them
+ * - controls: UI settings by config key, in folder order, with their label
+ *   (ranges and options are in limits.js); `rebuild` settings are baked into
+ *   the particles and recreate the population, the others update uniforms, and
+ *   `shown(config)` limits a setting to some cloud types. The count is the
+ *   countKey entry
+ *
+ * Like the morphology generators, generate() and setupMaterial() are plain
+ * JavaScript functions building TSL node graphs.
+ */
+
+import * as THREE from 'three/webgpu';
+import { vec3, vec4, float, mix, sin } from 'three/tsl';
+
+import { hash, hashGaussian2 } from './helpers.js';
+
+/**
+ * Morphology profiles (see morphology.js)
+ */
+export const CLOUD_PROFILE = { radiusPower: 0.7, thicknessBase: 0.15 }; // More even to avoid center oversaturation
+// Dust lanes: a thin midplane band along the inner edge of each spiral arm
+export const DUST_PROFILE = { radiusPower: 0.6, thicknessBase: 0.1, thicknessScale: 0.3, armScatter: 0.35, laneOffset: 0.3 };
+// H II regions: the star-forming core of each spiral arm
+export const NEBULA_PROFILE = { radiusPower: 0.6, thicknessBase: 0.1, thicknessScale: 0.4, armScatter: 0.25 };
+
+// Relative extinction in R, G, B: dust absorbs blue light more than red (A_λ roughly ∝ 1/λ)
+const DUST_EXTINCTION_RATIO = new THREE.Vector3(0.55, 0.75, 1.0);
+
+// H II regions are groups of sprites around a shared center
+export const NEBULA_CLUSTER_SIZE = 8;
+export const NEBULA_CLUSTER_SPREAD = 0.25;
+const NEBULA_PULSE_SPEED = 0.4; // Radians per second
+
+function isDust(config) {
+  return config.cloudType === 'dust';
+}
+
+export const CLOUD_POPULATIONS = {
+  clouds: {
+    label: 'Clouds',
+    countKey: 'cloudCount',
+    springStrength: 1.0, // Weaker than the stars for more fluid movement
+
+    generate(index, uniforms, morphology, config) {
+      const seed = index.toFloat().add(10000).add(uniforms.galaxy.seed); // Offset seed from stars
+
+      const profile = isDust(config) ? DUST_PROFILE : CLOUD_PROFILE;
+      const { position, normalizedRadius } = morphology.generate(seed, uniforms.galaxy, profile);
+
+      // Cloud color: tinted and darker towards edges
+      const tintColor = vec3(uniforms.visual.cloudTintColor);
+      const color = tintColor.mul(float(1.0).sub(normalizedRadius.mul(0.3)));
+
+      // Size variation: larger clouds in denser regions
+      const densityFactor = float(1.0).sub(normalizedRadius.mul(0.5));
+      const size = hash(seed.add(6)).mul(0.5).add(0.7).mul(densityFactor);
+
+      // Random rotation for visual variation
+      const rotation = hash(seed.add(7)).mul(6.28318); // 0 to 2π
+
+      return { position, color, size, rotation, seed };
+    },
+
+    setupMaterial(material, uniforms, particle, config) {
+      const visual = uniforms.visual;
+      material.scaleNode = particle.size.mul(visual.cloudSize);
+
+      if (isDust(config)) {
+        // Absorbed fraction per channel; the blend keeps destination * (1 - absorbed)
+        // and leaves the destination alpha untouched
+        const extinction = mix(vec3(1.0), vec3(DUST_EXTINCTION_RATIO), visual.dustReddening);
+        const absorbed = extinction.mul(particle.shape.mul(visual.dustExtinction)).min(1.0);
+
+        material.blending = THREE.CustomBlending;
+        material.blendEquation = THREE.AddEquation;
+        material.blendSrc = THREE.ZeroFactor;
+        material.blendDst = THREE.OneMinusSrcColorFactor;
+        material.blendSrcAlpha = THREE.ZeroFactor;
+        material.blendDstAlpha = THREE.OneFactor;
+        material.colorNode = vec4(absorbed, float(1.0));
+      } else {
+        const color = particle.color;
+        material.blending = THREE.AdditiveBlending; // Efficient for overlapping particles
+        material.colorNode = vec4(color.x, color.y, color.z, float(1.0));
+        material.opacityNode = particle.shape.mul(visual.cloudOpacity);
+      }
+    },
+
+    // Emissive clouds render before the stars, dust after them so it can absorb
+    // the light of the stars behind it (but not of those in front)
+    renderOrder: (config) => (isDust(config) ? 1 : -1),
+
+    controls: {
+      cloudType: { label: 'Type', rebuild: true },
+      cloudCount: { label: 'Count', rebuild: true },
+      cloudSize: { label: 'Size' },
+
+      // Emissive clouds: additive glow
+      cloudOpacity: { label: 'Opacity', shown: (config) => !isDust(config) },
+      cloudTintColor: { label: 'Tint Color', view: 'color', rebuild: true, shown: (config) => !isDust(config) },
+
+      // Dust lanes: absorption per cloud and how much more blue than red is absorbed
+      dustExtinction: { label: 'Extinction', shown: isDust },
+      dustReddening: { label: 'Reddening', shown: isDust }
+    }
+  },
+
+  nebulae: {
+    label: 'Nebulae',
+    countKey: 'nebulaCount',
+    springStrength: 2.0, // Regions hold together more than diffuse clouds
+
+    generate(index, uniforms, morphology) {
+      const galaxy = uniforms.galaxy;
+      const seed = index.toFloat().add(30000).add(galaxy.seed);
+
+      // The region center comes from the morphology, shared by its whole cluster
+      const cluster = index.div(NEBULA_CLUSTER_SIZE).toFloat();
+      const { position: center, normalizedRadius } = morphology.generate(cluster.add(20000).add(galaxy.seed), galaxy, NEBULA_PROFILE);
+
+      const offset = hashGaussian2(seed.add(1), seed.add(2)).mul(NEBULA_CLUSTER_SPREAD);
+      const height = hash(seed.add(3)).sub(0.5).mul(NEBULA_CLUSTER_SPREAD);
+      const position = center.add(vec3(offset.x, height, offset.y));
+
+      // Per-sprite intensity; the hue is applied live from the nebula color uniform
+      const intensity = hash(seed.add(4)).mul(0.5).add(0.5).mul(float(1.0).sub(normalizedRadius.mul(0.3)));
+      const color = vec3(intensity);
+
+      const size = hash(seed.add(6)).mul(0.6).add(0.4);
+
+      // The rotation doubles as the pulsation phase
+      const rotation = hash(seed.add(7)).mul(6.28318);
+
+      return { position, color, size, rotation, seed };
+    },
+
+    setupMaterial(material, uniforms, particle) {
+      const nebula = uniforms.nebula;
+      material.scaleNode = particle.size.mul(nebula.size);
+
+      // Slow pulsation: brightness swings between (1 - pulse) and 1
+      const wave = sin(uniforms.compute.time.mul(NEBULA_PULSE_SPEED).add(particle.rotation)).mul(0.5).add(0.5);
+      const pulse = float(1.0).sub(nebula.pulse).add(nebula.pulse.mul(wave));
+
+      const color = vec3(nebula.color).mul(particle.color).mul(nebula.brightness.mul(pulse));
+      material.blending = THREE.AdditiveBlending;
+      material.colorNode = vec4(color, float(1.0));
+      material.opacityNode = particle.shape;
+    },
+
+    // Glow behind the stars, like emissive clouds
+    renderOrder: () => -1,
+
+    controls: {
+      nebulaCount: { label: 'Count', rebuild: true },
+      nebulaSize: { label: 'Size' },
+      nebulaColor: { label: 'Color', view: 'color' },
+      nebulaBrightness: { label: 'Brightness' },
+      nebulaPulse: { label: 'Pulsation' }
+    }
+  }
+};
+
+/**
+ * Looks up a cloud population by key
+ */
+export function getCloudPopulation(name) {
+  return CLOUD_POPULATIONS[name];
+}
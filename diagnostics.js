@@ -0,0 +1,339 @@
+/**
+ * Diagnostics
+ *
+ * Where a frame's time goes, for the Diagnostics panel of the Performance
+ * folder. PassTimer times the passes of TIMED_PASSES:
+ *
+ * - With timestamp queries (WebGPU 'timestamp-query', or the WebGL 2 disjoint
+ *   timer extension), every compute dispatch and render pass is timed on the
+ *   GPU. The results arrive a few frames late, when resolveTimestampsAsync()
+ *   has read them back.
+ * - Otherwise the CPU time spent encoding and submitting each pass is measured
+ *   instead, which tracks the draw call and dispatch overhead but not the GPU work.
+ *
+ * Passes can nest (bloom runs inside the scene render); the time of an inner
+ * pass is taken out of the outer one. Each pass keeps a RollingStats history.
+ *
+ * Storage buffer sizes are estimated from the element count and type of each
+ * buffer, as WebGPU lays them out.
+ */
+
+// starCompute and cloudCompute with the perPass compute submission, compute with batched (see scenario.js)
+export const TIMED_PASSES = {
+  compute: { label: 'Batched Compute' },
+  starCompute: { label: 'Star Compute' },
+  cloudCompute: { label: 'Cloud Compute' },
+  render: { label: 'Scene Render' },
+  bloom: { label: 'Bloom' }
+};
+
+// Frames kept for the rolling statistics
+export const TIMING_HISTORY = 120;
+
+// Frames waiting for their timestamps at most
+const MAX_PENDING_FRAMES = 30;
+
+/**
+ * Fixed-length history of samples with their min / avg / max
+ */
+export class RollingStats {
+  constructor(length = TIMING_HISTORY) {
+    this.length = length;
+    this.values = [];
+  }
+
+  push(value) {
+    this.values.push(value);
+    if (this.values.length > this.length) this.values.shift();
+  }
+
+  get latest() {
+    return this.values.length > 0 ? this.values[this.values.length - 1] : 0;
+  }
+
+  get min() {
+    return this.values.length > 0 ? Math.min(...this.values) : 0;
+  }
+
+  get max() {
+    return this.values.length > 0 ? Math.max(...this.values) : 0;
+  }
+
+  get avg() {
+    if (this.values.length === 0) return 0;
+    return this.values.reduce((sum, value) => sum + value, 0) / this.values.length;
+  }
+
+  clear() {
+    this.values = [];
+  }
+}
+
+export class PassTimer {
+  /**
+   * @param {THREE.WebGPURenderer} renderer - Renderer created with trackTimestamp: true
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.enabled = false;
+    this.gpu = false; // Known once the renderer is initialized (see init)
+
+    this.stats = {};
+    Object.keys(TIMED_PASSES).forEach((pass) => this.stats[pass] = new RollingStats());
+
+    this.frame = null; // Timings of the frame between beginFrame() and endFrame()
+    this.stack = []; // Open render passes, innermost last
+    this.pending = []; // Frames waiting for their GPU timestamps
+    this.resolving = false;
+  }
+
+  /**
+   * Checks the backend for timestamp queries; call once the renderer is initialized
+   */
+  init() {
+    this.gpu = hasTimestampQueries(this.renderer.backend);
+    this.setEnabled(this.enabled);
+  }
+
+  /**
+   * Starts or stops timing
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+
+    // Queries are only written while timing, so nothing piles up unresolved
+    if (this.gpu) this.renderer.backend.trackTimestamp = enabled;
+    Object.values(this.stats).forEach((stats) => stats.clear());
+    this.pending = [];
+  }
+
+  beginFrame() {
+    if (!this.enabled) return;
+    this.frame = {
+      id: this.renderer.info.frame,
+      cpu: {},
+      computeUids: [], // { uid, pass }
+      renderCalls: [] // { pass, start, end }: render calls start + 1 .. end
+    };
+  }
+
+  /**
+   * Submits compute shaders (one compute pass) as part of a timed pass
+   *
+   * @param {string} pass - Key in TIMED_PASSES
+   * @param {ComputeNode|ComputeNode[]} nodes - Compute shader(s)
+   */
+  dispatch(pass, nodes) {
+    if (!this.frame) {
+      this.renderer.compute(nodes);
+      return;
+    }
+
+    const start = performance.now();
+    this.renderer.compute(nodes);
+    this.addCpuTime(pass, performance.now() - start);
+    if (this.gpu) this.frame.computeUids.push({ uid: this.renderer.backend.getTimestampUID(nodes), pass });
+  }
+
+  /**
+   * Runs a compute shader with computeAsync as part of a timed pass (the
+   * awaited perPass compute submission)
+   *
+   * @param {string} pass - Key in TIMED_PASSES
+   * @param {ComputeNode} node - Compute shader
+   */
+  async compute(pass, node) {
+    if (!this.frame) return this.renderer.computeAsync(node);
+
+    const start = performance.now();
+    await this.renderer.computeAsync(node);
+    this.addCpuTime(pass, performance.now() - start);
+    if (this.gpu) this.frame.computeUids.push({ uid: this.renderer.backend.getTimestampUID(node), pass });
+  }
+
+  /**
+   * Runs a synchronous render pass (e.g. postProcessing.render)
+   *
+   * @param {string} pass - Key in TIMED_PASSES
+   * @param {function(): void} callback - Renders the pass
+   */
+  render(pass, callback) {
+    if (!this.frame) {
+      callback();
+      return;
+    }
+
+    const info = this.renderer.info.render;
+    const entry = { pass, start: info.frameCalls, nested: 0 };
+    this.stack.push(entry);
+    const startTime = performance.now();
+    try {
+      callback();
+    } finally {
+      this.stack.pop();
+      const elapsed = performance.now() - startTime;
+      this.addCpuTime(pass, elapsed - entry.nested);
+      if (this.stack.length > 0) this.stack[this.stack.length - 1].nested += elapsed;
+
+      // Inner passes end first, so they claim their render calls before the outer pass
+      this.frame.renderCalls.push({ pass, start: entry.start, end: info.frameCalls });
+    }
+  }
+
+  addCpuTime(pass, duration) {
+    this.frame.cpu[pass] = (this.frame.cpu[pass] || 0) + duration;
+  }
+
+  /**
+   * Records the frame: CPU times right away, GPU times once read back
+   */
+  endFrame() {
+    const frame = this.frame;
+    this.frame = null;
+    if (!frame) return;
+
+    if (!this.gpu) {
+      Object.keys(TIMED_PASSES).forEach((pass) => this.stats[pass].push(frame.cpu[pass] || 0));
+      return;
+    }
+
+    this.pending.push(frame);
+    if (!this.resolving) this.resolve();
+  }
+
+  /**
+   * Reads back the queries of the pending frames, without awaiting it in the render loop
+   */
+  async resolve() {
+    this.resolving = true;
+    try {
+      await Promise.all([
+        this.renderer.resolveTimestampsAsync('compute'),
+        this.renderer.resolveTimestampsAsync('render')
+      ]);
+      if (this.enabled) this.collect();
+    } catch (err) {
+      console.warn('Timestamp query failed:', err);
+    } finally {
+      this.resolving = false;
+    }
+  }
+
+  /**
+   * Adds the pending frames whose timestamps have arrived to the statistics
+   */
+  collect() {
+    const pools = this.renderer.backend.timestampQueryPool;
+    const computeTimes = pools.compute ? pools.compute.timestamps : new Map();
+    const renderTimes = pools.render ? pools.render.timestamps : new Map();
+
+    // Render timings by frame: [{ call, duration }]
+    const renders = new Map();
+    renderTimes.forEach((duration, uid) => {
+      const { call, frame } = parseTimestampUID(uid);
+      if (!renders.has(frame)) renders.set(frame, []);
+      renders.get(frame).push({ call, duration });
+    });
+
+    this.pending = this.pending.filter((frame) => {
+      const computed = frame.computeUids.every(({ uid }) => computeTimes.has(uid));
+      const rendered = frame.renderCalls.length === 0 || renders.has(frame.id);
+      if (!computed || !rendered) return true;
+
+      const times = {};
+      frame.computeUids.forEach(({ uid, pass }) => {
+        times[pass] = (times[pass] || 0) + computeTimes.get(uid);
+      });
+      (renders.get(frame.id) || []).forEach(({ call, duration }) => {
+        const owner = frame.renderCalls.find(({ start, end }) => call > start && call <= end);
+        if (owner) times[owner.pass] = (times[owner.pass] || 0) + duration;
+      });
+      Object.keys(TIMED_PASSES).forEach((pass) => this.stats[pass].push(times[pass] || 0));
+      return false;
+    });
+
+    // Frames whose queries were never written (e.g. a full query pool) stop waiting
+    if (this.pending.length > MAX_PENDING_FRAMES) this.pending.splice(0, this.pending.length - MAX_PENDING_FRAMES);
+
+    // The pools keep every timestamp they resolved: drop the ones no frame waits for
+    const waiting = new Set(this.pending.map((frame) => frame.id));
+    [computeTimes, renderTimes].forEach((times) => {
+      times.forEach((duration, uid) => {
+        if (!waiting.has(parseTimestampUID(uid).frame)) times.delete(uid);
+      });
+    });
+  }
+
+  /**
+   * { source: 'gpu' | 'cpu', passes: { [pass]: { latest, min, avg, max } } } in milliseconds
+   */
+  getTimings() {
+    const passes = {};
+    Object.entries(this.stats).forEach(([pass, stats]) => {
+      passes[pass] = { latest: stats.latest, min: stats.min, avg: stats.avg, max: stats.max };
+    });
+    return { source: this.gpu ? 'gpu' : 'cpu', passes };
+  }
+
+  dispose() {
+    this.enabled = false;
+    this.frame = null;
+    this.pending = [];
+  }
+}
+
+/**
+ * Whether an initialized backend writes timestamp queries: the WebGPU backend
+ * turns trackTimestamp off without 'timestamp-query', the WebGL 2 one needs the
+ * disjoint timer extension
+ */
+function hasTimestampQueries(backend) {
+  return backend.trackTimestamp && (!backend.isWebGLBackend || !!backend.disjoint);
+}
+
+/**
+ * Render call (or compute call) number and frame of a timestamp query uid,
+ * 'r:<call>:<context id>:f<frame>' (see Backend.updateTimeStampUID in three)
+ */
+function parseTimestampUID(uid) {
+  const parts = uid.split(':');
+  return { call: parseInt(parts[1]), frame: parseInt(parts[parts.length - 1].slice(1)) };
+}
+
+// ==============================================================================
+// STORAGE
+// ==============================================================================
+
+/**
+ * Bytes of a storage buffer (an instancedArray node): element count times the
+ * element size, with vec3 elements padded to 16 bytes like WebGPU does
+ */
+export function storageBytes(buffer) {
+  const attribute = buffer.value;
+  const components = attribute.itemSize === 3 ? 4 : attribute.itemSize;
+  return attribute.count * components * attribute.array.BYTES_PER_ELEMENT;
+}
+
+/**
+ * Sizes of groups of storage buffers, plus their total
+ *
+ * @param {{ label: string, buffers: StorageBufferNode[] }[]} groups
+ * @returns {{ label: string, bytes: number }[]} - The groups and a last 'Total' entry
+ */
+export function storageReport(groups) {
+  const rows = groups.map(({ label, buffers }) => ({
+    label,
+    bytes: buffers.reduce((sum, buffer) => sum + storageBytes(buffer), 0)
+  }));
+  rows.push({ label: 'Total', bytes: rows.reduce((sum, row) => sum + row.bytes, 0) });
+  return rows;
+}
+
+/**
+ * e.g. "45.8 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,226 @@
+/**
+ * Camera Flythroughs
+ *
+ * A camera path is a list of keyframes { time, position, target, fov, easing }
+ * sorted by time (seconds from the start of the path). Between two keyframes
+ * the camera follows a Catmull-Rom spline through the keyframe positions (and
+ * targets), with the progress along the segment shaped by the easing of the
+ * keyframe it flies to. The field of view is interpolated linearly.
+ *
+ * A path also carries camera limits: the near/far planes and the OrbitControls
+ * distance clamps. Applied while the path plays (or while enabled), they let it
+ * fly inside the disk, which the viewer's defaults do not allow.
+ *
+ * Plain JavaScript on [x, y, z] arrays, so paths can be built and evaluated in Node.
+ */
+
+export const CAMERA_PATH_FORMAT = 'webgpu-galaxy-camera-path';
+export const CAMERA_PATH_VERSION = 1;
+
+// Seconds between a new keyframe and the previous one
+export const DEFAULT_KEYFRAME_GAP = 3;
+
+export const EASINGS = {
+  linear: { label: 'Linear', ease: (t) => t },
+  easeIn: { label: 'Ease In', ease: (t) => t * t * t },
+  easeOut: { label: 'Ease Out', ease: (t) => 1 - (1 - t) ** 3 },
+  easeInOut: { label: 'Ease In-Out', ease: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2) }
+};
+
+/**
+ * Looks up an easing by key, falling back to linear
+ */
+export function getEasing(name) {
+  return EASINGS[name] || EASINGS.linear;
+}
+
+/**
+ * Camera limits of a path that flies inside the disk
+ */
+export function defaultPathLimits() {
+  return {
+    enabled: false, // Also apply the limits while not playing, to frame keyframes
+    near: 0.01,
+    far: 1000,
+    minDistance: 0.1,
+    maxDistance: 500
+  };
+}
+
+// Allowed range of each numeric limit [min, max], as offered by the UI
+export const PATH_LIMIT_RANGES = {
+  near: [0.001, 10],
+  far: [10, 10000],
+  minDistance: [0, 50],
+  maxDistance: [10, 2000]
+};
+
+export class CameraPath {
+  constructor() {
+    this.keyframes = [];
+    this.loop = false;
+    this.limits = defaultPathLimits();
+  }
+
+  /**
+   * Seconds from the first to the last keyframe
+   */
+  get duration() {
+    return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+  }
+
+  /**
+   * Adds a keyframe, by default DEFAULT_KEYFRAME_GAP seconds after the last one
+   *
+   * @param {object} view - { position, target, fov } with [x, y, z] arrays
+   * @param {number} time - Seconds from the start of the path
+   * @returns {object} - The keyframe
+   */
+  addKeyframe(view, time) {
+    const keyframe = {
+      time: time !== undefined ? time : (this.keyframes.length > 0 ? this.duration + DEFAULT_KEYFRAME_GAP : 0),
+      position: [...view.position],
+      target: [...view.target],
+      fov: view.fov,
+      easing: 'easeInOut'
+    };
+    this.keyframes.push(keyframe);
+    this.sort();
+    return keyframe;
+  }
+
+  removeKeyframe(keyframe) {
+    this.keyframes = this.keyframes.filter((other) => other !== keyframe);
+  }
+
+  /**
+   * Restores time order after keyframe times were edited
+   */
+  sort() {
+    this.keyframes.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Camera view at a time along the path
+   *
+   * @param {number} time - Seconds from the start, clamped to the path (wrapped when looping)
+   * @returns {object|null} - { position, target, fov }, or null without keyframes
+   */
+  evaluate(time) {
+    const keyframes = this.keyframes;
+    if (keyframes.length === 0) return null;
+
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    if (this.loop && last.time > first.time) {
+      time = first.time + positiveModulo(time - first.time, last.time - first.time);
+    }
+
+    if (keyframes.length === 1 || time <= first.time) return viewOf(first);
+    if (time >= last.time) return viewOf(last);
+
+    // Segment from keyframe i to i + 1
+    let i = 0;
+    while (keyframes[i + 1].time < time) i++;
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    const span = to.time - from.time;
+    const t = getEasing(to.easing).ease(span > 0 ? (time - from.time) / span : 1);
+
+    // Neighbors for the spline tangents, repeated at the ends
+    const before = keyframes[Math.max(i - 1, 0)];
+    const after = keyframes[Math.min(i + 2, keyframes.length - 1)];
+
+    return {
+      position: catmullRom(before.position, from.position, to.position, after.position, t),
+      target: catmullRom(before.target, from.target, to.target, after.target, t),
+      fov: from.fov + (to.fov - from.fov) * t
+    };
+  }
+
+  /**
+   * JSON-serializable form of the path
+   */
+  toJSON() {
+    return {
+      format: CAMERA_PATH_FORMAT,
+      version: CAMERA_PATH_VERSION,
+      loop: this.loop,
+      limits: { ...this.limits },
+      keyframes: this.keyframes.map((keyframe) => ({ ...keyframe }))
+    };
+  }
+}
+
+/**
+ * Parses and validates a camera path. Limits are clamped to PATH_LIMIT_RANGES,
+ * like validateConfig() clamps config values; a near plane beyond the far
+ * plane or a min distance beyond the max distance is rejected.
+ *
+ * @param {string|object} input - Path JSON text or an already parsed object
+ * @returns {CameraPath}
+ */
+export function parseCameraPath(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (typeof data !== 'object' || data === null) {
+    throw new Error('Camera path must be a JSON object');
+  }
+  if (data.format !== CAMERA_PATH_FORMAT) {
+    throw new Error(`Not a camera path (format "${data.format}")`);
+  }
+  if (data.version > CAMERA_PATH_VERSION) {
+    throw new Error(`Camera path version ${data.version} is newer than supported version ${CAMERA_PATH_VERSION}`);
+  }
+  if (!Array.isArray(data.keyframes)) {
+    throw new Error('Camera path has no keyframes');
+  }
+
+  const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+  const path = new CameraPath();
+  data.keyframes.forEach((keyframe, index) => {
+    if (!Number.isFinite(keyframe.time) || !isVector(keyframe.position) || !isVector(keyframe.target)) {
+      throw new Error(`Keyframe ${index + 1} needs a time, a position and a target`);
+    }
+    const fov = Number.isFinite(keyframe.fov) ? Math.min(Math.max(keyframe.fov, 1), 179) : 60;
+    const added = path.addKeyframe({ position: keyframe.position, target: keyframe.target, fov }, Math.max(keyframe.time, 0));
+    added.easing = EASINGS[keyframe.easing] ? keyframe.easing : 'linear';
+  });
+
+  path.loop = !!data.loop;
+  const limits = data.limits || {};
+  if (typeof limits.enabled === 'boolean') path.limits.enabled = limits.enabled;
+  Object.entries(PATH_LIMIT_RANGES).forEach(([key, [min, max]]) => {
+    if (Number.isFinite(limits[key])) path.limits[key] = Math.min(Math.max(limits[key], min), max);
+  });
+  if (path.limits.near >= path.limits.far) {
+    throw new Error(`Camera path near plane (${path.limits.near}) must be closer than its far plane (${path.limits.far})`);
+  }
+  if (path.limits.minDistance > path.limits.maxDistance) {
+    throw new Error(`Camera path min distance (${path.limits.minDistance}) exceeds its max distance (${path.limits.maxDistance})`);
+  }
+
+  return path;
+}
+
+function viewOf(keyframe) {
+  return { position: [...keyframe.position], target: [...keyframe.target], fov: keyframe.fov };
+}
+
+function positiveModulo(value, modulus) {
+  return ((value % modulus) + modulus) % modulus;
+}
+
+/**
+ * Uniform Catmull-Rom spline between p1 and p2
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return p1.map((_, axis) => 0.5 * (
+    2 * p1[axis] +
+    (p2[axis] - p0[axis]) * t +
+    (2 * p0[axis] - 5 * p1[axis] + 4 * p2[axis] - p3[axis]) * t2 +
+    (3 * p1[axis] - p0[axis] - 3 * p2[axis] + p3[axis]) * t3
+  ));
+}
@@ -0,0 +1,178 @@
+/**
+ * Free-Flight Camera
+ *
+ * First-person controls for flying through the disk: WASD to move, Q/E down
+ * and up, Shift to boost, and right-drag (mouse or pen) to look around (the
+ * left button stays free for the interaction tool). A connected gamepad flies
+ * with the left stick, looks with the right stick and rises/sinks with the
+ * triggers.
+ *
+ * Movement has inertia: the velocity eases towards the input direction and
+ * coasts to a stop when released. The speed scales with the distance to
+ * `center` (the galactic center), so crossing intergalactic space is quick
+ * while moving between stars inside the disk stays controllable.
+ *
+ * Used like OrbitControls: set `enabled`, call update() every frame.
+ */
+
+import * as THREE from 'three/webgpu';
+import { FIXED_TIME_STEP, MAX_STEPS_PER_FRAME } from './clock.js';
+
+// Move direction in camera space by KeyboardEvent.code
+const MOVE_KEYS = {
+  KeyW: [0, 0, -1],
+  KeyS: [0, 0, 1],
+  KeyA: [-1, 0, 0],
+  KeyD: [1, 0, 0],
+  KeyE: [0, 1, 0],
+  KeyQ: [0, -1, 0]
+};
+
+// Stick deflection ignored around the rest position
+const GAMEPAD_DEAD_ZONE = 0.15;
+
+// Just short of straight up/down, where yaw would flip
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+// Longest frame the camera moves through, as long as the most the simulation clock
+// runs in one frame, so a stalled frame (or a tab coming back) doesn't fling the camera away
+const MAX_FRAME_TIME = FIXED_TIME_STEP * MAX_STEPS_PER_FRAME;
+
+export class FreeFlyControls {
+  /**
+   * @param {THREE.PerspectiveCamera} camera - Camera to fly
+   * @param {HTMLElement} domElement - Focusable element receiving the keys and the pointer look
+   */
+  constructor(camera, domElement) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.enabled = false;
+
+    // Speed: distance to the center times speedFactor per second, at least minSpeed
+    this.center = new THREE.Vector3();
+    this.speedFactor = 0.5;
+    this.minSpeed = 0.2;
+    this.boostFactor = 4;
+
+    // How quickly the velocity follows the input (1 / seconds)
+    this.responsiveness = 3;
+
+    this.lookSpeed = 0.003; // Radians per pixel of drag
+    this.gamepadLookSpeed = 2; // Radians per second at full deflection
+
+    this.velocity = new THREE.Vector3();
+    this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    this.keys = new Set();
+    this.looking = false;
+
+    this.direction = new THREE.Vector3();
+
+    // Keys only reach the element while it has focus, so each viewer on a page flies on its own;
+    // the look drag captures the pointer, so its release arrives here too
+    const stopLooking = () => this.looking = false;
+    this.listeners = {
+      keydown: (event) => {
+        if (!this.enabled) return;
+        if (MOVE_KEYS[event.code] || event.code.startsWith('Shift')) this.keys.add(event.code);
+      },
+      keyup: (event) => this.keys.delete(event.code),
+      blur: () => this.keys.clear(),
+      pointerdown: (event) => {
+        if (!this.enabled || event.pointerType === 'touch' || event.button !== 2) return;
+        this.looking = true;
+        domElement.setPointerCapture(event.pointerId);
+      },
+      pointermove: (event) => {
+        if (!this.looking) return;
+        this.look(-event.movementX * this.lookSpeed, -event.movementY * this.lookSpeed);
+      },
+      pointerup: stopLooking,
+      pointercancel: stopLooking,
+      contextmenu: (event) => {
+        if (this.enabled) event.preventDefault();
+      }
+    };
+
+    Object.entries(this.listeners).forEach(([type, listener]) => domElement.addEventListener(type, listener));
+  }
+
+  /**
+   * Takes over the camera from its current orientation, or releases it
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.velocity.set(0, 0, 0);
+    this.keys.clear();
+    this.looking = false;
+    if (enabled) this.syncOrientation();
+  }
+
+  /**
+   * Picks up a camera orientation set from outside (e.g. lookAt)
+   */
+  syncOrientation() {
+    this.euler.setFromQuaternion(this.camera.quaternion);
+  }
+
+  /**
+   * Turns the camera
+   * @param {number} yaw - Radians to the left
+   * @param {number} pitch - Radians up
+   */
+  look(yaw, pitch) {
+    this.euler.y += yaw;
+    this.euler.x = Math.min(Math.max(this.euler.x + pitch, -MAX_PITCH), MAX_PITCH);
+    this.euler.z = 0;
+    this.camera.quaternion.setFromEuler(this.euler);
+  }
+
+  /**
+   * Moves the camera by one frame
+   * @param {number} deltaTime - Seconds since the last update (capped at MAX_FRAME_TIME)
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+    deltaTime = Math.min(Math.max(deltaTime, 0), MAX_FRAME_TIME);
+
+    // Input direction in camera space: keys, then the gamepad
+    const direction = this.direction.set(0, 0, 0);
+    this.keys.forEach((code) => {
+      const move = MOVE_KEYS[code];
+      if (move) direction.add(new THREE.Vector3(...move));
+    });
+
+    const gamepad = getGamepad();
+    if (gamepad) {
+      const axis = (index) => applyDeadZone(gamepad.axes[index] || 0);
+      const trigger = (index) => (gamepad.buttons[index] ? gamepad.buttons[index].value : 0);
+      direction.x += axis(0);
+      direction.z += axis(1);
+      direction.y += trigger(7) - trigger(6);
+      this.look(-axis(2) * this.gamepadLookSpeed * deltaTime, -axis(3) * this.gamepadLookSpeed * deltaTime);
+    }
+    if (direction.lengthSq() > 1) direction.normalize();
+
+    // Target velocity in world space, scaled with the distance to the center
+    const boost = this.keys.has('ShiftLeft') || this.keys.has('ShiftRight') ? this.boostFactor : 1;
+    const speed = Math.max(this.camera.position.distanceTo(this.center) * this.speedFactor, this.minSpeed) * boost;
+    direction.applyQuaternion(this.camera.quaternion).multiplyScalar(speed);
+
+    // Inertia: ease towards the target velocity, frame-rate independent
+    this.velocity.lerp(direction, 1 - Math.exp(-this.responsiveness * deltaTime));
+    this.camera.position.addScaledVector(this.velocity, deltaTime);
+  }
+
+  dispose() {
+    Object.entries(this.listeners).forEach(([type, listener]) => this.domElement.removeEventListener(type, listener));
+  }
+}
+
+function getGamepad() {
+  if (!navigator.getGamepads) return null;
+  return Array.from(navigator.getGamepads()).find((gamepad) => gamepad && gamepad.connected) || null;
+}
+
+function applyDeadZone(value) {
+  if (Math.abs(value) < GAMEPAD_DEAD_ZONE) return 0;
+  return (value - Math.sign(value) * GAMEPAD_DEAD_ZONE) / (1 - GAMEPAD_DEAD_ZONE);
+}
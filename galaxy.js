@@ -4,114 +4,249 @@
  * This module contains the main GalaxySimulation class that manages:
  * - Uniform initialization and updates
  * - Star particle system creation and physics
- * - Cloud particle system to simulate dust
+ * - Cloud particle populations: emissive or dust clouds and H II region nebulae
+ * - Star colours from a density gradient or a stellar population model
+ * - Kinematic (analytic orbits + springs) or gravitational (N-body) physics
  * - WebGPU compute shader execution
  */
 
 import * as THREE from 'three/webgpu';
 import {
   uniform,
+  uniformArray,
   instancedArray,
   instanceIndex,
   vec3,
   vec4,
   float,
   Fn,
+  Loop,
+  If,
+  vec2,
   mix,
   length,
-  sin,
-  cos,
   uv,
   smoothstep,
+  select,
   texture
 } from 'three/tsl';
 
 import {
   hash,
-  applyDifferentialRotation,
-  applyMouseForce,
-  applySpringForce
+  orbitParameters,
+  orbitPosition,
+  applyToolForce,
+  isErased,
+  applySpringForce,
+  applyGalacticPotential,
+  applyPlummerAcceleration,
+  circularVelocity,
+  sampleInitialMass,
+  turnoffMass,
+  populationAge,
+  mainSequenceTemperature,
+  mainSequenceLuminosity,
+  blackbodyCoordinate
 } from './helpers.js';
 
+import { getGalaxyType, STAR_PROFILE } from './morphology.js';
+import { CLOUD_POPULATIONS, getCloudPopulation } from './clouds.js';
+import { GravityMesh } from './gravity.js';
+import { getCentralMass } from './nbody.js';
+import { CentralBlackHole } from './blackhole.js';
+import { getRotationCurve } from './orbits.js';
+import { seedOffset } from './random.js';
+import { createBlackbodyTable } from './stellar.js';
+import { TOOL_MODES, MAX_BLACK_HOLES, MAX_INTERACTION_POINTS } from './tools.js';
+
+// Maximum number of other galaxies whose pull is applied to this galaxy's particles
+export const MAX_PERTURBERS = 4;
+
+const BLACKBODY_TABLE_SIZE = 256;
+
+// Draw order of the star depth pass: after the stars (0), before the dust (1)
+const STAR_DEPTH_ORDER = 0.5;
+
 /**
- * Spiral Galaxy Position Generation
- *
- * Note: TSL Fn() functions can only return single TSL types (vec3, float, etc.),
- * not JavaScript objects. Since spiral position generation needs to return multiple
- * values (position, normalizedRadius, angle, etc.), we inline this logic in both
- * the star and cloud initialization shaders below.
+ * Blackbody colour lookup texture, indexed by blackbodyCoordinate(temperature)
+ */
+function createBlackbodyTexture() {
+  const texture = new THREE.DataTexture(createBlackbodyTable(BLACKBODY_TABLE_SIZE), BLACKBODY_TABLE_SIZE, 1);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Frees the GPU memory behind storage buffer nodes
+ * Buffers read by a sprite material are already freed when its geometry is
+ * disposed, so only buffers the renderer still holds are destroyed.
  *
- * The pattern is consistent between stars and clouds:
- * 1. Generate radius using hash with power function (controls distribution)
- * 2. Select spiral arm and calculate spiral angle
- * 3. Add randomness for natural appearance
- * 4. Convert to Cartesian coordinates
- * 5. Apply vertical thickness (thicker at center, thinner at edges)
+ * @param {THREE.WebGPURenderer} renderer - Renderer that uploaded the buffers
+ * @param {StorageBufferNode[]} buffers - Buffers to free
  */
+function releaseStorageBuffers(renderer, buffers) {
+  buffers.forEach((buffer) => {
+    if (renderer.backend.has(buffer.value)) renderer.backend.destroyAttribute(buffer.value);
+  });
+}
+
+/**
+ * Creates a sprite with its own copy of the shared sprite geometry, so
+ * disposing it releases the per-particle attributes of this sprite only
+ */
+function createParticleSprite(material) {
+  const sprite = new THREE.Sprite(material);
+  sprite.geometry = sprite.geometry.clone();
+  return sprite;
+}
 
 // ==============================================================================
 // GALAXY SIMULATION CLASS
 // ==============================================================================
 
 /**
- * GPU-accelerated galaxy simulation with stars and dust clouds
+ * GPU-accelerated galaxy simulation with stars and cloud populations
  * Uses WebGPU compute shaders for particle physics and rendering
  */
 export class GalaxySimulation {
   constructor(scene, config, cloudTexture = null) {
     this.scene = scene;
     this.config = config;
-    this.COUNT = config.starCount;
+    this.countLimits = {}; // Particle counts lowered by the adaptive quality (see setCountLimits)
+    this.COUNT = this.particleCount('starCount');
     this.cloudTexture = cloudTexture;
+    this.blackbodyTexture = createBlackbodyTexture();
 
-    // Storage buffers
+    // Galaxy transform: particles are simulated in this group's local frame,
+    // where the disk is centred at the origin in the XZ plane
+    this.root = new THREE.Group();
+    this.scene.add(this.root);
+
+    // Storage buffers: orbits and offsets in kinematic mode, positions and
+    // velocities in gravity mode (the others stay null)
     this.spawnPositionBuffer = null;
-    this.originalPositionBuffer = null;
     this.velocityBuffer = null;
+    this.orbitBuffer = null;
+    this.offsetBuffer = null;
     this.densityFactorBuffer = null;
+    this.temperatureBuffer = null;
+    this.luminosityBuffer = null;
+    this.visibilityBuffer = null;
+
+    // Buffers of replaced particle systems, freed on the next update
+    this.retiredBuffers = [];
+
+    // Gravity mode
+    this.gravityMesh = null;
+    this.gravityDeposit = null;
+    this.gravityKick = null;
+    this.staggered = false; // Velocities half a step behind the positions (see update)
 
     // Compute shaders
     this.computeInit = null;
     this.computeUpdate = null;
-    this.cloudInit = null;
-    this.cloudUpdate = null;
 
     // Scene objects
     this.galaxy = null;
-    this.cloudPlane = null;
+    this.starDepth = null; // Depth-only star pass for the dust (see createGalaxySystem)
+
+    // Cloud populations by name: { sprite, init, update, buffers, count, initialized }
+    this.cloudSystems = {};
 
     // Initialize uniforms organized by category
     this.initializeUniforms(config);
 
+    // Central black hole: horizon, accretion disk and jet (see blackhole.js)
+    this.centralBlackHole = new CentralBlackHole(this.uniforms);
+    this.centralBlackHole.setMode(config.centralBlackHole);
+    this.root.add(this.centralBlackHole.group);
+
     // State
     this.initialized = false;
-    this.cloudInitialized = false;
   }
 
   /**
    * Initialize all shader uniforms organized into logical groups
    */
   initializeUniforms(config) {
-    // Compute state uniforms (time, mouse interaction)
+    // Offset of the rotation angle, moved by rotation speed changes so the angle does not jump
+    this.rotationPhase = 0;
+
+    // Compute state uniforms (time, orbits)
     this.uniforms = {
       compute: {
         time: uniform(0),
         deltaTime: uniform(0.016),
-        mouse: uniform(new THREE.Vector3(0, 0, 0)),
-        mouseActive: uniform(0.0),
-        mouseForce: uniform(config.mouseForce),
-        mouseRadius: uniform(config.mouseRadius),
-        rotationSpeed: uniform(config.rotationSpeed)
+        rotationSpeed: uniform(config.rotationSpeed),
+        // Where the orbits are evaluated (see orbits.js): time × rotationSpeed + rotationPhase
+        rotationAngle: uniform(0),
+        rotationCurve: uniform(getRotationCurve(config.rotationCurve).id),
+        verticalFrequency: uniform(config.verticalFrequency !== undefined ? config.verticalFrequency : 2.0)
+      },
+
+      // Interaction uniforms, set every step by update() (see tools.js)
+      interaction: {
+        // Local position (xyz) of each pointer applying the tool, w = 1 while it does
+        points: uniformArray(Array.from({ length: MAX_INTERACTION_POINTS }, () => new THREE.Vector4()), 'vec4'),
+        mode: uniform(TOOL_MODES.repel),
+        strength: uniform(0.0),
+        radius: uniform(1.0),
+        falloff: uniform(1.0),
+        // Local position (xyz) and strength (w) of each black hole, zero strength when unused
+        blackHoles: uniformArray(Array.from({ length: MAX_BLACK_HOLES }, () => new THREE.Vector4()), 'vec4'),
+        blackHoleRadius: uniform(1.0),
+        blackHoleFalloff: uniform(1.0)
       },
 
       // Galaxy structure uniforms (shape, size, distribution)
       galaxy: {
+        seed: uniform(seedOffset(config.seed || 0)),
         radius: uniform(config.galaxyRadius),
         thickness: uniform(config.galaxyThickness || 0.1),
         spiralTightness: uniform(config.spiralTightness),
         armCount: uniform(config.armCount),
         armWidth: uniform(config.armWidth),
-        randomness: uniform(config.randomness)
+        randomness: uniform(config.randomness),
+        barLength: uniform(config.barLength !== undefined ? config.barLength : 0.35),
+        barWidth: uniform(config.barWidth !== undefined ? config.barWidth : 1.0),
+        barFraction: uniform(config.barFraction !== undefined ? config.barFraction : 0.3),
+        sersicIndex: uniform(config.sersicIndex !== undefined ? config.sersicIndex : 4.0),
+        effectiveRadius: uniform(config.effectiveRadius !== undefined ? config.effectiveRadius : 0.25),
+        ellipticity: uniform(config.ellipticity !== undefined ? config.ellipticity : 0.3),
+        ringRadius: uniform(config.ringRadius !== undefined ? config.ringRadius : 0.7),
+        ringWidth: uniform(config.ringWidth !== undefined ? config.ringWidth : 1.5),
+        coreFraction: uniform(config.coreFraction !== undefined ? config.coreFraction : 0.2),
+        clumpCount: uniform(config.clumpCount !== undefined ? config.clumpCount : 6),
+        clumpSpread: uniform(config.clumpSpread !== undefined ? config.clumpSpread : 2.5)
+      },
+
+      // Gravity uniforms (potential and self-gravity), used in gravity mode
+      gravity: {
+        bulgeMass: uniform(config.bulgeMass !== undefined ? config.bulgeMass : 5.0),
+        bulgeRadius: uniform(config.bulgeRadius !== undefined ? config.bulgeRadius : 1.0),
+        haloVelocity: uniform(config.haloVelocity !== undefined ? config.haloVelocity : 0.8),
+        haloCoreRadius: uniform(config.haloCoreRadius !== undefined ? config.haloCoreRadius : 5.0),
+        diskMass: uniform(config.diskMass !== undefined ? config.diskMass : 5.0),
+        softening: uniform(config.gravitySoftening !== undefined ? config.gravitySoftening : 1.0),
+        particleMass: uniform((config.diskMass !== undefined ? config.diskMass : 5.0) / config.starCount),
+
+        // Other galaxies as Plummer spheres (local-frame xyz + mass in w) and the
+        // acceleration of this galaxy's own center, which the local frame removes
+        perturbers: uniformArray(Array.from({ length: MAX_PERTURBERS }, () => new THREE.Vector4()), 'vec4'),
+        perturberRadii: uniformArray(new Array(MAX_PERTURBERS).fill(1.0), 'float'),
+        frameAcceleration: uniform(new THREE.Vector3())
+      },
+
+      // Central black hole uniforms; its mass also speeds up the rotation curve
+      blackHole: {
+        mass: uniform(getCentralMass(config)),
+        diskRadius: uniform(config.accretionDiskRadius !== undefined ? config.accretionDiskRadius : 2.5),
+        diskBrightness: uniform(config.accretionDiskBrightness !== undefined ? config.accretionDiskBrightness : 1.0),
+        diskColor: uniform(new THREE.Color(config.accretionDiskColor || '#ffb066')),
+        jetLength: uniform(config.jetLength !== undefined ? config.jetLength : 4.0)
       },
 
       // Visual appearance uniforms (colors, sizes, opacity)
@@ -122,125 +257,115 @@ export class GalaxySimulation {
         starBrightness: uniform(config.starBrightness !== undefined ? config.starBrightness : 1.0),
         denseStarColor: uniform(new THREE.Color(config.denseStarColor || '#99ccff')),
         sparseStarColor: uniform(new THREE.Color(config.sparseStarColor || '#ffb380')),
-        cloudTintColor: uniform(new THREE.Color(config.cloudTintColor || '#6ba8cc'))
+        cloudTintColor: uniform(new THREE.Color(config.cloudTintColor || '#6ba8cc')),
+        dustExtinction: uniform(config.dustExtinction !== undefined ? config.dustExtinction : 0.3),
+        dustReddening: uniform(config.dustReddening !== undefined ? config.dustReddening : 0.7)
+      },
+
+      // Emission nebula uniforms (H II regions)
+      nebula: {
+        size: uniform(config.nebulaSize !== undefined ? config.nebulaSize : 0.8),
+        color: uniform(new THREE.Color(config.nebulaColor || '#ff5c8a')),
+        brightness: uniform(config.nebulaBrightness !== undefined ? config.nebulaBrightness : 0.3),
+        pulse: uniform(config.nebulaPulse !== undefined ? config.nebulaPulse : 0.3)
+      },
+
+      // Stellar population uniforms (colour mode and region ages in Gyr)
+      stellar: {
+        mode: uniform(config.starColorMode === 'stellar' ? 1.0 : 0.0),
+        armAge: uniform(config.armAge !== undefined ? config.armAge : 0.05),
+        bulgeAge: uniform(config.bulgeAge !== undefined ? config.bulgeAge : 10.0)
       }
     };
   }
 
   /**
-   * Creates the star particle system with spiral galaxy structure
+   * Creates the star particle system using the configured galaxy morphology
    */
   createGalaxySystem() {
     // Clean up old galaxy
-    if (this.galaxy) {
-      this.scene.remove(this.galaxy);
-      if (this.galaxy.material) {
-        this.galaxy.material.dispose();
-      }
-    }
+    this.retireStars();
 
     // Create storage buffers for star particles
-    this.spawnPositionBuffer = instancedArray(this.COUNT, 'vec3');
-    this.originalPositionBuffer = instancedArray(this.COUNT, 'vec3');
-    this.velocityBuffer = instancedArray(this.COUNT, 'vec3');
+    const gravityMode = this.isGravityMode();
+    this.spawnPositionBuffer = gravityMode ? instancedArray(this.COUNT, 'vec3') : null;
+    this.velocityBuffer = gravityMode ? instancedArray(this.COUNT, 'vec3') : null;
+    this.orbitBuffer = gravityMode ? null : instancedArray(this.COUNT, 'vec4');
+    this.offsetBuffer = gravityMode ? null : instancedArray(this.COUNT, 'vec3');
     this.densityFactorBuffer = instancedArray(this.COUNT, 'float');
+    this.temperatureBuffer = instancedArray(this.COUNT, 'float');
+    this.luminosityBuffer = instancedArray(this.COUNT, 'float');
+    this.visibilityBuffer = instancedArray(this.COUNT, 'float');
 
-    // Initialize stars with spiral arm distribution
-    this.computeInit = Fn(() => {
-      const idx = instanceIndex;
-      const seed = idx.toFloat();
-
-      // Distance from center (square root for even distribution)
-      const radius = hash(seed.add(1)).pow(0.5).mul(this.uniforms.galaxy.radius);
-      const normalizedRadius = radius.div(this.uniforms.galaxy.radius);
-
-      // Choose which spiral arm this particle belongs to
-      const armIndex = hash(seed.add(2)).mul(this.uniforms.galaxy.armCount).floor();
-      const armAngle = armIndex.mul(6.28318).div(this.uniforms.galaxy.armCount);
-
-      // Spiral angle based on distance (logarithmic spiral)
-      const spiralAngle = normalizedRadius.mul(this.uniforms.galaxy.spiralTightness).mul(6.28318);
-
-      // Add randomness to create natural appearance
-      const angleOffset = hash(seed.add(3)).sub(0.5).mul(this.uniforms.galaxy.randomness);
-      const radiusOffset = hash(seed.add(4)).sub(0.5).mul(this.uniforms.galaxy.armWidth);
+    // Initialize stars with the selected morphology
+    const morphology = getGalaxyType(this.config.galaxyType);
 
-      // Final angle and radius
-      const angle = armAngle.add(spiralAngle).add(angleOffset);
-      const offsetRadius = radius.add(radiusOffset);
-
-      // Convert to Cartesian coordinates
-      const x = cos(angle).mul(offsetRadius);
-      const z = sin(angle).mul(offsetRadius);
+    // Init runs as two passes: the WebGL 2 fallback computes with transform
+    // feedback, which writes at most four buffers per pass (see capabilities.js)
+    const placement = Fn(() => {
+      const idx = instanceIndex;
+      const seed = idx.toFloat().add(this.uniforms.galaxy.seed);
+
+      const { position, densityFactor } = morphology.generate(seed, this.uniforms.galaxy, STAR_PROFILE);
+
+      if (gravityMode) {
+        // Initial position and circular orbital velocity in the galactic potential
+        this.spawnPositionBuffer.element(idx).assign(position);
+        this.velocityBuffer.element(idx).assign(this.orbitalVelocity(position));
+      } else {
+        // Orbit through the initial position, not displaced yet
+        this.orbitBuffer.element(idx).assign(orbitParameters(position, this.swingSign(seed)));
+        this.offsetBuffer.element(idx).assign(vec3(0.0));
+      }
 
-      // Vertical position: thicker at center, thinner at edges
-      const thicknessFactor = float(1.0).sub(normalizedRadius).add(0.2); // 1.2 at center, 0.2 at edge
-      const y = hash(seed.add(5)).sub(0.5).mul(this.uniforms.galaxy.thickness).mul(thicknessFactor);
+      // Density factor for coloring (0 = dense/center, 1 = sparse/edge)
+      this.densityFactorBuffer.element(idx).assign(densityFactor);
+    })().compute(this.COUNT);
 
-      const position = vec3(x, y, z);
+    const stellarPopulation = Fn(() => {
+      const idx = instanceIndex;
+      const seed = idx.toFloat().add(this.uniforms.galaxy.seed);
 
-      // Store initial positions
-      this.spawnPositionBuffer.element(idx).assign(position);
-      this.originalPositionBuffer.element(idx).assign(position);
+      // Same seed, so the same sample as the placement pass
+      const { normalizedRadius, densityFactor } = morphology.generate(seed, this.uniforms.galaxy, STAR_PROFILE);
 
-      // Calculate orbital velocity (faster closer to center)
-      const orbitalSpeed = float(1.0).div(offsetRadius.add(0.5)).mul(5.0);
-      const vx = sin(angle).mul(orbitalSpeed).negate();
-      const vz = cos(angle).mul(orbitalSpeed);
-      this.velocityBuffer.element(idx).assign(vec3(vx, 0, vz));
+      // Stellar population: dense regions outside the bulge (the arms) are young
+      // and keep their massive stars, the bulge is old and only has low-mass ones
+      const stellar = this.uniforms.stellar;
+      const youth = float(1.0).sub(densityFactor).mul(smoothstep(0.1, 0.35, normalizedRadius));
+      const age = populationAge(youth, stellar.armAge, stellar.bulgeAge);
+      const mass = sampleInitialMass(hash(seed.add(12)), turnoffMass(age));
 
-      // Calculate density factor for coloring (0 = dense/center, 1 = sparse/edge)
-      const radialSparsity = radiusOffset.abs().div(this.uniforms.galaxy.armWidth.mul(0.5).add(0.01));
-      const angularSparsity = angleOffset.abs().div(this.uniforms.galaxy.randomness.mul(0.5).add(0.01));
-      const sparsityFactor = radialSparsity.add(angularSparsity).mul(0.5).min(1.0);
+      this.temperatureBuffer.element(idx).assign(mainSequenceTemperature(mass));
+      this.luminosityBuffer.element(idx).assign(mainSequenceLuminosity(mass));
 
-      this.densityFactorBuffer.element(idx).assign(sparsityFactor);
+      // Visible until erased
+      this.visibilityBuffer.element(idx).assign(1.0);
     })().compute(this.COUNT);
 
-    // Update shader: applies rotation, mouse interaction, and spring forces
-    this.computeUpdate = Fn(() => {
-      const idx = instanceIndex;
-      const position = this.spawnPositionBuffer.element(idx).toVar();
-      const originalPos = this.originalPositionBuffer.element(idx);
-
-      // Apply differential rotation
-      const rotatedPos = applyDifferentialRotation(
-        position,
-        this.uniforms.compute.rotationSpeed,
-        this.uniforms.compute.deltaTime
-      );
-      position.assign(rotatedPos);
-
-      // Rotate original position to maintain spring force target
-      const rotatedOriginal = applyDifferentialRotation(
-        originalPos,
-        this.uniforms.compute.rotationSpeed,
-        this.uniforms.compute.deltaTime
+    this.computeInit = [placement, stellarPopulation];
+
+    // Update shader: leapfrog integration in gravity mode, otherwise orbits + springs
+    if (gravityMode) {
+      this.gravityMesh = new GravityMesh(this.uniforms.gravity, this.uniforms.galaxy.radius);
+      this.gravityDeposit = this.gravityMesh.createDeposit(this.spawnPositionBuffer, this.COUNT, this.visibilityBuffer);
+      this.gravityKick = uniform(1.0);
+      this.computeUpdate = this.createGravityUpdate(
+        this.spawnPositionBuffer,
+        this.velocityBuffer,
+        this.visibilityBuffer,
+        this.COUNT,
+        this.gravityKick
       );
-      this.originalPositionBuffer.element(idx).assign(rotatedOriginal);
-
-      // Apply mouse repulsion force
-      const mouseForce = applyMouseForce(
-        position,
-        this.uniforms.compute.mouse,
-        this.uniforms.compute.mouseActive,
-        this.uniforms.compute.mouseForce,
-        this.uniforms.compute.mouseRadius,
-        this.uniforms.compute.deltaTime
-      );
-      position.addAssign(mouseForce);
-
-      // Apply spring force to restore to original position
-      const springForce = applySpringForce(
-        position,
-        rotatedOriginal,
-        float(2.0), // Spring strength
-        this.uniforms.compute.deltaTime
+    } else {
+      this.computeUpdate = this.createKinematicUpdate(
+        this.orbitBuffer,
+        this.offsetBuffer,
+        this.visibilityBuffer,
+        2.0, // Spring strength
+        this.COUNT
       );
-      position.addAssign(springForce);
-
-      this.spawnPositionBuffer.element(idx).assign(position);
-    })().compute(this.COUNT);
+    }
 
     // Create star visualization material
     const spriteMaterial = new THREE.SpriteNodeMaterial();
@@ -248,8 +373,13 @@ export class GalaxySimulation {
     spriteMaterial.depthWrite = false;
     spriteMaterial.blending = THREE.AdditiveBlending;
 
-    const starPos = this.spawnPositionBuffer.toAttribute();
+    const starPos = gravityMode
+      ? this.spawnPositionBuffer.toAttribute()
+      : this.kinematicPosition(this.orbitBuffer.toAttribute(), this.offsetBuffer.toAttribute());
     const densityFactor = this.densityFactorBuffer.toAttribute();
+    const temperature = this.temperatureBuffer.toAttribute();
+    const luminosity = this.luminosityBuffer.toAttribute();
+    const visibility = this.visibilityBuffer.toAttribute();
 
     // Smooth circular star shape
     const circleShape = Fn(() => {
@@ -260,194 +390,447 @@ export class GalaxySimulation {
     })();
 
     // Color based on density: blue for dense regions, orange for sparse
-    const starColorNode = mix(
+    const gradientColor = mix(
       vec3(this.uniforms.visual.denseStarColor),
       vec3(this.uniforms.visual.sparseStarColor),
       densityFactor
-    ).mul(this.uniforms.visual.starBrightness);
+    );
+
+    // Stellar population mode: blackbody colour, brightness compressed from the
+    // luminosity (L^0.25) so both dwarfs and giants stay visible
+    const blackbody = texture(this.blackbodyTexture, vec2(blackbodyCoordinate(temperature), 0.5)).rgb;
+    const stellarColor = blackbody.mul(luminosity.pow(0.25).clamp(0.2, 3.0));
+
+    const starColorNode = mix(gradientColor, stellarColor, this.uniforms.stellar.mode)
+      .mul(this.uniforms.visual.starBrightness);
 
     spriteMaterial.positionNode = starPos;
     spriteMaterial.colorNode = vec4(starColorNode.x, starColorNode.y, starColorNode.z, float(1.0));
     spriteMaterial.opacityNode = circleShape;
-    spriteMaterial.scaleNode = this.uniforms.visual.particleSize;
+    // Erased stars shrink to nothing
+    spriteMaterial.scaleNode = this.uniforms.visual.particleSize.mul(visibility);
 
-    this.galaxy = new THREE.Sprite(spriteMaterial);
+    this.galaxy = createParticleSprite(spriteMaterial);
     this.galaxy.count = this.COUNT;
     this.galaxy.frustumCulled = false;
 
-    this.scene.add(this.galaxy);
+    this.root.add(this.galaxy);
+
+    // Depth-only copy of the stars, drawn after their additive pass so stars
+    // don't hide each other, and before the populations drawn after the stars
+    // (dust) so those only cover the stars behind them
+    const depthMaterial = new THREE.SpriteNodeMaterial();
+    depthMaterial.colorWrite = false;
+    depthMaterial.depthWrite = true;
+    depthMaterial.alphaTest = 0.5; // Star cores only, not the whole quad
+    depthMaterial.positionNode = starPos;
+    depthMaterial.opacityNode = circleShape;
+    depthMaterial.scaleNode = spriteMaterial.scaleNode;
+
+    this.starDepth = createParticleSprite(depthMaterial);
+    this.starDepth.count = this.COUNT;
+    this.starDepth.frustumCulled = false;
+    this.starDepth.renderOrder = STAR_DEPTH_ORDER;
+    this.root.add(this.starDepth);
+    this.updateStarDepth();
   }
 
   /**
-   * Creates cloud particles that follow the galaxy structure
+   * Shows the star depth pass only while a population is drawn after the
+   * stars, as it costs a second draw of every star
    */
-  createClouds() {
-    // Clean up old clouds
-    if (this.cloudPlane) {
-      this.scene.remove(this.cloudPlane);
-      if (this.cloudPlane.material) this.cloudPlane.material.dispose();
-    }
+  updateStarDepth() {
+    if (!this.starDepth) return;
+    this.starDepth.visible = Object.values(this.cloudSystems).some(
+      (system) => system.sprite.renderOrder > STAR_DEPTH_ORDER
+    );
+  }
 
-    const CLOUD_COUNT = this.config.cloudCount;
+  /**
+   * Creates the particles of every cloud population (see clouds.js)
+   */
+  createClouds() {
+    Object.keys(CLOUD_POPULATIONS).forEach((name) => this.createCloudPopulation(name));
+  }
 
-    // Create cloud particle buffers
-    const cloudPositionBuffer = instancedArray(CLOUD_COUNT, 'vec3');
-    const cloudOriginalPositionBuffer = instancedArray(CLOUD_COUNT, 'vec3');
-    const cloudColorBuffer = instancedArray(CLOUD_COUNT, 'vec3');
-    const cloudSizeBuffer = instancedArray(CLOUD_COUNT, 'float');
-    const cloudRotationBuffer = instancedArray(CLOUD_COUNT, 'float');
+  /**
+   * Creates the particles of one cloud population, following the galaxy structure
+   *
+   * @param {string} name - Key in CLOUD_POPULATIONS
+   */
+  createCloudPopulation(name) {
+    // Clean up old clouds
+    this.retireCloudPopulation(name);
+
+    const population = getCloudPopulation(name);
+    const count = this.particleCount(population.countKey);
+    if (!count) return;
+
+    // Create cloud particle buffers (like the stars, orbits in kinematic mode)
+    const gravityMode = this.isGravityMode();
+    const positionBuffer = gravityMode ? instancedArray(count, 'vec3') : null;
+    const velocityBuffer = gravityMode ? instancedArray(count, 'vec3') : null;
+    const orbitBuffer = gravityMode ? null : instancedArray(count, 'vec4');
+    const offsetBuffer = gravityMode ? null : instancedArray(count, 'vec3');
+    const colorBuffer = instancedArray(count, 'vec3');
+    const sizeBuffer = instancedArray(count, 'float');
+    const rotationBuffer = instancedArray(count, 'float');
+    const visibilityBuffer = instancedArray(count, 'float');
+
+    // Initialize cloud particles with the same morphology as the stars
+    const morphology = getGalaxyType(this.config.galaxyType);
+
+    // Placement and appearance are separate passes, like the star init
+    const placement = Fn(() => {
+      const idx = instanceIndex;
+      const { position, seed } = population.generate(idx, this.uniforms, morphology, this.config);
+
+      if (gravityMode) {
+        positionBuffer.element(idx).assign(position);
+        velocityBuffer.element(idx).assign(this.orbitalVelocity(position));
+      } else {
+        orbitBuffer.element(idx).assign(orbitParameters(position, this.swingSign(seed)));
+        offsetBuffer.element(idx).assign(vec3(0.0));
+      }
+    })().compute(count);
 
-    // Initialize cloud particles
-    this.cloudInit = Fn(() => {
+    const appearance = Fn(() => {
       const idx = instanceIndex;
-      const seed = idx.toFloat().add(10000); // Offset seed from stars
+      const { color, size, rotation } = population.generate(idx, this.uniforms, morphology, this.config);
 
-      // Distance from center (power = 0.7 for more even distribution to avoid center oversaturation)
-      const radius = hash(seed.add(1)).pow(0.7).mul(this.uniforms.galaxy.radius);
-      const normalizedRadius = radius.div(this.uniforms.galaxy.radius);
+      colorBuffer.element(idx).assign(color);
+      sizeBuffer.element(idx).assign(size);
+      rotationBuffer.element(idx).assign(rotation);
+      visibilityBuffer.element(idx).assign(1.0);
+    })().compute(count);
 
-      // Choose spiral arm
-      const armIndex = hash(seed.add(2)).mul(this.uniforms.galaxy.armCount).floor();
-      const armAngle = armIndex.mul(6.28318).div(this.uniforms.galaxy.armCount);
+    // Update cloud particles (same physics as stars, with the population's spring)
+    const kick = gravityMode ? uniform(1.0) : null;
+    const update = gravityMode
+      ? this.createGravityUpdate(positionBuffer, velocityBuffer, visibilityBuffer, count, kick)
+      : this.createKinematicUpdate(orbitBuffer, offsetBuffer, visibilityBuffer, population.springStrength, count);
 
-      // Spiral angle based on distance (logarithmic spiral)
-      const spiralAngle = normalizedRadius.mul(this.uniforms.galaxy.spiralTightness).mul(6.28318);
+    // Create cloud sprite material
+    const material = new THREE.SpriteNodeMaterial();
+    material.transparent = true;
+    material.depthWrite = false;
+
+    const rotation = rotationBuffer.toAttribute();
+    material.positionNode = gravityMode
+      ? positionBuffer.toAttribute()
+      : this.kinematicPosition(orbitBuffer.toAttribute(), offsetBuffer.toAttribute());
+    material.rotationNode = rotation;
+
+    population.setupMaterial(material, this.uniforms, {
+      color: colorBuffer.toAttribute(),
+      size: sizeBuffer.toAttribute().mul(visibilityBuffer.toAttribute()), // Erased clouds shrink to nothing
+      rotation,
+      // Use texture for soft cloud appearance
+      shape: this.cloudTexture ? texture(this.cloudTexture, uv()).a : float(1.0)
+    }, this.config);
+
+    const sprite = createParticleSprite(material);
+    sprite.count = count;
+    sprite.frustumCulled = false;
+    sprite.renderOrder = population.renderOrder(this.config);
+    this.root.add(sprite);
+
+    // Initialized on the next update
+    this.cloudSystems[name] = {
+      sprite,
+      init: [placement, appearance],
+      update,
+      kick,
+      staggered: false,
+      buffers: [
+        positionBuffer,
+        velocityBuffer,
+        orbitBuffer,
+        offsetBuffer,
+        colorBuffer,
+        sizeBuffer,
+        rotationBuffer,
+        visibilityBuffer
+      ].filter(Boolean),
+      count,
+      initialized: false
+    };
+    this.updateStarDepth();
+  }
 
-      // Add randomness (same pattern as stars)
-      const angleOffset = hash(seed.add(3)).sub(0.5).mul(this.uniforms.galaxy.randomness);
-      const radiusOffset = hash(seed.add(4)).sub(0.5).mul(this.uniforms.galaxy.armWidth);
+  /**
+   * Force of the interaction tool and the black holes on a particle
+   *
+   * @param {vec3} position - Particle position in the galaxy's local frame
+   * @param {float} deltaTime - Time step
+   * @returns {vec3} - Force vector to apply
+   */
+  interactionForce(position, deltaTime) {
+    const interaction = this.uniforms.interaction;
+    const force = vec3(0.0).toVar();
+
+    // Every pointer applies the selected tool
+    Loop(MAX_INTERACTION_POINTS, ({ i }) => {
+      const point = interaction.points.element(i);
+      force.addAssign(applyToolForce(
+        position,
+        point.xyz,
+        point.w,
+        interaction.mode,
+        interaction.strength,
+        interaction.radius,
+        interaction.falloff,
+        deltaTime
+      ));
+    });
+
+    // Black holes keep attracting where they were dropped
+    Loop(MAX_BLACK_HOLES, ({ i }) => {
+      const blackHole = interaction.blackHoles.element(i);
+      force.addAssign(applyToolForce(
+        position,
+        blackHole.xyz,
+        float(1.0),
+        float(TOOL_MODES.attract),
+        blackHole.w,
+        interaction.blackHoleRadius,
+        interaction.blackHoleFalloff,
+        deltaTime
+      ));
+    });
+
+    return force;
+  }
 
-      // Final angle and radius
-      const angle = armAngle.add(spiralAngle).add(angleOffset);
-      const offsetRadius = radius.add(radiusOffset);
+  /**
+   * Hides a particle for good once it is inside an active eraser
+   */
+  applyEraser(position, visibilityBuffer) {
+    const interaction = this.uniforms.interaction;
+    const erased = float(0.0).toVar();
+    Loop(MAX_INTERACTION_POINTS, ({ i }) => {
+      const point = interaction.points.element(i);
+      erased.addAssign(isErased(position, point.xyz, point.w, interaction.mode, interaction.radius));
+    });
+    If(erased.greaterThan(0.0), () => {
+      visibilityBuffer.element(instanceIndex).assign(0.0);
+    });
+  }
 
-      // Convert to Cartesian coordinates
-      const x = cos(angle).mul(offsetRadius);
-      const z = sin(angle).mul(offsetRadius);
+  /**
+   * Builds the kinematic update: the particles sit on their orbits (see
+   * orbits.js), evaluated at the current rotation angle, plus an offset. The
+   * interaction tools push the particle, a spring pulls it back to the orbit,
+   * and what is left of the push is kept as the offset, so it decays away.
+   *
+   * Time itself never accumulates here, so rewinding or resetting it is exact;
+   * the tools and the springs use the magnitude of the time step, since a
+   * spring run backwards would push particles away.
+   */
+  createKinematicUpdate(orbitBuffer, offsetBuffer, visibilityBuffer, springStrength, count) {
+    return Fn(() => {
+      const idx = instanceIndex;
+      const deltaTime = this.uniforms.compute.deltaTime.abs();
+      const orbitPos = this.orbitPosition(orbitBuffer.element(idx)).toVar();
+      const position = orbitPos.add(offsetBuffer.element(idx)).toVar();
 
-      // Vertical position: slightly thinner than stars
-      const thicknessFactor = float(1.0).sub(normalizedRadius).add(0.15); // 1.15 at center, 0.15 at edge
-      const y = hash(seed.add(5)).sub(0.5).mul(this.uniforms.galaxy.thickness).mul(thicknessFactor);
+      // Apply the interaction tool and black holes
+      position.addAssign(this.interactionForce(position, deltaTime));
+      this.applyEraser(position, visibilityBuffer);
 
-      const position = vec3(x, y, z);
+      // Apply spring force to restore to the orbit
+      position.addAssign(applySpringForce(position, orbitPos, float(springStrength), deltaTime));
 
-      // Store positions
-      cloudPositionBuffer.element(idx).assign(position);
-      cloudOriginalPositionBuffer.element(idx).assign(position);
+      offsetBuffer.element(idx).assign(position.sub(orbitPos));
+    })().compute(count);
+  }
 
-      // Cloud color: tinted and darker towards edges
-      const tintColor = vec3(this.uniforms.visual.cloudTintColor);
-      const cloudColor = tintColor.mul(float(1.0).sub(normalizedRadius.mul(0.3)));
-      cloudColorBuffer.element(idx).assign(cloudColor);
+  /**
+   * Position on an orbit at the current rotation angle
+   *
+   * @param {vec4} orbit - Orbit parameters (see orbitParameters in helpers.js)
+   * @returns {vec3}
+   */
+  orbitPosition(orbit) {
+    const compute = this.uniforms.compute;
+    return orbitPosition(
+      orbit,
+      compute.rotationAngle,
+      compute.time,
+      compute.rotationCurve,
+      compute.verticalFrequency,
+      this.uniforms.blackHole.mass
+    );
+  }
 
-      // Size variation: larger clouds in denser regions
-      const densityFactor = float(1.0).sub(normalizedRadius.mul(0.5));
-      const size = hash(seed.add(6)).mul(0.5).add(0.7).mul(densityFactor);
-      cloudSizeBuffer.element(idx).assign(size);
+  /**
+   * Displayed position of a kinematic particle: its orbit, evaluated in the
+   * vertex shader, plus its offset. Like the black hole sprites it follows the
+   * time without a compute pass, so a time set while paused shows right away
+   */
+  kinematicPosition(orbit, offset) {
+    return this.orbitPosition(orbit).add(offset);
+  }
 
-      // Random rotation for visual variation
-      const rotation = hash(seed.add(7)).mul(6.28318); // 0 to 2π
-      cloudRotationBuffer.element(idx).assign(rotation);
-    })().compute(CLOUD_COUNT);
+  /**
+   * Direction a particle starts moving vertically on its orbit, 1 or -1
+   */
+  swingSign(seed) {
+    return select(hash(seed.add(13)).lessThan(0.5), float(1.0), float(-1.0));
+  }
 
-    // Update cloud particles (same physics as stars but weaker spring)
-    this.cloudUpdate = Fn(() => {
+  /**
+   * Builds the gravity update: a kick-drift leapfrog step under the bulge,
+   * halo and particle-mesh self-gravity. Mirrors leapfrogStep() in nbody.js
+   *
+   * @param {UniformNode} kick - Fraction of the step to kick by: 0.5 on the
+   *   first step after an init, which staggers the velocities, then 1
+   */
+  createGravityUpdate(positionBuffer, velocityBuffer, visibilityBuffer, count, kick) {
+    return Fn(() => {
       const idx = instanceIndex;
-      const position = cloudPositionBuffer.element(idx).toVar();
-      const originalPos = cloudOriginalPositionBuffer.element(idx);
+      const position = positionBuffer.element(idx).toVar();
+      const velocity = velocityBuffer.element(idx).toVar();
+      const gravity = this.uniforms.gravity;
+      const deltaTime = this.uniforms.compute.deltaTime;
 
-      // Apply differential rotation
-      const rotatedPos = applyDifferentialRotation(
+      // Total acceleration: analytic potential plus mesh self-gravity
+      const acceleration = applyGalacticPotential(
         position,
-        this.uniforms.compute.rotationSpeed,
-        this.uniforms.compute.deltaTime
-      );
-      position.assign(rotatedPos);
-
-      // Rotate original position
-      const rotatedOriginal = applyDifferentialRotation(
-        originalPos,
-        this.uniforms.compute.rotationSpeed,
-        this.uniforms.compute.deltaTime
-      );
-      cloudOriginalPositionBuffer.element(idx).assign(rotatedOriginal);
-
-      // Apply mouse force
-      const mouseForce = applyMouseForce(
-        position,
-        this.uniforms.compute.mouse,
-        this.uniforms.compute.mouseActive,
-        this.uniforms.compute.mouseForce,
-        this.uniforms.compute.mouseRadius,
-        this.uniforms.compute.deltaTime
-      );
-      position.addAssign(mouseForce);
-
-      // Apply spring force (weaker than stars for more fluid movement)
-      const springForce = applySpringForce(
-        position,
-        rotatedOriginal,
-        float(1.0), // Weaker spring strength
-        this.uniforms.compute.deltaTime
-      );
-      position.addAssign(springForce);
-
-      cloudPositionBuffer.element(idx).assign(position);
-    })().compute(CLOUD_COUNT);
-
-    // Store cloud state
-    this.cloudCount = CLOUD_COUNT;
-
-    // Create cloud sprite material
-    const cloudMaterial = new THREE.SpriteNodeMaterial();
-    cloudMaterial.transparent = true;
-    cloudMaterial.depthWrite = false;
-    cloudMaterial.blending = THREE.AdditiveBlending; // Efficient for overlapping particles
-
-    const cloudPos = cloudPositionBuffer.toAttribute();
-    const cloudColor = cloudColorBuffer.toAttribute();
-    const cloudSize = cloudSizeBuffer.toAttribute();
-    const cloudRotation = cloudRotationBuffer.toAttribute();
-
-    cloudMaterial.positionNode = cloudPos;
-    cloudMaterial.colorNode = vec4(cloudColor.x, cloudColor.y, cloudColor.z, float(1.0));
-    cloudMaterial.scaleNode = cloudSize.mul(this.uniforms.visual.cloudSize);
-    cloudMaterial.rotationNode = cloudRotation;
-
-    // Use texture for soft cloud appearance
-    if (this.cloudTexture) {
-      const cloudTextureNode = texture(this.cloudTexture, uv());
-      cloudMaterial.opacityNode = cloudTextureNode.a.mul(this.uniforms.visual.cloudOpacity);
-    } else {
-      cloudMaterial.opacityNode = this.uniforms.visual.cloudOpacity;
-    }
+        gravity.bulgeMass,
+        gravity.bulgeRadius,
+        gravity.haloVelocity,
+        gravity.haloCoreRadius,
+        this.uniforms.blackHole.mass
+      ).add(this.gravityMesh.sample(position)).toVar();
+
+      // Tidal pull of other galaxies, relative to the pull on this galaxy's center
+      Loop(MAX_PERTURBERS, ({ i }) => {
+        const perturber = gravity.perturbers.element(i);
+        acceleration.addAssign(applyPlummerAcceleration(
+          position,
+          perturber.xyz,
+          perturber.w,
+          gravity.perturberRadii.element(i)
+        ));
+      });
+      acceleration.subAssign(gravity.frameAcceleration);
+
+      // Kick
+      velocity.addAssign(acceleration.mul(deltaTime).mul(kick));
+
+      // Interaction tools act as an impulse on the velocity (the same way in either time direction)
+      velocity.addAssign(this.interactionForce(position, deltaTime.abs()));
+      this.applyEraser(position, visibilityBuffer);
+
+      // Drift
+      position.addAssign(velocity.mul(deltaTime));
+
+      positionBuffer.element(idx).assign(position);
+      velocityBuffer.element(idx).assign(velocity);
+    })().compute(count);
+  }
 
-    this.cloudPlane = new THREE.Sprite(cloudMaterial);
-    this.cloudPlane.count = CLOUD_COUNT;
-    this.cloudPlane.frustumCulled = false;
-    this.cloudPlane.renderOrder = -1; // Render clouds before stars
+  /**
+   * Circular orbit velocity for a position, tangential in the XZ plane and in
+   * the same direction as the kinematic orbits
+   */
+  orbitalVelocity(position) {
+    const gravity = this.uniforms.gravity;
+    const planarRadius = length(vec3(position.x, 0, position.z));
+    const speed = circularVelocity(
+      planarRadius,
+      gravity.bulgeMass,
+      gravity.bulgeRadius,
+      gravity.haloVelocity,
+      gravity.haloCoreRadius,
+      gravity.diskMass,
+      this.uniforms.galaxy.radius,
+      gravity.softening,
+      this.uniforms.blackHole.mass
+    );
+    const tangent = vec3(position.z, 0, position.x.negate()).div(planarRadius.max(0.0001));
+    return tangent.mul(speed);
+  }
 
-    this.scene.add(this.cloudPlane);
+  isGravityMode() {
+    return this.config.physicsMode === 'gravity';
+  }
 
-    // Reset initialization flag so clouds get initialized on next update
-    this.cloudInitialized = false;
+  /**
+   * Switches between kinematic and gravity physics and rebuilds the particle systems
+   */
+  setPhysicsMode(physicsMode) {
+    this.config.physicsMode = physicsMode;
+    this.createGalaxySystem();
+    this.createClouds();
+    this.regenerate();
   }
 
   /**
    * Updates star count and regenerates galaxy
    */
   updateStarCount(newCount) {
-    this.COUNT = newCount;
     this.config.starCount = newCount;
+    delete this.countLimits.starCount; // The adaptive quality starts over from the new count
+    this.resizeStars();
+  }
+
+  /**
+   * Rebuilds the stars at the current particle count
+   */
+  resizeStars() {
+    this.COUNT = this.particleCount('starCount');
+    this.uniforms.gravity.particleMass.value = this.uniforms.gravity.diskMass.value / this.COUNT;
     this.createGalaxySystem();
+    // Clouds sample the gravity mesh of the star system that was just replaced
+    if (this.isGravityMode()) this.createClouds();
     this.initialized = false;
   }
 
+  /**
+   * Particle count for a config key (starCount or a population's countKey):
+   * the configured count, lowered to the adaptive quality's limit
+   */
+  particleCount(key) {
+    const limit = this.countLimits[key];
+    return limit !== undefined ? Math.min(this.config[key], limit) : this.config[key];
+  }
+
+  /**
+   * Runs the galaxy with fewer particles than its config asks for (adaptive
+   * quality), leaving the config itself untouched; only the stars and
+   * populations whose count changes are rebuilt
+   *
+   * @param {object} limits - Highest particle count by config key, missing keys are unlimited
+   */
+  setCountLimits(limits) {
+    this.countLimits = { ...limits };
+    if (this.particleCount('starCount') !== this.COUNT) this.resizeStars();
+
+    Object.entries(CLOUD_POPULATIONS).forEach(([name, population]) => {
+      const system = this.cloudSystems[name];
+      if ((system ? system.sprite.count : 0) !== this.particleCount(population.countKey)) this.createCloudPopulation(name);
+    });
+  }
+
+  /**
+   * Switches the galaxy morphology and rebuilds both init shaders
+   */
+  setGalaxyType(galaxyType) {
+    this.config.galaxyType = galaxyType;
+    this.createGalaxySystem();
+    this.createClouds();
+    this.regenerate();
+  }
+
   /**
    * Updates uniform values from config changes
    */
   updateUniforms(configUpdate) {
     // Galaxy structure uniforms
+    if (configUpdate.seed !== undefined)
+      this.uniforms.galaxy.seed.value = seedOffset(configUpdate.seed);
     if (configUpdate.galaxyRadius !== undefined)
       this.uniforms.galaxy.radius.value = configUpdate.galaxyRadius;
     if (configUpdate.galaxyThickness !== undefined)
@@ -460,14 +843,73 @@ export class GalaxySimulation {
       this.uniforms.galaxy.armWidth.value = configUpdate.armWidth;
     if (configUpdate.randomness !== undefined)
       this.uniforms.galaxy.randomness.value = configUpdate.randomness;
+    if (configUpdate.barLength !== undefined)
+      this.uniforms.galaxy.barLength.value = configUpdate.barLength;
+    if (configUpdate.barWidth !== undefined)
+      this.uniforms.galaxy.barWidth.value = configUpdate.barWidth;
+    if (configUpdate.barFraction !== undefined)
+      this.uniforms.galaxy.barFraction.value = configUpdate.barFraction;
+    if (configUpdate.sersicIndex !== undefined)
+      this.uniforms.galaxy.sersicIndex.value = configUpdate.sersicIndex;
+    if (configUpdate.effectiveRadius !== undefined)
+      this.uniforms.galaxy.effectiveRadius.value = configUpdate.effectiveRadius;
+    if (configUpdate.ellipticity !== undefined)
+      this.uniforms.galaxy.ellipticity.value = configUpdate.ellipticity;
+    if (configUpdate.ringRadius !== undefined)
+      this.uniforms.galaxy.ringRadius.value = configUpdate.ringRadius;
+    if (configUpdate.ringWidth !== undefined)
+      this.uniforms.galaxy.ringWidth.value = configUpdate.ringWidth;
+    if (configUpdate.coreFraction !== undefined)
+      this.uniforms.galaxy.coreFraction.value = configUpdate.coreFraction;
+    if (configUpdate.clumpCount !== undefined)
+      this.uniforms.galaxy.clumpCount.value = configUpdate.clumpCount;
+    if (configUpdate.clumpSpread !== undefined)
+      this.uniforms.galaxy.clumpSpread.value = configUpdate.clumpSpread;
 
     // Compute uniforms
-    if (configUpdate.rotationSpeed !== undefined)
-      this.uniforms.compute.rotationSpeed.value = configUpdate.rotationSpeed;
-    if (configUpdate.mouseForce !== undefined)
-      this.uniforms.compute.mouseForce.value = configUpdate.mouseForce;
-    if (configUpdate.mouseRadius !== undefined)
-      this.uniforms.compute.mouseRadius.value = configUpdate.mouseRadius;
+    if (configUpdate.rotationSpeed !== undefined) {
+      // Keeps the angle where it is, so a new speed only changes the rate from here on
+      const compute = this.uniforms.compute;
+      this.rotationPhase = compute.rotationAngle.value - compute.time.value * configUpdate.rotationSpeed;
+      compute.rotationSpeed.value = configUpdate.rotationSpeed;
+    }
+    if (configUpdate.rotationCurve !== undefined)
+      this.uniforms.compute.rotationCurve.value = getRotationCurve(configUpdate.rotationCurve).id;
+    if (configUpdate.verticalFrequency !== undefined)
+      this.uniforms.compute.verticalFrequency.value = configUpdate.verticalFrequency;
+
+    // Gravity uniforms
+    if (configUpdate.bulgeMass !== undefined)
+      this.uniforms.gravity.bulgeMass.value = configUpdate.bulgeMass;
+    if (configUpdate.bulgeRadius !== undefined)
+      this.uniforms.gravity.bulgeRadius.value = configUpdate.bulgeRadius;
+    if (configUpdate.haloVelocity !== undefined)
+      this.uniforms.gravity.haloVelocity.value = configUpdate.haloVelocity;
+    if (configUpdate.haloCoreRadius !== undefined)
+      this.uniforms.gravity.haloCoreRadius.value = configUpdate.haloCoreRadius;
+    if (configUpdate.diskMass !== undefined) {
+      this.uniforms.gravity.diskMass.value = configUpdate.diskMass;
+      this.uniforms.gravity.particleMass.value = configUpdate.diskMass / this.COUNT;
+    }
+    if (configUpdate.gravitySoftening !== undefined)
+      this.uniforms.gravity.softening.value = configUpdate.gravitySoftening;
+
+    // Central black hole uniforms
+    if (configUpdate.centralBlackHole !== undefined || configUpdate.centralMass !== undefined) {
+      const mass = getCentralMass({ ...this.config, ...configUpdate });
+      this.uniforms.blackHole.mass.value = mass;
+      this.centralBlackHole.setMass(mass);
+    }
+    if (configUpdate.centralBlackHole !== undefined)
+      this.centralBlackHole.setMode(configUpdate.centralBlackHole);
+    if (configUpdate.accretionDiskRadius !== undefined)
+      this.uniforms.blackHole.diskRadius.value = configUpdate.accretionDiskRadius;
+    if (configUpdate.accretionDiskBrightness !== undefined)
+      this.uniforms.blackHole.diskBrightness.value = configUpdate.accretionDiskBrightness;
+    if (configUpdate.accretionDiskColor !== undefined)
+      this.uniforms.blackHole.diskColor.value.set(configUpdate.accretionDiskColor);
+    if (configUpdate.jetLength !== undefined)
+      this.uniforms.blackHole.jetLength.value = configUpdate.jetLength;
 
     // Visual uniforms
     if (configUpdate.particleSize !== undefined)
@@ -484,41 +926,353 @@ export class GalaxySimulation {
       this.uniforms.visual.sparseStarColor.value.set(configUpdate.sparseStarColor);
     if (configUpdate.cloudTintColor !== undefined)
       this.uniforms.visual.cloudTintColor.value.set(configUpdate.cloudTintColor);
+    if (configUpdate.dustExtinction !== undefined)
+      this.uniforms.visual.dustExtinction.value = configUpdate.dustExtinction;
+    if (configUpdate.dustReddening !== undefined)
+      this.uniforms.visual.dustReddening.value = configUpdate.dustReddening;
+
+    // Nebula uniforms
+    if (configUpdate.nebulaSize !== undefined)
+      this.uniforms.nebula.size.value = configUpdate.nebulaSize;
+    if (configUpdate.nebulaColor !== undefined)
+      this.uniforms.nebula.color.value.set(configUpdate.nebulaColor);
+    if (configUpdate.nebulaBrightness !== undefined)
+      this.uniforms.nebula.brightness.value = configUpdate.nebulaBrightness;
+    if (configUpdate.nebulaPulse !== undefined)
+      this.uniforms.nebula.pulse.value = configUpdate.nebulaPulse;
+
+    // Stellar population uniforms
+    if (configUpdate.starColorMode !== undefined)
+      this.uniforms.stellar.mode.value = configUpdate.starColorMode === 'stellar' ? 1.0 : 0.0;
+    if (configUpdate.armAge !== undefined)
+      this.uniforms.stellar.armAge.value = configUpdate.armAge;
+    if (configUpdate.bulgeAge !== undefined)
+      this.uniforms.stellar.bulgeAge.value = configUpdate.bulgeAge;
 
     // Config state
-    if (configUpdate.cloudCount !== undefined) {
-      this.config.cloudCount = configUpdate.cloudCount;
+    Object.values(CLOUD_POPULATIONS).forEach(({ countKey }) => {
+      if (configUpdate[countKey] !== undefined) {
+        this.config[countKey] = configUpdate[countKey];
+      }
+    });
+  }
+
+  /**
+   * Main update step - updates the compute uniforms and hands back the shaders to run
+   * Advances the simulation by one step of deltaTime seconds (negative runs it backwards)
+   *
+   * Nothing runs here: the caller submits the returned shaders, in order and
+   * before the uniforms change again (see GalaxyScenario.submit), so the
+   * steps of every galaxy can go to the GPU together without waiting on it.
+   *
+   * @param {THREE.WebGPURenderer} renderer - Renderer running the compute shaders
+   * @param {number} deltaTime - Step in seconds
+   * @param {object} interaction - World-space tool state { points: THREE.Vector3[],
+   *   mode, strength, radius, falloff } and black holes { blackHoles: THREE.Vector3[],
+   *   blackHoleStrength, blackHoleRadius, blackHoleFalloff } (see tools.js)
+   * @returns {{ star: ComputeNode[], cloud: ComputeNode[] }} - Pending init
+   *   shaders first, then the gravity mesh and star update, and the cloud updates
+   */
+  update(renderer, deltaTime, interaction) {
+    const passes = this.initialize(renderer);
+
+    // Update compute uniforms
+    const compute = this.uniforms.compute;
+    this.setTime(compute.time.value + deltaTime);
+    compute.deltaTime.value = deltaTime;
+    this.setInteraction(interaction);
+
+    // Leapfrog start: the first kick after an init is half a step, putting the
+    // velocities half a step behind the positions (see nbody.js)
+    if (this.gravityKick) this.gravityKick.value = this.staggered ? 1.0 : 0.5;
+    this.staggered = true;
+    Object.values(this.cloudSystems).forEach((system) => {
+      if (system.kick) system.kick.value = system.staggered ? 1.0 : 0.5;
+      system.staggered = true;
+    });
+
+    // Rebuild the self-gravity mesh from the current star positions
+    if (this.gravityMesh) {
+      passes.star.push(this.gravityMesh.clear, this.gravityDeposit, this.gravityMesh.solve);
     }
+
+    // Physics
+    passes.star.push(this.computeUpdate);
+    Object.values(this.cloudSystems).forEach((system) => passes.cloud.push(system.update));
+    return passes;
   }
 
   /**
-   * Main update loop - runs compute shaders and updates uniforms
+   * Frees retired buffers and hands back the init shaders still to run, without
+   * advancing the simulation (update() does this first; also used while paused).
+   * The shaders count as run from here on, so they must be submitted
+   *
+   * @returns {{ star: ComputeNode[], cloud: ComputeNode[] }}
    */
-  async update(renderer, deltaTime, mouse3D, mousePressed) {
+  initialize(renderer) {
+    // Free the buffers of particle systems replaced since the last frame
+    if (this.retiredBuffers.length > 0) {
+      releaseStorageBuffers(renderer, this.retiredBuffers);
+      this.retiredBuffers = [];
+    }
+
+    const passes = { star: [], cloud: [] };
+
     // Initialize stars on first frame
     if (!this.initialized) {
-      await renderer.computeAsync(this.computeInit);
+      passes.star.push(...this.computeInit);
       this.initialized = true;
+      this.staggered = false;
     }
 
     // Initialize clouds on first frame
-    if (!this.cloudInitialized && this.cloudInit) {
-      await renderer.computeAsync(this.cloudInit);
-      this.cloudInitialized = true;
+    Object.values(this.cloudSystems).forEach((system) => {
+      if (!system.initialized) {
+        passes.cloud.push(...system.init);
+        system.initialized = true;
+        system.staggered = false;
+      }
+    });
+    return passes;
+  }
+
+  /**
+   * Sets the interaction uniforms, moving the world-space points into the galaxy's frame
+   */
+  setInteraction(interaction) {
+    const uniforms = this.uniforms.interaction;
+    this.root.updateMatrixWorld();
+
+    for (let i = 0; i < MAX_INTERACTION_POINTS; i++) {
+      const slot = uniforms.points.array[i];
+      const point = interaction.points[i];
+      if (point) {
+        const local = this.root.worldToLocal(point.clone());
+        slot.set(local.x, local.y, local.z, 1);
+      } else {
+        slot.set(0, 0, 0, 0);
+      }
+    }
+    uniforms.mode.value = interaction.mode;
+    uniforms.strength.value = interaction.strength;
+    uniforms.radius.value = interaction.radius;
+    uniforms.falloff.value = interaction.falloff;
+
+    for (let i = 0; i < MAX_BLACK_HOLES; i++) {
+      const slot = uniforms.blackHoles.array[i];
+      const blackHole = interaction.blackHoles[i];
+      if (blackHole) {
+        const local = this.root.worldToLocal(blackHole.clone());
+        slot.set(local.x, local.y, local.z, interaction.blackHoleStrength);
+      } else {
+        slot.set(0, 0, 0, 0);
+      }
     }
+    uniforms.blackHoleRadius.value = interaction.blackHoleRadius;
+    uniforms.blackHoleFalloff.value = interaction.blackHoleFalloff;
+  }
 
-    // Update compute uniforms
-    this.uniforms.compute.time.value += deltaTime;
-    this.uniforms.compute.deltaTime.value = deltaTime;
-    this.uniforms.compute.mouse.value.copy(mouse3D);
-    this.uniforms.compute.mouseActive.value = mousePressed ? 1.0 : 0.0;
+  /**
+   * Restarts the accumulated simulation time at zero and drops the phase left by
+   * rotation speed changes, so kinematic particles go back to where they were generated
+   */
+  resetTime() {
+    this.rotationPhase = 0;
+    this.setTime(0);
+  }
+
+  /**
+   * Jumps to a simulation time: kinematic particles move to their orbits at
+   * that time, which at an unchanged rotation speed are the positions that
+   * running the simulation there would give. Gravity mode has no closed form,
+   * so only its clock changes
+   *
+   * @param {number} time - Simulation time in seconds
+   */
+  setTime(time) {
+    const compute = this.uniforms.compute;
+    compute.time.value = time;
+    compute.rotationAngle.value = time * compute.rotationSpeed.value + this.rotationPhase;
+  }
+
+  /**
+   * Places the galaxy in the scene
+   *
+   * @param {THREE.Vector3} position - World position of the galaxy center
+   * @param {THREE.Euler} tilt - Orientation of the disk
+   */
+  setTransform(position, tilt) {
+    this.root.position.copy(position);
+    this.root.rotation.copy(tilt);
+    this.root.updateMatrixWorld();
+  }
+
+  /**
+   * Sets the other galaxies acting on this one (gravity mode only)
+   *
+   * @param {Array<{ position: THREE.Vector3, mass: number, radius: number }>} perturbers - World-space perturbers
+   * @param {THREE.Vector3} centerAcceleration - World-space acceleration of this galaxy's center
+   */
+  setPerturbers(perturbers, centerAcceleration) {
+    const gravity = this.uniforms.gravity;
+    const inverseRotation = this.root.quaternion.clone().invert();
+
+    for (let i = 0; i < MAX_PERTURBERS; i++) {
+      const slot = gravity.perturbers.array[i];
+      const perturber = perturbers[i];
+      if (perturber) {
+        const local = this.root.worldToLocal(perturber.position.clone());
+        slot.set(local.x, local.y, local.z, perturber.mass);
+        gravity.perturberRadii.array[i] = perturber.radius;
+      } else {
+        slot.set(0, 0, 0, 0);
+      }
+    }
+
+    gravity.frameAcceleration.value.copy(centerAcceleration).applyQuaternion(inverseRotation);
+  }
+
+  /**
+   * World-space plane of the galactic disk, for raycasting mouse interaction
+   *
+   * @param {THREE.Plane} target - Plane to write into
+   * @returns {THREE.Plane} - target
+   */
+  getDiskPlane(target) {
+    const normal = new THREE.Vector3(0, 1, 0).applyQuaternion(this.root.quaternion);
+    return target.setFromNormalAndCoplanarPoint(normal, this.root.position);
+  }
+
+  /**
+   * World-space position of the galactic center
+   *
+   * @param {THREE.Vector3} target - Vector to write into
+   * @returns {THREE.Vector3} - target
+   */
+  getCenter(target) {
+    return target.copy(this.root.position);
+  }
+
+  /**
+   * Storage buffers in use, by what they hold (for the diagnostics)
+   *
+   * @returns {{ label: string, buffers: StorageBufferNode[] }[]}
+   */
+  getStorageBuffers() {
+    const groups = [{
+      label: 'Stars',
+      buffers: [
+        this.spawnPositionBuffer,
+        this.velocityBuffer,
+        this.orbitBuffer,
+        this.offsetBuffer,
+        this.densityFactorBuffer,
+        this.temperatureBuffer,
+        this.luminosityBuffer,
+        this.visibilityBuffer
+      ].filter(Boolean)
+    }];
+    Object.entries(this.cloudSystems).forEach(([name, system]) => {
+      groups.push({ label: getCloudPopulation(name).label, buffers: system.buffers });
+    });
+    if (this.gravityMesh) {
+      groups.push({ label: 'Gravity Grid', buffers: [this.gravityMesh.massGrid, this.gravityMesh.forceGrid] });
+    }
+    return groups;
+  }
+
+  /**
+   * Removes the star sprite and releases its material, geometry and compute
+   * shaders; its storage buffers are queued for release
+   */
+  retireStars() {
+    if (this.galaxy) {
+      this.root.remove(this.galaxy);
+      this.galaxy.material.dispose();
+      this.galaxy.geometry.dispose();
+      this.galaxy = null;
+    }
 
-    // Run physics computations
-    await renderer.computeAsync(this.computeUpdate);
+    if (this.starDepth) {
+      this.root.remove(this.starDepth);
+      this.starDepth.material.dispose();
+      this.starDepth.geometry.dispose();
+      this.starDepth = null;
+    }
 
-    if (this.cloudUpdate) {
-      await renderer.computeAsync(this.cloudUpdate);
+    [...(this.computeInit || []), this.computeUpdate, this.gravityDeposit].forEach((node) => node && node.dispose());
+    this.computeInit = null;
+    this.computeUpdate = null;
+    this.gravityDeposit = null;
+    this.gravityKick = null;
+
+    if (this.gravityMesh) {
+      this.retiredBuffers.push(...this.gravityMesh.dispose());
+      this.gravityMesh = null;
     }
+
+    if (this.visibilityBuffer) {
+      this.retiredBuffers.push(...[
+        this.spawnPositionBuffer,
+        this.velocityBuffer,
+        this.orbitBuffer,
+        this.offsetBuffer,
+        this.densityFactorBuffer,
+        this.temperatureBuffer,
+        this.luminosityBuffer,
+        this.visibilityBuffer
+      ].filter(Boolean));
+      this.spawnPositionBuffer = null;
+      this.velocityBuffer = null;
+      this.orbitBuffer = null;
+      this.offsetBuffer = null;
+      this.densityFactorBuffer = null;
+      this.temperatureBuffer = null;
+      this.luminosityBuffer = null;
+      this.visibilityBuffer = null;
+    }
+  }
+
+  /**
+   * Removes the sprite of a cloud population and releases its material,
+   * geometry and compute shaders; its storage buffers are queued for release
+   *
+   * @param {string} name - Key in CLOUD_POPULATIONS
+   */
+  retireCloudPopulation(name) {
+    const system = this.cloudSystems[name];
+    if (!system) return;
+
+    this.root.remove(system.sprite);
+    system.sprite.material.dispose();
+    system.sprite.geometry.dispose();
+    [...system.init, system.update].forEach((node) => node.dispose());
+    this.retiredBuffers.push(...system.buffers);
+    delete this.cloudSystems[name];
+    this.updateStarDepth();
+  }
+
+  /**
+   * Retires every cloud population
+   */
+  retireClouds() {
+    Object.keys(this.cloudSystems).forEach((name) => this.retireCloudPopulation(name));
+  }
+
+  /**
+   * Removes the galaxy from the scene and releases all of its GPU resources
+   *
+   * @param {THREE.WebGPURenderer} renderer - Renderer used by update(); without
+   *   it, storage buffers are left to be garbage collected
+   */
+  dispose(renderer = null) {
+    this.retireStars();
+    this.retireClouds();
+    if (renderer) releaseStorageBuffers(renderer, this.retiredBuffers);
+    this.retiredBuffers = [];
+    this.centralBlackHole.dispose();
+    this.blackbodyTexture.dispose();
+    this.scene.remove(this.root);
   }
 
   /**
@@ -526,6 +1280,6 @@ export class GalaxySimulation {
    */
   regenerate() {
     this.initialized = false;
-    this.cloudInitialized = false;
+    Object.values(this.cloudSystems).forEach((system) => system.initialized = false);
   }
 }
@@ -0,0 +1,122 @@
+/**
+ * Pointer Gestures
+ *
+ * Decides which pointers (Pointer Events from a mouse, pen or fingers) apply
+ * the interaction tool, so the tool and the camera never act on the same drag:
+ *
+ * - Mouse and pen: the left button (pen tip) applies the tool; the right
+ *   button orbits (with Shift: pans) or, in free flight, looks around
+ * - Touch: the selected TOUCH_GESTURES entry. By default one finger applies
+ *   the tool and a second finger turns the touch into a camera gesture
+ *   (orbit and pinch zoom) until every finger is lifted
+ *
+ * Every pointer applying the tool is an interaction point of its own, up to
+ * MAX_INTERACTION_POINTS (tools.js) at once.
+ *
+ * Plain JavaScript on the event fields, so gestures can be replayed in Node.
+ */
+
+export const TOUCH_GESTURES = {
+  camera: {
+    label: 'One Finger Tool, Two Fingers Camera',
+    twoFingerCamera: true
+  },
+  tools: {
+    label: 'Every Finger Tool',
+    twoFingerCamera: false
+  }
+};
+
+/**
+ * Looks up a touch gesture by key, falling back to camera
+ */
+export function getTouchGesture(name) {
+  return TOUCH_GESTURES[name] || TOUCH_GESTURES.camera;
+}
+
+export class PointerGestures {
+  constructor() {
+    // Pressed pointers by pointerId: { id, type, x, y, interacting }
+    this.pointers = new Map();
+
+    // Set by a second finger, cleared once every finger is lifted
+    this.cameraGesture = false;
+  }
+
+  /**
+   * Tracks a pressed pointer
+   *
+   * @param {PointerEvent} event - pointerdown event
+   * @param {string} touchGesture - Key in TOUCH_GESTURES
+   * @returns {object|null} - The pointer, or null for buttons that only move the camera
+   */
+  down(event, touchGesture) {
+    const touch = event.pointerType === 'touch';
+    if (!touch && event.button !== 0) return null;
+
+    const pointer = {
+      id: event.pointerId,
+      type: event.pointerType,
+      x: event.clientX,
+      y: event.clientY,
+      interacting: true
+    };
+    this.pointers.set(pointer.id, pointer);
+
+    if (touch) {
+      const touches = this.getTouches();
+      if (getTouchGesture(touchGesture).twoFingerCamera && touches.length > 1) this.cameraGesture = true;
+      if (this.cameraGesture) touches.forEach((other) => other.interacting = false);
+    }
+    return pointer;
+  }
+
+  /**
+   * Follows a moved pointer
+   *
+   * @param {PointerEvent} event - pointermove event
+   * @returns {object|null} - The pointer, or null if it is not pressed
+   */
+  move(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return null;
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    return pointer;
+  }
+
+  /**
+   * Stops tracking a released (or cancelled) pointer
+   *
+   * @param {PointerEvent} event - pointerup or pointercancel event
+   * @returns {object|null} - The released pointer, or null if it was not pressed
+   */
+  up(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return null;
+    this.pointers.delete(pointer.id);
+    if (this.getTouches().length === 0) this.cameraGesture = false;
+    return pointer;
+  }
+
+  /**
+   * Pointers applying the tool, oldest first
+   *
+   * @param {number} limit - Most pointers to return
+   */
+  getInteracting(limit = Infinity) {
+    return [...this.pointers.values()].filter((pointer) => pointer.interacting).slice(0, limit);
+  }
+
+  getTouches() {
+    return [...this.pointers.values()].filter((pointer) => pointer.type === 'touch');
+  }
+
+  /**
+   * Forgets every pointer (e.g. when the page loses focus)
+   */
+  clear() {
+    this.pointers.clear();
+    this.cameraGesture = false;
+  }
+}
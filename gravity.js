@@ -0,0 +1,147 @@
+/**
+ * Particle-Mesh Self-Gravity (GPU)
+ *
+ * Coarse particle-mesh solver for the gravity physics mode. Mirrors the
+ * CPU reference in nbody.js:
+ * 1. clear:   zero the per-cell particle counts
+ * 2. deposit: count each star into its nearest grid cell (atomic add)
+ * 3. solve:   sum the softened acceleration on every cell from all cells
+ * 4. sample:  particles read the acceleration of the cell they are in
+ *
+ * The grid is a cube GRAVITY_GRID_SCALE galaxy radii wide, centred on the origin.
+ */
+
+import {
+  instancedArray,
+  instanceIndex,
+  Fn,
+  Loop,
+  If,
+  vec3,
+  uint,
+  ivec3,
+  dot,
+  sqrt,
+  clamp,
+  atomicAdd,
+  atomicLoad,
+  atomicStore
+} from 'three/tsl';
+
+import { GRAVITY_GRID_RESOLUTION, GRAVITY_GRID_SCALE } from './nbody.js';
+
+export class GravityMesh {
+  /**
+   * @param {object} gravityUniforms - Gravity uniform group (particleMass, softening)
+   * @param {UniformNode} galaxyRadius - Galaxy radius uniform (sets the grid extent)
+   * @param {number} resolution - Cells per axis
+   */
+  constructor(gravityUniforms, galaxyRadius, resolution = GRAVITY_GRID_RESOLUTION) {
+    this.uniforms = gravityUniforms;
+    this.galaxyRadius = galaxyRadius;
+    this.resolution = resolution;
+    this.cellCount = resolution * resolution * resolution;
+
+    // Storage buffers
+    this.massGrid = instancedArray(this.cellCount, 'uint').toAtomic();
+    this.forceGrid = instancedArray(this.cellCount, 'vec3');
+
+    // Compute shaders
+    this.clear = Fn(() => {
+      atomicStore(this.massGrid.element(instanceIndex), uint(0));
+    })().compute(this.cellCount);
+
+    this.solve = Fn(() => {
+      const center = this.cellCenter(instanceIndex.toInt());
+      const softening2 = this.uniforms.softening.mul(this.uniforms.softening);
+      const acceleration = vec3(0).toVar();
+
+      Loop(this.cellCount, ({ i }) => {
+        const mass = atomicLoad(this.massGrid.element(i)).toFloat().mul(this.uniforms.particleMass);
+        const offset = this.cellCenter(i).sub(center);
+        const r2 = dot(offset, offset).add(softening2);
+        acceleration.addAssign(offset.mul(mass.div(r2.mul(sqrt(r2)))));
+      });
+
+      this.forceGrid.element(instanceIndex).assign(acceleration);
+    })().compute(this.cellCount);
+  }
+
+  /**
+   * Side length of one grid cell
+   */
+  cellSize() {
+    return this.galaxyRadius.mul(GRAVITY_GRID_SCALE / this.resolution);
+  }
+
+  /**
+   * Index of the grid cell containing a position, clamped to the border cells
+   *
+   * @param {vec3} position - World position
+   * @returns {int} - Flat cell index
+   */
+  cellIndex(position) {
+    const half = this.galaxyRadius.mul(GRAVITY_GRID_SCALE * 0.5);
+    const cell = clamp(
+      ivec3(position.add(half).div(this.cellSize()).floor()),
+      ivec3(0),
+      ivec3(this.resolution - 1)
+    );
+    return cell.x.add(cell.y.mul(this.resolution)).add(cell.z.mul(this.resolution * this.resolution));
+  }
+
+  /**
+   * Center of a grid cell
+   *
+   * @param {int} index - Flat cell index
+   * @returns {vec3} - World position of the cell center
+   */
+  cellCenter(index) {
+    const res = this.resolution;
+    const cell = vec3(
+      index.mod(res).toFloat(),
+      index.div(res).mod(res).toFloat(),
+      index.div(res * res).toFloat()
+    );
+    const half = this.galaxyRadius.mul(GRAVITY_GRID_SCALE * 0.5);
+    return cell.add(0.5).mul(this.cellSize()).sub(half);
+  }
+
+  /**
+   * Builds the deposit pass for a particle buffer
+   *
+   * @param {StorageBufferNode} positionBuffer - Particle positions
+   * @param {number} count - Number of particles
+   * @param {StorageBufferNode} visibilityBuffer - Particle visibility; erased particles (0) have no mass
+   * @returns {ComputeNode}
+   */
+  createDeposit(positionBuffer, count, visibilityBuffer) {
+    return Fn(() => {
+      If(visibilityBuffer.element(instanceIndex).greaterThan(0.0), () => {
+        const cell = this.cellIndex(positionBuffer.element(instanceIndex));
+        atomicAdd(this.massGrid.element(cell), uint(1));
+      });
+    })().compute(count);
+  }
+
+  /**
+   * Releases the compute shaders
+   *
+   * @returns {StorageBufferNode[]} - The grid buffers, for the caller to free
+   */
+  dispose() {
+    this.clear.dispose();
+    this.solve.dispose();
+    return [this.massGrid, this.forceGrid];
+  }
+
+  /**
+   * Self-gravity acceleration at a position
+   *
+   * @param {vec3} position - World position
+   * @returns {vec3} - Acceleration from the mesh
+   */
+  sample(position) {
+    return this.forceGrid.element(this.cellIndex(position));
+  }
+}
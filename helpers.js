@@ -7,15 +7,37 @@
 
 import {
   vec3,
+  vec4,
   float,
   Fn,
   length,
-  normalize,
   sin,
   cos,
-  fract
+  fract,
+  sqrt,
+  atan,
+  log,
+  dot,
+  vec2,
+  pow,
+  select,
+  clamp
 } from 'three/tsl';
 
+import {
+  IMF_MIN_MASS,
+  IMF_MAX_MASS,
+  IMF_BREAK_MASS,
+  IMF_LOW_SLOPE,
+  IMF_HIGH_SLOPE,
+  BLACKBODY_MIN_TEMPERATURE,
+  BLACKBODY_MAX_TEMPERATURE
+} from './stellar.js';
+
+import { TOOL_MODES, TOOL_MIN_DISTANCE } from './tools.js';
+import { CENTRAL_MASS_SOFTENING } from './nbody.js';
+import { ROTATION_CURVES, ROTATION_CURVE_CORE } from './orbits.js';
+
 // ==============================================================================
 // RANDOM NUMBER GENERATION
 // ==============================================================================
@@ -34,90 +56,162 @@ export const hash = Fn(([seed]) => {
   return x;
 });
 
+/**
+ * Standard normal random pair using the Box-Muller transform
+ * Two hashed uniforms are turned into two independent gaussian values
+ *
+ * @param {float} seedA - Seed for the radial uniform
+ * @param {float} seedB - Seed for the angular uniform
+ * @returns {vec2} - Two gaussian values with mean 0 and standard deviation 1
+ */
+export const hashGaussian2 = Fn(([seedA, seedB]) => {
+  const u1 = hash(seedA).max(0.000001);
+  const u2 = hash(seedB).mul(6.28318);
+  const r = sqrt(log(u1).mul(-2.0));
+  return vec2(r.mul(cos(u2)), r.mul(sin(u2)));
+});
+
 // ==============================================================================
 // ROTATION & PHYSICS
 // ==============================================================================
 
 /**
- * Rotates a 2D position (x, z) around the Y-axis using rotation matrix:
- *
- * | cos(θ)  -sin(θ) |   | x |
- * | sin(θ)   cos(θ) | * | z |
+ * Angular speed of a circular orbit around the softened central black hole
+ * Mirrors centralAngularSpeed() in nbody.js: ω = sqrt(M / (r² + b²)^(3/2))
  *
- * This is a pedagogical implementation showing the rotation matrix clearly.
+ * @param {float} radius - Distance from the rotation axis
+ * @param {float} mass - Central mass (0 without a black hole)
+ * @returns {float} - Angular speed
+ */
+export const centralAngularSpeed = Fn(([radius, mass]) => {
+  const r2 = radius.mul(radius).add(CENTRAL_MASS_SOFTENING * CENTRAL_MASS_SOFTENING);
+  return sqrt(mass.div(r2.mul(sqrt(r2))));
+});
+
+/**
+ * Angular speed per unit of rotation speed at a radius, 1 at the center
+ * Mirrors rotationCurve() in orbits.js: inner regions rotate faster than
+ * outer ones (like a real galaxy), except for solid-body rotation
  *
- * @param {vec3} position - 3D position to rotate
- * @param {float} angle - Rotation angle in radians (counter-clockwise)
- * @returns {vec3} - Rotated position
+ * @param {float} radius - Distance from the rotation axis
+ * @param {float} curve - ROTATION_CURVES id
+ * @returns {float} - Angular speed
  */
-export const rotateXZ = Fn(([position, angle]) => {
-  const cosTheta = cos(angle);
-  const sinTheta = sin(angle);
+export const rotationCurve = Fn(([radius, curve]) => {
+  const x = radius.div(ROTATION_CURVE_CORE);
+  const flat = float(1.0).div(sqrt(x.mul(x).add(1.0)));
+  const differential = float(1.0).div(radius.mul(0.1).add(1.0));
 
-  const newX = position.x.mul(cosTheta).sub(position.z.mul(sinTheta));
-  const newZ = position.x.mul(sinTheta).add(position.z.mul(cosTheta));
+  return select(curve.equal(ROTATION_CURVES.flat.id), flat,
+    select(curve.equal(ROTATION_CURVES.keplerian.id), pow(flat, 1.5),
+      select(curve.equal(ROTATION_CURVES.solid.id), float(1.0), differential)));
+});
 
-  return vec3(newX, position.y, newZ);
+/**
+ * Orbit through a position: (radius, phase, height, swing), see orbits.js
+ *
+ * @param {vec3} position - Generated position, where the orbit is at rotation angle 0
+ * @param {float} swingSign - 1 or -1, the direction the particle starts moving vertically
+ * @returns {vec4} - Orbit parameters
+ */
+export const orbitParameters = Fn(([position, swingSign]) => {
+  const radius = length(vec2(position.x, position.z));
+  return vec4(radius, atan(position.z, position.x), position.y, position.y.mul(swingSign));
 });
 
 /**
- * Applies differential rotation based on distance from center
- * Inner regions rotate faster than outer regions (like a real galaxy)
+ * Position on an orbit at a rotation angle, in closed form
+ * Mirrors orbitPosition() in orbits.js
  *
- * The rotation factor uses: 1 / (distance * 0.1 + 1)
- * This creates faster rotation near the center, slower at the edges.
+ * φ = rotationCurve θ + ω t, angle = phase - φ, y = height cos(νφ) + swing sin(νφ)
+ * with ν = verticalFrequency and ω the central black hole's angular speed
  *
- * @param {vec3} position - Current position
- * @param {float} rotationSpeed - Base rotation speed
- * @param {float} deltaTime - Time step
- * @returns {vec3} - Rotated position
+ * @param {vec4} orbit - Orbit parameters from orbitParameters()
+ * @param {float} rotationAngle - Simulation time times the rotation speed (θ)
+ * @param {float} time - Simulation time (t)
+ * @param {float} curve - ROTATION_CURVES id
+ * @param {float} verticalFrequency - Vertical oscillations per orbit (0 = none)
+ * @param {float} centralMass - Mass of the central black hole (0 without one)
+ * @returns {vec3} - Position
  */
-export const applyDifferentialRotation = Fn(([position, rotationSpeed, deltaTime]) => {
-  // Calculate rotation factor: inner regions rotate faster
-  const distFromCenter = length(vec3(position.x, 0, position.z));
-  const rotationFactor = float(1.0).div(distFromCenter.mul(0.1).add(1.0));
+export const orbitPosition = Fn(([orbit, rotationAngle, time, curve, verticalFrequency, centralMass]) => {
+  const radius = orbit.x;
+  const orbitAngle = rotationCurve(radius, curve).mul(rotationAngle)
+    .add(centralAngularSpeed(radius, centralMass).mul(time));
+  const angle = orbit.y.sub(orbitAngle);
+  const vertical = orbitAngle.mul(verticalFrequency);
 
-  // Calculate angular speed and apply rotation
-  const angularSpeed = rotationSpeed.mul(rotationFactor).mul(deltaTime).negate();
-
-  return rotateXZ(position, angularSpeed);
+  return vec3(
+    cos(angle).mul(radius),
+    orbit.z.mul(cos(vertical)).add(orbit.w.mul(sin(vertical))),
+    sin(angle).mul(radius)
+  );
 });
 
 /**
- * Calculates mouse interaction force
- * Repels particles away from mouse position with falloff based on distance
+ * Calculates the force of an interaction tool (see tools.js)
+ * Repel pushes particles away from the point, attract pulls them in and swirl
+ * turns them around it in the disk plane; erase applies no force
  *
- * Force = direction * strength * influence * deltaTime
- * Influence = 1 - (distance / radius), clamped to [0, 1]
+ * Force = direction * strength * influence * deltaTime (at most the distance
+ * for attract)
+ * Influence = (1 - distance / radius) ^ falloff, zero outside the radius
  *
  * @param {vec3} position - Particle position
- * @param {vec3} mouse - Mouse world position
- * @param {float} mouseActive - Whether mouse is pressed (0 or 1)
- * @param {float} mouseForce - Strength of mouse force
- * @param {float} mouseRadius - Radius of mouse influence
+ * @param {vec3} point - Tool position
+ * @param {float} active - Whether the tool acts (0 or 1)
+ * @param {float} mode - TOOL_MODES entry
+ * @param {float} strength - Strength of the force
+ * @param {float} radius - Radius of influence
+ * @param {float} falloff - Falloff exponent (1 = linear)
  * @param {float} deltaTime - Time step
  * @returns {vec3} - Force vector to apply
  */
-export const applyMouseForce = Fn(([position, mouse, mouseActive, mouseForce, mouseRadius, deltaTime]) => {
-  const toMouse = mouse.sub(position);
-  const distToMouse = length(toMouse);
+export const applyToolForce = Fn(([position, point, active, mode, strength, radius, falloff, deltaTime]) => {
+  const toPoint = point.sub(position);
+  const distToPoint = length(toPoint);
+
+  // Calculate influence with distance falloff (pow() is undefined for 0)
+  const proximity = float(1.0).sub(distToPoint.div(radius)).max(0.0);
+  const influence = active.mul(select(proximity.greaterThan(0.0), pow(proximity, falloff), 0.0));
 
-  // Calculate influence with distance falloff
-  const mouseInfluence = mouseActive.mul(
-    float(1.0).sub(distToMouse.div(mouseRadius)).max(0.0)
+  // A particle right at the point gets no direction (normalize() would give NaN)
+  const towards = toPoint.div(distToPoint.max(TOOL_MIN_DISTANCE));
+  const around = vec3(towards.z, 0.0, towards.x.negate());
+  const direction = select(
+    mode.equal(TOOL_MODES.repel),
+    towards.negate(),
+    select(mode.equal(TOOL_MODES.swirl), around, towards)
   );
 
-  // Push particles away from mouse (negate direction)
-  const mouseDir = normalize(toMouse);
-  return mouseDir.mul(mouseForce).mul(mouseInfluence).mul(deltaTime).negate();
+  // Attract pulls at most up to the point, so a kinematic particle stops there
+  // instead of overshooting past it
+  const force = select(mode.equal(TOOL_MODES.erase), 0.0, strength);
+  const magnitude = force.mul(influence).mul(deltaTime);
+  return direction.mul(select(mode.equal(TOOL_MODES.attract), magnitude.min(distToPoint), magnitude));
 });
 
 /**
- * Applies spring force to restore particle to original position
+ * Whether a particle is inside an active eraser
+ *
+ * @param {vec3} position - Particle position
+ * @param {vec3} point - Tool position
+ * @param {float} active - Whether the tool acts (0 or 1)
+ * @param {float} mode - TOOL_MODES entry
+ * @param {float} radius - Eraser radius
+ * @returns {float} - 1 inside an active eraser, else 0
+ */
+export const isErased = Fn(([position, point, active, mode, radius]) => {
+  const inside = select(length(point.sub(position)).lessThan(radius), 1.0, 0.0);
+  return active.mul(select(mode.equal(TOOL_MODES.erase), inside, 0.0));
+});
+
+/**
+ * Applies spring force to pull a displaced particle back to its orbit
  * Uses Hooke's law: F = k * (target - current)
  *
  * @param {vec3} currentPos - Current particle position
- * @param {vec3} targetPos - Target (original) position
+ * @param {vec3} targetPos - Target position on the orbit
  * @param {float} strength - Spring strength constant
  * @param {float} deltaTime - Time step
  * @returns {vec3} - Force vector to apply
@@ -126,3 +220,165 @@ export const applySpringForce = Fn(([currentPos, targetPos, strength, deltaTime]
   const toTarget = targetPos.sub(currentPos);
   return toTarget.mul(strength).mul(deltaTime);
 });
+
+// ==============================================================================
+// GRAVITY
+// ==============================================================================
+
+/**
+ * Acceleration from the analytic galactic potential (G = 1)
+ * Mirrors galacticAcceleration() in nbody.js
+ *
+ * Bulge (Plummer sphere): a = -M r / (|r|² + b²)^(3/2)
+ * Halo (logarithmic):     a = -v0² r / (|r|² + rc²)
+ * Black hole:             a = -Mbh r / (|r|² + CENTRAL_MASS_SOFTENING²)^(3/2)
+ *
+ * @param {vec3} position - Particle position
+ * @param {float} bulgeMass - Bulge mass M
+ * @param {float} bulgeRadius - Plummer scale radius b
+ * @param {float} haloVelocity - Asymptotic halo circular velocity v0
+ * @param {float} haloCoreRadius - Halo core radius rc
+ * @param {float} centralMass - Black hole mass Mbh (0 without one)
+ * @returns {vec3} - Acceleration vector
+ */
+export const applyGalacticPotential = Fn(([position, bulgeMass, bulgeRadius, haloVelocity, haloCoreRadius, centralMass]) => {
+  const r2 = dot(position, position);
+
+  const bulgeR2 = r2.add(bulgeRadius.mul(bulgeRadius));
+  const bulge = bulgeMass.div(bulgeR2.mul(sqrt(bulgeR2)));
+  const halo = haloVelocity.mul(haloVelocity).div(r2.add(haloCoreRadius.mul(haloCoreRadius)));
+
+  const centralR2 = r2.add(CENTRAL_MASS_SOFTENING * CENTRAL_MASS_SOFTENING);
+  const central = centralMass.div(centralR2.mul(sqrt(centralR2)));
+
+  return position.mul(bulge.add(halo).add(central)).negate();
+});
+
+/**
+ * Circular orbit speed in the disk plane at a given radius
+ * Mirrors circularVelocity() in nbody.js, with the enclosed disk mass
+ * approximated as diskMass * min(r / galaxyRadius, 1)²
+ *
+ * @param {float} radius - Distance from the rotation axis
+ * @param {float} bulgeMass - Bulge mass
+ * @param {float} bulgeRadius - Plummer scale radius
+ * @param {float} haloVelocity - Asymptotic halo circular velocity
+ * @param {float} haloCoreRadius - Halo core radius
+ * @param {float} diskMass - Total disk mass
+ * @param {float} galaxyRadius - Disk radius
+ * @param {float} softening - Gravitational softening length
+ * @param {float} centralMass - Black hole mass (0 without one)
+ * @returns {float} - Orbital speed
+ */
+export const circularVelocity = Fn(([radius, bulgeMass, bulgeRadius, haloVelocity, haloCoreRadius, diskMass, galaxyRadius, softening, centralMass]) => {
+  const r2 = radius.mul(radius);
+
+  const bulgeR2 = r2.add(bulgeRadius.mul(bulgeRadius));
+  const bulge = bulgeMass.mul(r2).div(bulgeR2.mul(sqrt(bulgeR2)));
+  const halo = haloVelocity.mul(haloVelocity).mul(r2).div(r2.add(haloCoreRadius.mul(haloCoreRadius)));
+
+  const enclosed = radius.div(galaxyRadius).min(1.0);
+  const diskR2 = r2.add(softening.mul(softening));
+  const disk = diskMass.mul(enclosed).mul(enclosed).mul(r2).div(diskR2.mul(sqrt(diskR2)));
+
+  const central = centralAngularSpeed(radius, centralMass).pow(2).mul(r2);
+
+  return sqrt(bulge.add(halo).add(disk).add(central));
+});
+
+/**
+ * Acceleration towards a Plummer sphere (whole galaxies acting as perturbers)
+ * Mirrors plummerAcceleration() in nbody.js
+ *
+ * @param {vec3} position - Particle position
+ * @param {vec3} center - Sphere center
+ * @param {float} mass - Sphere mass
+ * @param {float} radius - Plummer scale radius
+ * @returns {vec3} - Acceleration vector
+ */
+export const applyPlummerAcceleration = Fn(([position, center, mass, radius]) => {
+  const offset = center.sub(position);
+  const r2 = dot(offset, offset).add(radius.mul(radius));
+  return offset.mul(mass.div(r2.mul(sqrt(r2))));
+});
+
+// ==============================================================================
+// STELLAR POPULATION
+// ==============================================================================
+
+/**
+ * Draws a stellar mass from the Kroupa IMF truncated at maxMass
+ * Mirrors sampleInitialMass() in stellar.js
+ *
+ * @param {float} u - Uniform random number in [0, 1)
+ * @param {float} maxMass - Upper mass cutoff in solar masses
+ * @returns {float} - Mass in solar masses
+ */
+export const sampleInitialMass = Fn(([u, maxMass]) => {
+  const lowK = 1 - IMF_LOW_SLOPE;
+  const highK = 1 - IMF_HIGH_SLOPE;
+  const highWeight = Math.pow(IMF_BREAK_MASS, IMF_HIGH_SLOPE - IMF_LOW_SLOPE);
+
+  const upper = clamp(maxMass, IMF_MIN_MASS, IMF_MAX_MASS);
+  const lowArea = pow(upper.min(IMF_BREAK_MASS), lowK).sub(Math.pow(IMF_MIN_MASS, lowK)).div(lowK);
+  const highArea = pow(upper.max(IMF_BREAK_MASS), highK).sub(Math.pow(IMF_BREAK_MASS, highK)).div(highK).mul(highWeight);
+
+  const target = u.mul(lowArea.add(highArea));
+  const lowMass = pow(target.mul(lowK).add(Math.pow(IMF_MIN_MASS, lowK)).max(0.000001), 1 / lowK);
+  const highMass = pow(target.sub(lowArea).div(highWeight).mul(highK).add(Math.pow(IMF_BREAK_MASS, highK)).max(0.000001), 1 / highK);
+
+  return select(target.lessThan(lowArea), lowMass, highMass.min(upper));
+});
+
+/**
+ * Main-sequence turnoff mass of a population, mirrors turnoffMass() in stellar.js
+ *
+ * @param {float} age - Population age in Gyr
+ * @returns {float} - Turnoff mass in solar masses
+ */
+export const turnoffMass = Fn(([age]) => {
+  return pow(float(10.0).div(age.max(0.0001)), 0.4).min(IMF_MAX_MASS);
+});
+
+/**
+ * Region age between the bulge (youth 0) and arm (youth 1) ages, interpolated
+ * logarithmically; mirrors populationAge() in stellar.js
+ */
+export const populationAge = Fn(([youth, armAge, bulgeAge]) => {
+  return pow(bulgeAge, float(1.0).sub(youth)).mul(pow(armAge, youth));
+});
+
+/**
+ * Main-sequence temperature, mirrors mainSequenceTemperature() in stellar.js
+ *
+ * @param {float} mass - Mass in solar masses
+ * @returns {float} - Temperature in kelvin
+ */
+export const mainSequenceTemperature = Fn(([mass]) => {
+  return select(mass.lessThan(1.0), pow(mass, 0.35), pow(mass, 0.57)).mul(5772.0);
+});
+
+/**
+ * Main-sequence luminosity, mirrors mainSequenceLuminosity() in stellar.js
+ *
+ * @param {float} mass - Mass in solar masses
+ * @returns {float} - Luminosity in solar luminosities
+ */
+export const mainSequenceLuminosity = Fn(([mass]) => {
+  const low = pow(mass, 2.3).mul(0.23);
+  const mid = pow(mass, 4.0);
+  const high = pow(mass, 3.5).mul(1.4);
+  return select(mass.lessThan(0.43), low, select(mass.lessThan(2.0), mid, high));
+});
+
+/**
+ * Blackbody lookup texture coordinate, mirrors blackbodyCoordinate() in stellar.js
+ *
+ * @param {float} temperature - Temperature in kelvin
+ * @returns {float} - Coordinate in [0, 1]
+ */
+export const blackbodyCoordinate = Fn(([temperature]) => {
+  const min = Math.log(BLACKBODY_MIN_TEMPERATURE);
+  const max = Math.log(BLACKBODY_MAX_TEMPERATURE);
+  return log(temperature).sub(min).div(max - min).clamp(0.0, 1.0);
+});
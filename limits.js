@@ -0,0 +1,148 @@
+/**
+ * Config Limits
+ *
+ * Range { min, max, step } or options { label: value } of every config key the
+ * controls edit. GalaxyUI binds its controls with them, and the viewer
+ * validates presets, URL state and setConfig() values against the same limits
+ * (see validateConfig() in presets.js), with or without a UI. Keys without
+ * limits (colors, the background image URL) only have their type checked.
+ */
+
+import { GALAXY_TYPES } from './morphology.js';
+import { ROTATION_CURVES } from './orbits.js';
+import { INTERACTION_TOOLS } from './tools.js';
+import { TOUCH_GESTURES } from './gestures.js';
+import { BLACK_HOLE_MODES } from './blackhole.js';
+import { BACKGROUND_MODES, MAX_BACKGROUND_GALAXIES } from './skybox.js';
+import { QUALITY_MODES } from './quality.js';
+
+/**
+ * Options of a registry, by label
+ */
+function labelOptions(registry) {
+  const options = {};
+  Object.entries(registry).forEach(([key, entry]) => options[entry.label] = key);
+  return options;
+}
+
+// Settings every interaction tool has, by setting (see tools.js)
+const TOOL_SETTING_LIMITS = {
+  strength: { min: 0, max: 10, step: 0.01 },
+  radius: { min: 0.5, max: 15, step: 0.01 },
+  falloff: { min: 0.25, max: 4, step: 0.01 }
+};
+
+export const CONFIG_LIMITS = {
+  // Performance
+  starCount: { min: 1000, max: 1000000, step: 1000 },
+  qualityMode: { options: labelOptions(QUALITY_MODES) },
+  targetFps: { min: 15, max: 120, step: 1 },
+
+  // Appearance
+  particleSize: { min: 0.05, max: 0.5, step: 0.01 },
+  starBrightness: { min: 0, max: 2, step: 0.01 },
+  starColorMode: { options: { Gradient: 'gradient', 'Stellar Population': 'stellar' } },
+  armAge: { min: 0.005, max: 2, step: 0.005 }, // Gyr
+  bulgeAge: { min: 1, max: 13.5, step: 0.1 },
+
+  // Cloud populations (see clouds.js)
+  cloudType: { options: { Emissive: 'emissive', 'Dust Lanes': 'dust' } },
+  cloudCount: { min: 0, max: 100000, step: 1000 },
+  cloudSize: { min: 0.5, max: 10, step: 0.01 },
+  cloudOpacity: { min: 0, max: 1, step: 0.01 },
+  dustExtinction: { min: 0, max: 1, step: 0.01 },
+  dustReddening: { min: 0, max: 1, step: 0.01 },
+  nebulaCount: { min: 0, max: 20000, step: 100 },
+  nebulaSize: { min: 0.1, max: 5, step: 0.01 },
+  nebulaBrightness: { min: 0, max: 2, step: 0.01 },
+  nebulaPulse: { min: 0, max: 1, step: 0.01 },
+
+  // Black hole
+  centralBlackHole: { options: labelOptions(BLACK_HOLE_MODES) },
+  centralMass: { min: 0.1, max: 10, step: 0.01 },
+  accretionDiskRadius: { min: 0.5, max: 8, step: 0.01 },
+  accretionDiskBrightness: { min: 0, max: 3, step: 0.01 },
+  jetLength: { min: 1, max: 15, step: 0.01 },
+  lensingStrength: { min: 0, max: 3, step: 0.01 },
+
+  // Bloom
+  bloomStrength: { min: 0, max: 3, step: 0.01 },
+  bloomRadius: { min: 0, max: 1, step: 0.01 },
+  bloomThreshold: { min: 0, max: 1, step: 0.01 },
+
+  // Background
+  backgroundMode: { options: labelOptions(BACKGROUND_MODES) },
+  starfieldBrightness: { min: 0, max: 3, step: 0.01 },
+  starfieldDensity: { min: 0, max: 2, step: 0.01 },
+  starfieldTwinkle: { min: 0, max: 1, step: 0.01 },
+  milkyWayBrightness: { min: 0, max: 2, step: 0.01 },
+  backgroundGalaxyCount: { min: 0, max: MAX_BACKGROUND_GALAXIES, step: 10 },
+  backgroundSeed: { min: 0, max: 999999, step: 1 },
+
+  // Galaxy
+  rotationSpeed: { min: 0, max: 2, step: 0.01 },
+  rotationCurve: { options: labelOptions(ROTATION_CURVES) },
+  verticalFrequency: { min: 0, max: 8, step: 0.1 },
+  galaxyType: { options: labelOptions(GALAXY_TYPES) },
+  seed: { min: 0, max: 999999, step: 1 },
+  galaxyRadius: { min: 5, max: 20, step: 0.01 },
+  galaxyThickness: { min: 0.1, max: 10, step: 0.01 },
+
+  // Spiral arms
+  spiralTightness: { min: 0, max: 10, step: 0.01 },
+  armCount: { min: 1, max: 4, step: 1 },
+  armWidth: { min: 1, max: 5, step: 0.01 },
+  randomness: { min: 0, max: 5, step: 0.01 },
+
+  // Bar
+  barLength: { min: 0.05, max: 0.8, step: 0.01 },
+  barWidth: { min: 0.1, max: 4, step: 0.01 },
+  barFraction: { min: 0, max: 0.8, step: 0.01 },
+
+  // Elliptical (Sérsic profile)
+  sersicIndex: { min: 0.5, max: 8, step: 0.1 },
+  effectiveRadius: { min: 0.05, max: 1, step: 0.01 },
+  ellipticity: { min: 0, max: 0.9, step: 0.01 },
+
+  // Ring
+  ringRadius: { min: 0.2, max: 1, step: 0.01 },
+  ringWidth: { min: 0.1, max: 5, step: 0.01 },
+  coreFraction: { min: 0, max: 0.8, step: 0.01 },
+
+  // Irregular
+  clumpCount: { min: 1, max: 16, step: 1 },
+  clumpSpread: { min: 0.5, max: 6, step: 0.01 },
+
+  // Physics
+  physicsMode: { options: { Kinematic: 'kinematic', Gravity: 'gravity' } },
+  bulgeMass: { min: 0, max: 50, step: 0.1 },
+  bulgeRadius: { min: 0.1, max: 5, step: 0.01 },
+  haloVelocity: { min: 0, max: 5, step: 0.01 },
+  haloCoreRadius: { min: 0.5, max: 20, step: 0.1 },
+  diskMass: { min: 0, max: 50, step: 0.1 },
+  gravitySoftening: { min: 0.1, max: 5, step: 0.01 },
+
+  // Mouse interaction; the settings of each tool are added below
+  interactionTool: { options: labelOptions(INTERACTION_TOOLS) },
+  touchGesture: { options: labelOptions(TOUCH_GESTURES) }
+};
+
+Object.values(INTERACTION_TOOLS).forEach((tool) => {
+  Object.entries(tool.keys).forEach(([setting, key]) => CONFIG_LIMITS[key] = TOOL_SETTING_LIMITS[setting]);
+});
+
+/**
+ * Limits narrowed to what a renderer backend runs: its largest star count,
+ * and only the kinematic mode without gravity support (see capabilities.js)
+ *
+ * @param {object|null} capabilities - Entry of BACKENDS, null while the backend is unknown
+ * @returns {object} - Per-key { min, max, step, options }
+ */
+export function getConfigLimits(capabilities) {
+  if (!capabilities) return CONFIG_LIMITS;
+  return {
+    ...CONFIG_LIMITS,
+    starCount: { ...CONFIG_LIMITS.starCount, max: capabilities.maxStarCount },
+    physicsMode: capabilities.gravity ? CONFIG_LIMITS.physicsMode : { options: { Kinematic: 'kinematic' } }
+  };
+}
@@ -0,0 +1,302 @@
+/**
+ * Galaxy Morphology Generators
+ *
+ * Registry of galaxy types shared by the star and cloud initialization shaders.
+ *
+ * Note: TSL Fn() functions can only return single TSL types (vec3, float, etc.),
+ * so the generators below are plain JavaScript functions that build TSL node
+ * graphs. This lets them return several values at once while still being
+ * inlined into whichever compute shader calls them.
+ *
+ * Every generator has the signature generate(seed, galaxy, profile):
+ * - seed: per-particle float seed node (already offset by the galaxy seed)
+ * - galaxy: the galaxy uniform group from GalaxySimulation
+ * - profile: per-population tuning { radiusPower, thicknessBase } plus the
+ *   optional { thicknessScale, armScatter, laneOffset } used by dust lanes
+ *
+ * and returns { position, normalizedRadius, densityFactor }, where
+ * densityFactor is 0 for dense regions and 1 for sparse ones.
+ */
+
+import {
+  vec3,
+  float,
+  sin,
+  cos,
+  sqrt,
+  exp,
+  pow,
+  select
+} from 'three/tsl';
+
+import { hash, hashGaussian2 } from './helpers.js';
+
+const TWO_PI = 6.28318;
+
+/**
+ * Profile of the stars (the cloud populations have theirs in clouds.js)
+ * - radiusPower: exponent on the radial hash (lower = more concentrated)
+ * - thicknessBase: vertical thickness factor remaining at the edge
+ */
+export const STAR_PROFILE = { radiusPower: 0.5, thicknessBase: 0.2 };
+
+// ==============================================================================
+// SHARED BUILDING BLOCKS
+// ==============================================================================
+
+/**
+ * Vertical position: thicker at center, thinner at edges
+ */
+function diskHeight(seed, galaxy, normalizedRadius, profile) {
+  const thicknessFactor = float(1.0).sub(normalizedRadius.min(1.0)).add(profile.thicknessBase);
+  const height = hash(seed.add(5)).sub(0.5).mul(galaxy.thickness).mul(thicknessFactor);
+  return profile.thicknessScale !== undefined ? height.mul(profile.thicknessScale) : height;
+}
+
+/**
+ * Places a particle on one of the logarithmic spiral arms
+ *
+ * Profiles with armScatter < 1 are confined to a narrower band of the arm, and
+ * laneOffset (in arm widths) moves that band to the arm's inner edge, where
+ * dust lanes sit in real spirals.
+ *
+ * @param {float} radius - Distance from center before arm scatter
+ * @param {float} winding - 0 where the arm starts, 1 at the galaxy edge
+ * @param {object} profile - Population profile
+ * @returns {{ x, z, densityFactor }}
+ */
+function spiralArm(seed, galaxy, radius, winding, profile) {
+  // Choose which spiral arm this particle belongs to
+  const armIndex = hash(seed.add(2)).mul(galaxy.armCount).floor();
+  const armAngle = armIndex.mul(TWO_PI).div(galaxy.armCount);
+
+  // Spiral angle based on distance (logarithmic spiral)
+  const spiralAngle = winding.mul(galaxy.spiralTightness).mul(TWO_PI);
+
+  // Add randomness to create natural appearance
+  let angleOffset = hash(seed.add(3)).sub(0.5).mul(galaxy.randomness);
+  let radiusOffset = hash(seed.add(4)).sub(0.5).mul(galaxy.armWidth);
+  if (profile.armScatter !== undefined) {
+    angleOffset = angleOffset.mul(profile.armScatter);
+    radiusOffset = radiusOffset.mul(profile.armScatter);
+  }
+  if (profile.laneOffset !== undefined) {
+    radiusOffset = radiusOffset.sub(galaxy.armWidth.mul(profile.laneOffset));
+  }
+
+  // Final angle and radius
+  const angle = armAngle.add(spiralAngle).add(angleOffset);
+  const offsetRadius = radius.add(radiusOffset);
+
+  // Sparsity grows with distance from the arm center line
+  const radialSparsity = radiusOffset.abs().div(galaxy.armWidth.mul(0.5).add(0.01));
+  const angularSparsity = angleOffset.abs().div(galaxy.randomness.mul(0.5).add(0.01));
+
+  return {
+    x: cos(angle).mul(offsetRadius),
+    z: sin(angle).mul(offsetRadius),
+    densityFactor: radialSparsity.add(angularSparsity).mul(0.5).min(1.0)
+  };
+}
+
+// ==============================================================================
+// GENERATORS
+// ==============================================================================
+
+/**
+ * Classic logarithmic spiral with galaxy.armCount arms
+ */
+function generateSpiral(seed, galaxy, profile) {
+  const radius = hash(seed.add(1)).pow(profile.radiusPower).mul(galaxy.radius);
+  const normalizedRadius = radius.div(galaxy.radius);
+
+  const arm = spiralArm(seed, galaxy, radius, normalizedRadius, profile);
+  const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+
+  return {
+    position: vec3(arm.x, y, arm.z),
+    normalizedRadius,
+    densityFactor: arm.densityFactor
+  };
+}
+
+/**
+ * Barred spiral: a central bar along the X axis with arms that start at its ends
+ * galaxy.barFraction of the particles are placed in the bar, the rest in the arms
+ */
+function generateBarredSpiral(seed, galaxy, profile) {
+  const barHalfLength = galaxy.barLength.mul(galaxy.radius);
+
+  // Bar: uniform along its length, gaussian across its width
+  const along = hash(seed.add(8)).mul(2.0).sub(1.0);
+  const across = hashGaussian2(seed.add(9), seed.add(10)).mul(galaxy.barWidth.mul(0.5));
+  const barNormalizedRadius = along.abs().mul(galaxy.barLength);
+
+  // Arms: wind outward from the bar ends to the galaxy edge
+  const armSpan = galaxy.radius.sub(barHalfLength).max(0.01);
+  const radius = barHalfLength.add(hash(seed.add(1)).pow(profile.radiusPower).mul(armSpan));
+  const winding = radius.sub(barHalfLength).div(armSpan);
+  const arm = spiralArm(seed, galaxy, radius, winding, profile);
+  const armNormalizedRadius = radius.div(galaxy.radius);
+
+  const inBar = hash(seed.add(11)).lessThan(galaxy.barFraction);
+  const x = select(inBar, along.mul(barHalfLength), arm.x);
+  const z = select(inBar, across.x, arm.z);
+  const normalizedRadius = select(inBar, barNormalizedRadius, armNormalizedRadius);
+  const densityFactor = select(inBar, along.abs().mul(0.3), arm.densityFactor);
+  const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+
+  return {
+    position: vec3(x, y, z),
+    normalizedRadius,
+    densityFactor
+  };
+}
+
+/**
+ * Elliptical galaxy following a Sérsic surface brightness profile, with no arms
+ *
+ * The enclosed light of a Sérsic profile is a gamma distribution in
+ * x = b_n * (r / R_e)^(1 / n) with shape 2n, so a gamma sample (Wilson-Hilferty
+ * approximation) is mapped back to a radius. Radii are softly compressed into
+ * the galaxy radius instead of being clamped, so no shell forms at the edge.
+ * The population profile is ignored: stars and clouds share one distribution.
+ */
+function generateElliptical(seed, galaxy) {
+  const n = galaxy.sersicIndex;
+  const shape = n.mul(2.0);
+  const bn = n.mul(2.0).sub(1.0 / 3.0).add(float(0.009876).div(n));
+
+  // Gamma(2n) sample via Wilson-Hilferty
+  const z = hashGaussian2(seed.add(1), seed.add(2)).x;
+  const c = float(1.0).div(shape.mul(9.0));
+  const gammaSample = shape.mul(pow(float(1.0).sub(c).add(z.mul(sqrt(c))).max(0.0), 3.0));
+
+  const effectiveRadius = galaxy.effectiveRadius.mul(galaxy.radius);
+  const sersicRadius = effectiveRadius.mul(pow(gammaSample.div(bn), n));
+  const radius = galaxy.radius.mul(float(1.0).sub(exp(sersicRadius.div(galaxy.radius).negate())));
+  const normalizedRadius = radius.div(galaxy.radius);
+
+  // Uniform direction on a sphere, flattened along Y by the ellipticity
+  const cosPhi = hash(seed.add(3)).mul(2.0).sub(1.0);
+  const sinPhi = sqrt(float(1.0).sub(cosPhi.mul(cosPhi)));
+  const theta = hash(seed.add(4)).mul(TWO_PI);
+
+  const position = vec3(
+    radius.mul(sinPhi).mul(cos(theta)),
+    radius.mul(cosPhi).mul(float(1.0).sub(galaxy.ellipticity)),
+    radius.mul(sinPhi).mul(sin(theta))
+  );
+
+  return {
+    position,
+    normalizedRadius,
+    densityFactor: normalizedRadius.mul(2.0).min(1.0)
+  };
+}
+
+/**
+ * Ring galaxy: a gaussian ring at galaxy.ringRadius with a compact core
+ * galaxy.coreFraction of the particles are placed in the core
+ */
+function generateRing(seed, galaxy, profile) {
+  const ringCenter = galaxy.ringRadius.mul(galaxy.radius);
+  const gaussian = hashGaussian2(seed.add(1), seed.add(2));
+  const angle = hash(seed.add(3)).mul(TWO_PI);
+
+  const ringDistance = ringCenter.add(gaussian.x.mul(galaxy.ringWidth.mul(0.5))).abs();
+  const coreDistance = gaussian.y.abs().mul(ringCenter.mul(0.15));
+
+  const inCore = hash(seed.add(8)).lessThan(galaxy.coreFraction);
+  const radius = select(inCore, coreDistance, ringDistance);
+  const normalizedRadius = radius.div(galaxy.radius);
+  const densityFactor = select(inCore, float(0.0), gaussian.x.abs().mul(0.5).min(1.0));
+
+  const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+
+  return {
+    position: vec3(cos(angle).mul(radius), y, sin(angle).mul(radius)),
+    normalizedRadius,
+    densityFactor
+  };
+}
+
+/**
+ * Irregular galaxy: gaussian clumps scattered over the disk plus a diffuse component
+ *
+ * Clump centers are hashed from the clump index and the galaxy seed only,
+ * so stars and clouds land in the same clumps.
+ */
+function generateIrregular(seed, galaxy, profile) {
+  const clumpCount = galaxy.clumpCount.floor().max(1.0);
+  const clump = hash(seed.add(8)).mul(clumpCount).floor();
+
+  const clumpRadius = hash(clump.mul(7.31).add(galaxy.seed).add(501.0)).pow(0.5).mul(galaxy.radius).mul(0.6);
+  const clumpAngle = hash(clump.mul(3.17).add(galaxy.seed).add(907.0)).mul(TWO_PI);
+  const clumpOffset = hashGaussian2(seed.add(1), seed.add(2)).mul(galaxy.clumpSpread.mul(0.5));
+  const clumpX = cos(clumpAngle).mul(clumpRadius).add(clumpOffset.x);
+  const clumpZ = sin(clumpAngle).mul(clumpRadius).add(clumpOffset.y);
+
+  const diffuseRadius = hash(seed.add(3)).pow(profile.radiusPower).mul(galaxy.radius);
+  const diffuseAngle = hash(seed.add(4)).mul(TWO_PI);
+
+  const inClump = hash(seed.add(9)).lessThan(0.8);
+  const x = select(inClump, clumpX, cos(diffuseAngle).mul(diffuseRadius));
+  const z = select(inClump, clumpZ, sin(diffuseAngle).mul(diffuseRadius));
+
+  const normalizedRadius = vec3(x, 0, z).length().div(galaxy.radius);
+  const densityFactor = select(inClump, clumpOffset.length().div(galaxy.clumpSpread).min(1.0), float(1.0));
+  const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+
+  return {
+    position: vec3(x, y, z),
+    normalizedRadius,
+    densityFactor
+  };
+}
+
+// ==============================================================================
+// REGISTRY
+// ==============================================================================
+
+/**
+ * Available galaxy types, keyed by config.galaxyType
+ * params lists the config keys each type reads besides galaxyRadius/galaxyThickness
+ */
+export const GALAXY_TYPES = {
+  spiral: {
+    label: 'Spiral',
+    params: ['spiralTightness', 'armCount', 'armWidth', 'randomness'],
+    generate: generateSpiral
+  },
+  barred: {
+    label: 'Barred Spiral',
+    params: ['spiralTightness', 'armCount', 'armWidth', 'randomness', 'barLength', 'barWidth', 'barFraction'],
+    generate: generateBarredSpiral
+  },
+  elliptical: {
+    label: 'Elliptical',
+    params: ['sersicIndex', 'effectiveRadius', 'ellipticity'],
+    generate: generateElliptical
+  },
+  ring: {
+    label: 'Ring',
+    params: ['ringRadius', 'ringWidth', 'coreFraction'],
+    generate: generateRing
+  },
+  irregular: {
+    label: 'Irregular',
+    params: ['clumpCount', 'clumpSpread'],
+    generate: generateIrregular
+  }
+};
+
+/**
+ * Looks up a galaxy type, falling back to the spiral for unknown names
+ *
+ * @param {string} name - Key in GALAXY_TYPES
+ * @returns {object} - Registry entry
+ */
+export function getGalaxyType(name) {
+  return GALAXY_TYPES[name] || GALAXY_TYPES.spiral;
+}
@@ -0,0 +1,301 @@
+/**
+ * N-Body Gravity - CPU Reference Implementation
+ *
+ * Plain JavaScript mirror of the gravity mode implemented in TSL by gravity.js
+ * and helpers.js. It has no Three.js dependency and works on typed arrays, so
+ * the force model and integrator can be exercised in Node without a GPU.
+ *
+ * Force model (G = 1, scene units):
+ * - Bulge: Plummer sphere, a = -M r / (|r|² + b²)^(3/2)
+ * - Central black hole (optional): a point mass softened the same way with
+ *   b = CENTRAL_MASS_SOFTENING
+ * - Halo: logarithmic potential, a = -v0² r / (|r|² + rc²)
+ * - Disk self-gravity: coarse particle mesh. Particles are counted into the
+ *   nearest cell of a cubic grid, each cell's acceleration is summed directly
+ *   over all cells with Plummer softening, and particles read the acceleration
+ *   of the cell they are in.
+ *
+ * Integration is a kick-drift leapfrog with velocities staggered half a step:
+ *   v(t + dt/2) = v(t - dt/2) + a(x(t)) dt
+ *   x(t + dt)   = x(t) + v(t + dt/2) dt
+ * Particles start with their velocity at t = 0, so the first step after an
+ * init only kicks by half a step (kick = 0.5) to stagger them.
+ */
+
+export const GRAVITY_GRID_RESOLUTION = 16;
+export const GRAVITY_GRID_SCALE = 2.5; // Grid side length in galaxy radii
+
+// Plummer radius of the central black hole's point mass, keeping orbits near it finite
+export const CENTRAL_MASS_SOFTENING = 0.5;
+
+/**
+ * Mass of a config's central black hole, 0 without one
+ *
+ * @param {object} config - Config with centralBlackHole ('none', 'disk' or 'jet') and centralMass (default 1)
+ */
+export function getCentralMass(config) {
+  if (!config.centralBlackHole || config.centralBlackHole === 'none') return 0;
+  return config.centralMass !== undefined ? config.centralMass : 1.0;
+}
+
+/**
+ * Angular speed of a circular orbit around the softened central mass,
+ * ω = sqrt(M / (r² + b²)^(3/2)); also turns the kinematic orbits (orbitAngle in orbits.js)
+ *
+ * @param {number} radius - Distance from the rotation axis
+ * @param {number} mass - Central mass
+ * @returns {number} - Angular speed
+ */
+export function centralAngularSpeed(radius, mass) {
+  const r2 = radius * radius + CENTRAL_MASS_SOFTENING * CENTRAL_MASS_SOFTENING;
+  return Math.sqrt(mass / (r2 * Math.sqrt(r2)));
+}
+
+// ==============================================================================
+// ANALYTIC POTENTIAL
+// ==============================================================================
+
+/**
+ * Acceleration from the central bulge, the dark-matter halo and the central black hole
+ *
+ * @param {number} x - Position X
+ * @param {number} y - Position Y
+ * @param {number} z - Position Z
+ * @param {object} params - { bulgeMass, bulgeRadius, haloVelocity, haloCoreRadius, centralMass }
+ *   (centralMass is optional)
+ * @param {Float32Array|number[]} out - Receives the acceleration (length 3)
+ * @returns {Float32Array|number[]} - out
+ */
+export function galacticAcceleration(x, y, z, params, out) {
+  const r2 = x * x + y * y + z * z;
+
+  const bulgeR2 = r2 + params.bulgeRadius * params.bulgeRadius;
+  const bulge = params.bulgeMass / (bulgeR2 * Math.sqrt(bulgeR2));
+  const halo = (params.haloVelocity * params.haloVelocity) / (r2 + params.haloCoreRadius * params.haloCoreRadius);
+
+  const centralR2 = r2 + CENTRAL_MASS_SOFTENING * CENTRAL_MASS_SOFTENING;
+  const central = (params.centralMass || 0) / (centralR2 * Math.sqrt(centralR2));
+
+  const scale = -(bulge + halo + central);
+  out[0] = x * scale;
+  out[1] = y * scale;
+  out[2] = z * scale;
+  return out;
+}
+
+/**
+ * Circular orbit speed in the disk plane at a given radius
+ * Disk mass enclosed within the radius is approximated by a uniform-surface-density
+ * disk, M(<r) = diskMass * min(r / galaxyRadius, 1)²
+ *
+ * @param {number} radius - Distance from the rotation axis
+ * @param {object} params - Gravity parameters plus diskMass and galaxyRadius
+ *   (and optionally centralMass)
+ * @returns {number} - Orbital speed
+ */
+export function circularVelocity(radius, params) {
+  const r2 = radius * radius;
+
+  const bulgeR2 = r2 + params.bulgeRadius * params.bulgeRadius;
+  const bulge = params.bulgeMass * r2 / (bulgeR2 * Math.sqrt(bulgeR2));
+  const halo = params.haloVelocity * params.haloVelocity * r2 / (r2 + params.haloCoreRadius * params.haloCoreRadius);
+
+  const enclosed = Math.min(radius / params.galaxyRadius, 1);
+  const disk = params.diskMass * enclosed * enclosed * r2 / Math.pow(r2 + params.softening * params.softening, 1.5);
+
+  const central = centralAngularSpeed(radius, params.centralMass || 0) ** 2 * r2;
+
+  return Math.sqrt(bulge + halo + disk + central);
+}
+
+/**
+ * Acceleration towards a Plummer sphere (used for whole galaxies as perturbers)
+ *
+ * @param {number} dx - Offset from the particle to the sphere center (X)
+ * @param {number} dy - Offset from the particle to the sphere center (Y)
+ * @param {number} dz - Offset from the particle to the sphere center (Z)
+ * @param {number} mass - Sphere mass
+ * @param {number} radius - Plummer scale radius
+ * @param {Float32Array|number[]} out - Receives the acceleration (length 3)
+ * @returns {Float32Array|number[]} - out
+ */
+export function plummerAcceleration(dx, dy, dz, mass, radius, out) {
+  const r2 = dx * dx + dy * dy + dz * dz + radius * radius;
+  const scale = mass / (r2 * Math.sqrt(r2));
+  out[0] = dx * scale;
+  out[1] = dy * scale;
+  out[2] = dz * scale;
+  return out;
+}
+
+/**
+ * Total mass of a galaxy within its radius: bulge + disk + central black hole +
+ * the part of the logarithmic halo enclosed by galaxyRadius, M(r) = v0² r³ / (r² + rc²)
+ *
+ * @param {object} params - Gravity parameters plus diskMass and galaxyRadius
+ * @returns {number} - Mass
+ */
+export function galaxyMass(params) {
+  const r = params.galaxyRadius;
+  const halo = params.haloVelocity * params.haloVelocity * r * r * r / (r * r + params.haloCoreRadius * params.haloCoreRadius);
+  return params.bulgeMass + params.diskMass + (params.centralMass || 0) + halo;
+}
+
+// ==============================================================================
+// PARTICLE MESH
+// ==============================================================================
+
+/**
+ * Creates an empty mass/force grid
+ *
+ * @param {number} resolution - Cells per axis
+ * @returns {{ resolution: number, counts: Uint32Array, forces: Float32Array }}
+ */
+export function createMassGrid(resolution = GRAVITY_GRID_RESOLUTION) {
+  const cellCount = resolution * resolution * resolution;
+  return {
+    resolution,
+    counts: new Uint32Array(cellCount),
+    forces: new Float32Array(cellCount * 3)
+  };
+}
+
+/**
+ * Index of the grid cell containing a position (positions outside the grid
+ * are clamped to the border cells)
+ */
+export function gridCellIndex(x, y, z, galaxyRadius, resolution) {
+  const extent = galaxyRadius * GRAVITY_GRID_SCALE;
+  const cellSize = extent / resolution;
+  const half = extent * 0.5;
+
+  const cx = Math.min(Math.max(Math.floor((x + half) / cellSize), 0), resolution - 1);
+  const cy = Math.min(Math.max(Math.floor((y + half) / cellSize), 0), resolution - 1);
+  const cz = Math.min(Math.max(Math.floor((z + half) / cellSize), 0), resolution - 1);
+
+  return cx + cy * resolution + cz * resolution * resolution;
+}
+
+/**
+ * Center of a grid cell
+ */
+export function gridCellCenter(index, galaxyRadius, resolution, out) {
+  const extent = galaxyRadius * GRAVITY_GRID_SCALE;
+  const cellSize = extent / resolution;
+  const half = extent * 0.5;
+
+  const cx = index % resolution;
+  const cy = Math.floor(index / resolution) % resolution;
+  const cz = Math.floor(index / (resolution * resolution));
+
+  out[0] = (cx + 0.5) * cellSize - half;
+  out[1] = (cy + 0.5) * cellSize - half;
+  out[2] = (cz + 0.5) * cellSize - half;
+  return out;
+}
+
+/**
+ * Counts particles into their nearest grid cell
+ *
+ * @param {Float32Array} positions - Packed xyz positions
+ * @param {number} count - Number of particles
+ * @param {object} grid - Grid from createMassGrid
+ * @param {number} galaxyRadius - Galaxy radius (sets the grid extent)
+ */
+export function depositMass(positions, count, grid, galaxyRadius) {
+  grid.counts.fill(0);
+  for (let i = 0; i < count; i++) {
+    const cell = gridCellIndex(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], galaxyRadius, grid.resolution);
+    grid.counts[cell]++;
+  }
+}
+
+/**
+ * Sums the softened acceleration on every cell from the mass in all cells
+ *
+ * @param {object} grid - Grid with deposited counts
+ * @param {object} params - { particleMass, softening, galaxyRadius }
+ */
+export function solveMeshForces(grid, params) {
+  const { resolution, counts, forces } = grid;
+  const cellCount = counts.length;
+  const softening2 = params.softening * params.softening;
+  const ci = [0, 0, 0];
+  const cj = [0, 0, 0];
+
+  for (let i = 0; i < cellCount; i++) {
+    gridCellCenter(i, params.galaxyRadius, resolution, ci);
+    let ax = 0;
+    let ay = 0;
+    let az = 0;
+
+    for (let j = 0; j < cellCount; j++) {
+      if (counts[j] === 0) continue;
+      gridCellCenter(j, params.galaxyRadius, resolution, cj);
+      const dx = cj[0] - ci[0];
+      const dy = cj[1] - ci[1];
+      const dz = cj[2] - ci[2];
+      const r2 = dx * dx + dy * dy + dz * dz + softening2;
+      const scale = counts[j] * params.particleMass / (r2 * Math.sqrt(r2));
+      ax += dx * scale;
+      ay += dy * scale;
+      az += dz * scale;
+    }
+
+    forces[i * 3] = ax;
+    forces[i * 3 + 1] = ay;
+    forces[i * 3 + 2] = az;
+  }
+}
+
+// ==============================================================================
+// INTEGRATOR
+// ==============================================================================
+
+/**
+ * Total acceleration on a particle: bulge + halo + mesh self-gravity
+ */
+export function totalAcceleration(x, y, z, grid, params, out) {
+  galacticAcceleration(x, y, z, params, out);
+  if (grid) {
+    const cell = gridCellIndex(x, y, z, params.galaxyRadius, grid.resolution);
+    out[0] += grid.forces[cell * 3];
+    out[1] += grid.forces[cell * 3 + 1];
+    out[2] += grid.forces[cell * 3 + 2];
+  }
+  return out;
+}
+
+/**
+ * Advances all particles by one leapfrog step
+ *
+ * @param {Float32Array} positions - Packed xyz positions (updated in place)
+ * @param {Float32Array} velocities - Packed xyz half-step velocities (updated in place)
+ * @param {number} count - Number of particles
+ * @param {object|null} grid - Grid from createMassGrid, or null to skip self-gravity
+ * @param {object} params - Gravity parameters (see galacticAcceleration/solveMeshForces)
+ * @param {number} dt - Time step
+ * @param {number} kick - Fraction of the step to kick by: 0.5 for the first step, then 1
+ */
+export function leapfrogStep(positions, velocities, count, grid, params, dt, kick = 1) {
+  if (grid) {
+    depositMass(positions, count, grid, params.galaxyRadius);
+    solveMeshForces(grid, params);
+  }
+
+  const a = [0, 0, 0];
+  for (let i = 0; i < count; i++) {
+    const o = i * 3;
+    totalAcceleration(positions[o], positions[o + 1], positions[o + 2], grid, params, a);
+
+    // Kick
+    velocities[o] += a[0] * dt * kick;
+    velocities[o + 1] += a[1] * dt * kick;
+    velocities[o + 2] += a[2] * dt * kick;
+
+    // Drift
+    positions[o] += velocities[o] * dt;
+    positions[o + 1] += velocities[o + 1] * dt;
+    positions[o + 2] += velocities[o + 2] * dt;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Analytic Orbits - CPU Reference Implementation
+ *
+ * In kinematic mode a particle does not integrate its motion: it keeps its
+ * orbit and is placed on it in closed form. The orbit is a vec4
+ * (radius, phase, height, swing) taken from the generated position:
+ *
+ * - Circular motion in the disk plane: angle = phase - φ, where the orbit has
+ *   turned through φ = Ω(radius) × θ + ω(radius) × t. Ω is the dimensionless
+ *   rotation curve, scaled by rotationSpeed through θ; ω is the central black
+ *   hole's physical angular speed, applied at the simulation time t like the
+ *   accretion disk and gravity mode, so rotationSpeed does not scale it
+ * - A vertical oscillation through the disk: y = height cos(νφ) + swing sin(νφ)
+ *   with ν = verticalFrequency
+ *
+ * θ is the rotation angle, evaluated from the simulation time as
+ * t × rotationSpeed + phase rather than summed step by step. A change of speed
+ * moves the phase so that θ does not jump and only its rate changes. The same
+ * θ always gives the same positions, so time can be rewound, reset or set
+ * without error building up. Displacements by the interaction tools are kept
+ * apart as an offset that decays back to the orbit (GalaxySimulation.createKinematicUpdate).
+ *
+ * The particle is at its generated position at θ = t = 0. swing = ±height makes
+ * every particle swing as far below the midplane as above it, which keeps the
+ * thickness of the disk on average.
+ *
+ * helpers.js mirrors these functions in TSL. Like nbody.js, this module has no
+ * Three.js dependency.
+ */
+
+import { centralAngularSpeed } from './nbody.js';
+
+// id: value of the rotationCurve uniform (see rotationCurve() in helpers.js)
+export const ROTATION_CURVES = {
+  differential: { label: 'Differential', id: 0 },
+  flat: { label: 'Flat', id: 1 },
+  keplerian: { label: 'Keplerian', id: 2 },
+  solid: { label: 'Solid Body', id: 3 }
+};
+
+/**
+ * Looks up a rotation curve by key, falling back to differential
+ */
+export function getRotationCurve(name) {
+  return ROTATION_CURVES[name] || ROTATION_CURVES.differential;
+}
+
+// Radius where the flat and Keplerian curves turn over from solid-body rotation
+export const ROTATION_CURVE_CORE = 3.0;
+
+/**
+ * Angular speed per unit of rotation speed at a radius, 1 at the center
+ *
+ * - differential: 1 / (1 + 0.1 r), the original kinematic rotation
+ * - flat: constant circular velocity outside the core, 1 / sqrt(1 + (r / rc)²)
+ * - keplerian: a softened point mass, (1 + (r / rc)²)^(-3/4)
+ * - solid: the disk turns as a whole
+ *
+ * @param {number} radius - Distance from the rotation axis
+ * @param {number} curve - ROTATION_CURVES id
+ * @returns {number}
+ */
+export function rotationCurve(radius, curve) {
+  const x = radius / ROTATION_CURVE_CORE;
+  if (curve === ROTATION_CURVES.flat.id) return 1 / Math.sqrt(1 + x * x);
+  if (curve === ROTATION_CURVES.keplerian.id) return Math.pow(1 + x * x, -0.75);
+  if (curve === ROTATION_CURVES.solid.id) return 1;
+  return 1 / (radius * 0.1 + 1);
+}
+
+/**
+ * Angle an orbit has turned through: the rotation curve at the rotation angle,
+ * plus the central black hole's pull at its physical angular speed
+ *
+ * @param {number} radius - Distance from the rotation axis
+ * @param {object} params - { rotationAngle, time, rotationCurve (id), centralMass }
+ * @returns {number}
+ */
+export function orbitAngle(radius, params) {
+  return rotationCurve(radius, params.rotationCurve) * params.rotationAngle +
+    centralAngularSpeed(radius, params.centralMass || 0) * (params.time || 0);
+}
+
+/**
+ * Orbit through a position, mirrors orbitParameters() in helpers.js
+ *
+ * @param {number} swingSign - 1 or -1, the direction the particle starts moving vertically
+ * @param {Float32Array|number[]} out - Receives (radius, phase, height, swing) at offset
+ * @param {number} offset - Index of the radius in out
+ * @returns {Float32Array|number[]} - out
+ */
+export function orbitParameters(x, y, z, swingSign, out, offset = 0) {
+  out[offset] = Math.sqrt(x * x + z * z);
+  out[offset + 1] = Math.atan2(z, x);
+  out[offset + 2] = y;
+  out[offset + 3] = y * swingSign;
+  return out;
+}
+
+/**
+ * Position on an orbit, mirrors orbitPosition() in helpers.js
+ *
+ * @param {Float32Array|number[]} orbits - Packed (radius, phase, height, swing)
+ * @param {number} offset - Index of the radius in orbits
+ * @param {object} params - { rotationAngle, time, rotationCurve (id), verticalFrequency, centralMass }
+ * @param {number[]} out - Receives the position
+ * @returns {number[]} - out
+ */
+export function orbitPosition(orbits, offset, params, out) {
+  const radius = orbits[offset];
+  const turned = orbitAngle(radius, params);
+  const angle = orbits[offset + 1] - turned;
+  const vertical = turned * params.verticalFrequency;
+
+  out[0] = Math.cos(angle) * radius;
+  out[1] = orbits[offset + 2] * Math.cos(vertical) + orbits[offset + 3] * Math.sin(vertical);
+  out[2] = Math.sin(angle) * radius;
+  return out;
+}
@@ -0,0 +1,346 @@
+/**
+ * Galaxy Presets
+ *
+ * Versioned JSON format for saving and sharing a galaxy configuration:
+ *
+ * {
+ *   "format": "webgpu-galaxy-preset",
+ *   "version": 3,
+ *   "name": "Milky Way",
+ *   "config": { ...config keys... }
+ * }
+ *
+ * Version history:
+ * 1 - The original spiral-only configuration
+ * 2 - Adds the seed, galaxy type (and its per-type parameters) and physics mode
+ * 3 - Adds dust clouds, nebulae, stellar colors, the central black hole, the
+ *     background, the interaction tools, adaptive quality and the orbit keys
+ *
+ * Bump the version whenever a key is added or changes meaning, with a
+ * migration that fills in what older presets implied.
+ *
+ * Older versions are migrated step by step to the current one when parsed.
+ * Config values are validated against a reference config (types) and the
+ * limits the controls are bound with (ranges and options, see limits.js).
+ */
+
+export const PRESET_FORMAT = 'webgpu-galaxy-preset';
+export const PRESET_VERSION = 3;
+
+const STORAGE_PREFIX = 'webgpu-galaxy:slot:';
+export const STORAGE_SLOT_COUNT = 3;
+
+// ==============================================================================
+// BUILT-IN LIBRARY
+// ==============================================================================
+
+/**
+ * Bundled presets. Each config is applied on top of the default config.
+ */
+export const PRESET_LIBRARY = [
+  {
+    name: 'Milky Way',
+    config: {
+      galaxyType: 'barred',
+      spiralTightness: 1.5,
+      armCount: 2,
+      armWidth: 2.0,
+      randomness: 1.5,
+      barLength: 0.3,
+      barWidth: 1.2,
+      barFraction: 0.25,
+      galaxyThickness: 2,
+      denseStarColor: '#4f9dff',
+      sparseStarColor: '#ffc99e',
+      cloudTintColor: '#ffd2b8'
+    }
+  },
+  {
+    name: 'Whirlpool',
+    config: {
+      galaxyType: 'spiral',
+      spiralTightness: 1.1,
+      armCount: 2,
+      armWidth: 1.4,
+      randomness: 1.0,
+      galaxyRadius: 14,
+      galaxyThickness: 1.5,
+      starBrightness: 0.35,
+      denseStarColor: '#3d7bff',
+      sparseStarColor: '#ff9f7a',
+      cloudCount: 8000,
+      cloudTintColor: '#ff8fb0',
+      nebulaCount: 1600
+    }
+  },
+  {
+    name: 'Sombrero',
+    config: {
+      galaxyType: 'spiral',
+      spiralTightness: 4.0,
+      armCount: 2,
+      armWidth: 3.5,
+      randomness: 1.0,
+      galaxyRadius: 15,
+      galaxyThickness: 0.6,
+      starBrightness: 0.4,
+      denseStarColor: '#ffe1b0',
+      sparseStarColor: '#ffb070',
+      cloudType: 'dust',
+      dustExtinction: 0.4
+    }
+  },
+  {
+    name: 'Dense Core',
+    config: {
+      galaxyType: 'elliptical',
+      sersicIndex: 6,
+      effectiveRadius: 0.12,
+      ellipticity: 0.15,
+      starBrightness: 0.2,
+      denseStarColor: '#fff2d6',
+      sparseStarColor: '#ff8a5c',
+      cloudCount: 2000,
+      nebulaCount: 0,
+      bloomStrength: 0.35
+    }
+  }
+];
+
+// ==============================================================================
+// MIGRATION
+// ==============================================================================
+
+/**
+ * Upgrades a preset from version N to N + 1, keyed by N
+ */
+const MIGRATIONS = {
+  // v1 predates seeds, galaxy types and the gravity mode: it was always a
+  // kinematic spiral laid out with the unseeded hash
+  1: (preset) => ({
+    ...preset,
+    version: 2,
+    config: {
+      seed: 0,
+      galaxyType: 'spiral',
+      physicsMode: 'kinematic',
+      ...preset.config
+    }
+  }),
+  // v2 had no nebulae, black hole or stellar colors, emissive clouds only, and
+  // a disk that did not oscillate vertically; the other new keys are settings
+  // of features that did not exist yet and keep the viewer's values
+  2: (preset) => ({
+    ...preset,
+    version: 3,
+    config: {
+      cloudType: 'emissive',
+      nebulaCount: 0,
+      starColorMode: 'gradient',
+      centralBlackHole: 'none',
+      rotationCurve: 'differential',
+      verticalFrequency: 0,
+      ...preset.config
+    }
+  })
+};
+
+function migratePreset(preset) {
+  let migrated = preset;
+  while (migrated.version < PRESET_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new Error(`No migration from preset version ${migrated.version}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated;
+}
+
+// ==============================================================================
+// VALIDATION
+// ==============================================================================
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validates config values against a reference config and the control limits
+ *
+ * Unknown keys and values of the wrong type are dropped, numbers are rounded
+ * to their step and clamped to [min, max], and option values must be one of
+ * the declared options.
+ *
+ * @param {object} values - Candidate config values
+ * @param {object} reference - Config whose keys and value types are authoritative
+ * @param {object} limits - Per-key { min, max, step, options } from getConfigLimits() (limits.js)
+ * @returns {{ config: object, warnings: string[] }}
+ */
+export function validateConfig(values, reference, limits = {}) {
+  if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+    throw new Error('Preset config must be an object');
+  }
+
+  const config = {};
+  const warnings = [];
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (!(key in reference)) {
+      warnings.push(`Unknown key "${key}" ignored`);
+      return;
+    }
+
+    const expected = typeof reference[key];
+    if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+      warnings.push(`"${key}" should be a ${expected}, ignored`);
+      return;
+    }
+
+    const limit = limits[key] || {};
+
+    if (limit.options && !Object.values(limit.options).includes(value)) {
+      warnings.push(`"${key}" has unsupported value "${value}", ignored`);
+      return;
+    }
+
+    if (expected === 'string' && COLOR_PATTERN.test(reference[key]) && !COLOR_PATTERN.test(value)) {
+      warnings.push(`"${key}" is not a #rrggbb color, ignored`);
+      return;
+    }
+
+    if (expected === 'number') {
+      const rounded = limit.step ? roundToStep(value, limit.step, limit.min || 0) : value;
+      if (rounded !== value) warnings.push(`"${key}" rounded to ${rounded}`);
+      let clamped = rounded;
+      if (limit.min !== undefined) clamped = Math.max(clamped, limit.min);
+      if (limit.max !== undefined) clamped = Math.min(clamped, limit.max);
+      if (clamped !== rounded) warnings.push(`"${key}" clamped to ${clamped}`);
+      config[key] = clamped;
+      return;
+    }
+
+    config[key] = value;
+  });
+
+  return { config, warnings };
+}
+
+/**
+ * Nearest value on the grid min + k × step, without float noise (0.30000000000000004)
+ */
+function roundToStep(value, step, min) {
+  const decimals = (String(step).split('.')[1] || '').length;
+  return Number((min + Math.round((value - min) / step) * step).toFixed(decimals));
+}
+
+// ==============================================================================
+// SERIALIZATION
+// ==============================================================================
+
+/**
+ * Wraps a config in the current preset format
+ *
+ * @param {string} name - Preset name
+ * @param {object} config - Config to save
+ * @returns {object} - Preset object (JSON-serializable)
+ */
+export function createPreset(name, config) {
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    name,
+    config: { ...config }
+  };
+}
+
+/**
+ * Parses, migrates and validates a preset
+ *
+ * @param {string|object} input - Preset JSON text or an already parsed object
+ * @param {object} reference - Reference config (see validateConfig)
+ * @param {object} limits - Control limits (see validateConfig)
+ * @returns {{ name: string, config: object, warnings: string[] }}
+ */
+export function parsePreset(input, reference, limits) {
+  const preset = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (typeof preset !== 'object' || preset === null) {
+    throw new Error('Preset must be a JSON object');
+  }
+  if (preset.format !== PRESET_FORMAT) {
+    throw new Error(`Not a galaxy preset (format "${preset.format}")`);
+  }
+  if (!Number.isInteger(preset.version) || preset.version < 1) {
+    throw new Error(`Invalid preset version "${preset.version}"`);
+  }
+  if (preset.version > PRESET_VERSION) {
+    throw new Error(`Preset version ${preset.version} is newer than supported version ${PRESET_VERSION}`);
+  }
+
+  const migrated = migratePreset(preset);
+  const { config, warnings } = validateConfig(migrated.config, reference, limits);
+
+  return { name: migrated.name || 'Untitled', config, warnings };
+}
+
+// ==============================================================================
+// STORAGE
+// ==============================================================================
+
+/**
+ * Saves a preset into a localStorage slot
+ *
+ * @param {number} slot - Slot number (1-based)
+ * @param {object} preset - Preset from createPreset
+ */
+export function saveToSlot(slot, preset) {
+  localStorage.setItem(STORAGE_PREFIX + slot, JSON.stringify(preset));
+}
+
+/**
+ * Reads the raw preset JSON stored in a localStorage slot
+ *
+ * @param {number} slot - Slot number (1-based)
+ * @returns {string|null} - Preset JSON, or null if the slot is empty
+ */
+export function readSlot(slot) {
+  return localStorage.getItem(STORAGE_PREFIX + slot);
+}
+
+/**
+ * Offers a preset as a .json file download
+ *
+ * @param {object} preset - Preset from createPreset
+ */
+export function downloadPreset(preset) {
+  const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'galaxy'}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Asks the user for a .json file and resolves with its text
+ *
+ * @returns {Promise<string>} - File contents
+ */
+export function pickPresetFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) {
+        reject(new Error('No file selected'));
+        return;
+      }
+      file.text().then(resolve, reject);
+    });
+    input.click();
+  });
+}
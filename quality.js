@@ -0,0 +1,248 @@
+/**
+ * Adaptive Quality
+ *
+ * Holds a target frame rate by trading image quality for speed. Quality is a
+ * ladder of levels: level 0 is the baseline (the settings the user chose) and
+ * every level below applies one more of QUALITY_STEPS, each scaling one knob:
+ *
+ * - bloomScale: resolution of the bloom render targets (1 = default)
+ * - pixelRatio: renderer pixel ratio
+ * - cloudCount: number of emissive clouds / dust lanes
+ * - starCount: number of stars
+ *
+ * QualityGovernor moves along the ladder from FPS samples with hysteresis:
+ * it steps down once the frame rate has stayed clearly below the target for a
+ * while, steps up only with plenty of headroom for longer, waits for a change
+ * to settle before judging again, and waits longer to step up each time an
+ * upgrade had to be taken back.
+ *
+ * runBenchmark() walks down the same ladder quickly to pick initial settings.
+ *
+ * Plain JavaScript, so decisions can be replayed in Node.
+ */
+
+export const QUALITY_MODES = {
+  fixed: { label: 'Fixed', adaptive: false },
+  auto: { label: 'Auto (Hold Target FPS)', adaptive: true }
+};
+
+/**
+ * Looks up a quality mode by key, falling back to fixed
+ */
+export function getQualityMode(name) {
+  return QUALITY_MODES[name] || QUALITY_MODES.fixed;
+}
+
+// Cheapest visual loss first; stars go last and furthest
+export const QUALITY_STEPS = [
+  { knob: 'bloomScale', factor: 0.5 },
+  { knob: 'pixelRatio', factor: 0.75 },
+  { knob: 'cloudCount', factor: 0.5 },
+  { knob: 'starCount', factor: 0.7 },
+  { knob: 'bloomScale', factor: 0.5 },
+  { knob: 'pixelRatio', factor: 0.75 },
+  { knob: 'starCount', factor: 0.7 },
+  { knob: 'cloudCount', factor: 0.5 },
+  { knob: 'starCount', factor: 0.7 },
+  { knob: 'pixelRatio', factor: 0.75 },
+  { knob: 'starCount', factor: 0.7 },
+  { knob: 'starCount', factor: 0.7 }
+];
+
+// Lowest values the steps go down to (a lower baseline is kept as it is)
+export const QUALITY_MINIMUMS = {
+  bloomScale: 0.25,
+  pixelRatio: 0.5,
+  cloudCount: 0,
+  starCount: 50000
+};
+
+const KNOB_LABELS = {
+  bloomScale: 'bloom resolution',
+  pixelRatio: 'pixel ratio',
+  cloudCount: 'clouds',
+  starCount: 'stars'
+};
+
+// Below target × DOWNGRADE_RATIO is too slow, above target × UPGRADE_RATIO has room to spare
+const DOWNGRADE_RATIO = 0.9;
+const UPGRADE_RATIO = 1.5;
+
+// Longest wait before stepping up, after repeated failed upgrades (seconds)
+const MAX_UPGRADE_WAIT = 120;
+
+/**
+ * Settings at a level of the ladder
+ *
+ * @param {object} baseline - { starCount, cloudCount, pixelRatio, bloomScale } at level 0
+ * @param {number} level - Number of QUALITY_STEPS applied
+ * @returns {object} - Settings with the same keys
+ */
+export function qualitySettings(baseline, level) {
+  const settings = { ...baseline };
+  QUALITY_STEPS.slice(0, level).forEach(({ knob, factor }) => {
+    const minimum = Math.min(QUALITY_MINIMUMS[knob], baseline[knob]);
+    settings[knob] = Math.max(roundKnob(knob, settings[knob] * factor), minimum);
+  });
+  return settings;
+}
+
+/**
+ * Next level in a direction that changes at least one setting (steps held at
+ * their minimum change nothing and are skipped)
+ *
+ * @param {object} baseline - Settings at level 0
+ * @param {number} level - Current level
+ * @param {number} direction - 1 for lower quality, -1 for higher
+ * @returns {number|null} - The level, or null at the end of the ladder
+ */
+export function nextQualityLevel(baseline, level, direction) {
+  const current = qualitySettings(baseline, level);
+  for (let next = level + direction; next >= 0 && next <= QUALITY_STEPS.length; next += direction) {
+    if (describeChanges(current, qualitySettings(baseline, next)).length > 0) return next;
+  }
+  return null;
+}
+
+/**
+ * Settings that differ between two sets of settings
+ *
+ * @returns {{ knob: string, from: number, to: number }[]}
+ */
+export function describeChanges(from, to) {
+  return Object.keys(KNOB_LABELS)
+    .filter((knob) => from[knob] !== to[knob])
+    .map((knob) => ({ knob, from: from[knob], to: to[knob] }));
+}
+
+/**
+ * One line of the quality log, e.g. "12.0 s: 18 FPS, lower: stars 750,000 → 525,000"
+ */
+export function formatDecision(decision) {
+  const changes = decision.changes
+    .map(({ knob, from, to }) => `${KNOB_LABELS[knob]} ${formatValue(from)} → ${formatValue(to)}`)
+    .join(', ');
+  const direction = decision.direction > 0 ? 'lower' : 'raise';
+  return `${decision.time.toFixed(1)} s: ${decision.fps} FPS, ${direction}: ${changes}`;
+}
+
+export class QualityGovernor {
+  /**
+   * @param {object} options
+   * @param {number} options.target - Frame rate to hold
+   * @param {number} options.downgradeAfter - Seconds too slow before stepping down (default: 2)
+   * @param {number} options.upgradeAfter - Seconds with headroom before stepping up (default: 5)
+   * @param {number} options.settle - Seconds after a change before judging again (default: 3)
+   */
+  constructor(options = {}) {
+    this.target = options.target || 30;
+    this.downgradeAfter = options.downgradeAfter !== undefined ? options.downgradeAfter : 2;
+    this.upgradeAfter = options.upgradeAfter !== undefined ? options.upgradeAfter : 5;
+    this.settle = options.settle !== undefined ? options.settle : 3;
+
+    // Decisions, oldest first (see formatDecision)
+    this.log = [];
+    this.maxLogLength = 50;
+
+    this.reset({ starCount: 0, cloudCount: 0, pixelRatio: 1, bloomScale: 1 });
+  }
+
+  /**
+   * Starts over at level 0 of a new baseline
+   *
+   * @param {object} baseline - { starCount, cloudCount, pixelRatio, bloomScale }
+   */
+  reset(baseline) {
+    this.baseline = { ...baseline };
+    this.level = 0;
+    this.slowSince = null;
+    this.fastSince = null;
+    this.lastChange = -Infinity;
+    this.lastDirection = 0;
+    this.upgradeWait = this.upgradeAfter;
+  }
+
+  /**
+   * Current settings
+   */
+  get settings() {
+    return qualitySettings(this.baseline, this.level);
+  }
+
+  /**
+   * Takes an FPS measurement and decides whether to change level
+   *
+   * @param {number} fps - Measured frames per second
+   * @param {number} time - Seconds on any steadily increasing clock
+   * @returns {object|null} - Decision { level, direction, settings, changes, fps, time }, or null to keep the level
+   */
+  sample(fps, time) {
+    if (time - this.lastChange < this.settle) return null;
+
+    this.slowSince = fps < this.target * DOWNGRADE_RATIO ? (this.slowSince !== null ? this.slowSince : time) : null;
+    this.fastSince = fps >= this.target * UPGRADE_RATIO ? (this.fastSince !== null ? this.fastSince : time) : null;
+
+    if (this.slowSince !== null && time - this.slowSince >= this.downgradeAfter) {
+      // Taking back an upgrade: be slower to try again
+      if (this.lastDirection < 0) this.upgradeWait = Math.min(this.upgradeWait * 2, MAX_UPGRADE_WAIT);
+      return this.changeLevel(1, fps, time);
+    }
+    if (this.fastSince !== null && time - this.fastSince >= this.upgradeWait) {
+      return this.changeLevel(-1, fps, time);
+    }
+    return null;
+  }
+
+  /**
+   * Moves one level down (1) or up (-1) the ladder and logs the decision
+   */
+  changeLevel(direction, fps, time) {
+    const level = nextQualityLevel(this.baseline, this.level, direction);
+    this.slowSince = null;
+    this.fastSince = null;
+    if (level === null) return null;
+
+    const previous = this.settings;
+    this.level = level;
+    this.lastChange = time;
+    this.lastDirection = direction;
+
+    const settings = this.settings;
+    const decision = { level, direction, settings, changes: describeChanges(previous, settings), fps, time };
+    this.log.push(decision);
+    if (this.log.length > this.maxLogLength) this.log.shift();
+    return decision;
+  }
+}
+
+/**
+ * Picks the highest level that holds the target frame rate, measuring each
+ * level from the top down
+ *
+ * @param {object} baseline - Settings at level 0
+ * @param {number} target - Frame rate to hold
+ * @param {function(object): void} apply - Switches to a set of settings
+ * @param {function(): Promise<number>} measure - Frame rate over a short window
+ * @returns {Promise<{ level: number, settings: object, fps: number }>}
+ */
+export async function runBenchmark(baseline, target, apply, measure) {
+  let level = 0;
+  for (;;) {
+    const settings = qualitySettings(baseline, level);
+    apply(settings);
+    const fps = await measure();
+    const next = nextQualityLevel(baseline, level, 1);
+    if (fps >= target || next === null) return { level, settings, fps };
+    level = next;
+  }
+}
+
+// Counts in thousands, like the sliders; ratios to two decimals
+function roundKnob(knob, value) {
+  if (knob === 'starCount' || knob === 'cloudCount') return Math.floor(value / 1000) * 1000;
+  return Math.floor(value * 100) / 100;
+}
+
+function formatValue(value) {
+  return Number.isInteger(value) && value >= 1000 ? value.toLocaleString('en-US') : String(value);
+}
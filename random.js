@@ -0,0 +1,46 @@
+/**
+ * Seeded Random Number Generation (CPU)
+ *
+ * Deterministic replacements for Math.random() so that everything generated
+ * from config.seed (GPU particles) and config.backgroundSeed (the background
+ * sky) can be reproduced exactly.
+ */
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ *
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} - Returns values in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Maps an integer seed to the offset added to every particle's hash seed
+ * in the init shaders. Seed 0 maps to 0, the original layout; other seeds
+ * land on non-integer offsets, which decorrelates them from each other.
+ * The range stays small to preserve float precision in hash().
+ *
+ * @param {number} seed - Integer seed
+ * @returns {number} - Offset in [0, 4096)
+ */
+export function seedOffset(seed) {
+  return ((Math.imul(seed >>> 0, 2654435761) >>> 0) / 4294967296) * 4096;
+}
+
+/**
+ * Random integer seed for the "Randomize" action
+ *
+ * @returns {number} - Seed in [0, 1000000)
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
@@ -0,0 +1,477 @@
+/**
+ * Offline Recording
+ *
+ * Encoders for GalaxyViewer.record(), which renders frames one after another at
+ * a fixed simulation time per frame instead of following requestAnimationFrame,
+ * so a recording contains every frame however long each one takes to render.
+ * Frames are copied from the renderer's canvas into a 2D capture canvas right
+ * after rendering and handed to an encoder:
+ *
+ * - webm: WebCodecs (VP9, else VP8) with timestamps from the frame index, muxed
+ *   by muxWebM(). Without WebCodecs, MediaRecorder records the capture canvas;
+ *   its timestamps follow the wall clock, so frames are paced at the frame rate
+ *   and slow frames stretch the video.
+ * - png: numbered PNG files stored in a zip (createZip); without zip64 the
+ *   recording stops with an error once the archive would exceed 4 GB
+ *
+ * Everything is assembled in memory. The zip and WebM writers are plain
+ * JavaScript working on byte arrays, so they run in Node.
+ */
+
+// Bitrate of the WebM encoders in bits per second
+export const DEFAULT_VIDEO_BITRATE = 20000000;
+
+// Seconds between WebM key frames (each starts a new cluster)
+const KEY_FRAME_INTERVAL = 2;
+
+// Frames the WebCodecs encoder may queue before addFrame() waits
+const MAX_ENCODE_QUEUE = 8;
+
+export const RECORDING_FORMATS = {
+  webm: {
+    label: 'WebM Video',
+    extension: 'webm',
+    isSupported: () => typeof VideoEncoder !== 'undefined' || typeof MediaRecorder !== 'undefined',
+    createEncoder: (canvas, options) => (typeof VideoEncoder !== 'undefined'
+      ? new WebCodecsEncoder(canvas, options)
+      : new MediaRecorderEncoder(canvas, options))
+  },
+  png: {
+    label: 'PNG Sequence (zip)',
+    extension: 'zip',
+    isSupported: () => true,
+    createEncoder: (canvas, options) => new PngSequenceEncoder(canvas, options)
+  }
+};
+
+/**
+ * Looks up a recording format by key
+ */
+export function getRecordingFormat(name) {
+  return RECORDING_FORMATS[name];
+}
+
+// ==============================================================================
+// ENCODERS
+// ==============================================================================
+//
+// Every encoder reads the capture canvas it was created with and implements:
+// - async start()
+// - async addFrame(index): encodes the canvas as frame `index`
+// - async finish(): resolves with the file as a Blob
+// - cancel(): drops everything encoded so far
+
+class WebCodecsEncoder {
+  /**
+   * @param {HTMLCanvasElement} canvas - Capture canvas
+   * @param {object} options - { width, height, fps, bitrate }
+   */
+  constructor(canvas, options) {
+    this.canvas = canvas;
+    this.options = options;
+    this.chunks = [];
+    this.error = null;
+    this.codec = null;
+    this.encoder = null;
+  }
+
+  async start() {
+    const { width, height, fps, bitrate = DEFAULT_VIDEO_BITRATE } = this.options;
+
+    // VP9 where the browser can encode it at this size, else VP8
+    const candidates = [
+      { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+      { codec: 'vp8', codecId: 'V_VP8' }
+    ];
+    for (const candidate of candidates) {
+      const config = { codec: candidate.codec, width, height, bitrate, framerate: fps };
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) {
+        this.codec = candidate;
+        this.config = config;
+        break;
+      }
+    }
+    if (!this.codec) throw new Error(`No WebM encoder for ${width} × ${height}`);
+
+    this.encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.chunks.push({ data, timestamp: chunk.timestamp / 1000, key: chunk.type === 'key' });
+      },
+      error: (error) => this.error = error
+    });
+    this.encoder.configure(this.config);
+  }
+
+  async addFrame(index) {
+    if (this.error) throw this.error;
+    const { fps } = this.options;
+
+    // Timestamps in microseconds from the frame index, not the wall clock
+    const frame = new VideoFrame(this.canvas, {
+      timestamp: Math.round((index * 1000000) / fps),
+      duration: Math.round(1000000 / fps)
+    });
+    this.encoder.encode(frame, { keyFrame: index % Math.round(fps * KEY_FRAME_INTERVAL) === 0 });
+    frame.close();
+
+    // Keep the queue short, so large frames do not pile up in memory
+    while (this.encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+      await new Promise((resolve) => this.encoder.addEventListener('dequeue', resolve, { once: true }));
+    }
+  }
+
+  async finish() {
+    await this.encoder.flush();
+    this.encoder.close();
+    if (this.error) throw this.error;
+
+    const { width, height, fps } = this.options;
+    const duration = (this.chunks.length * 1000) / fps;
+    const bytes = muxWebM(this.chunks, { codecId: this.codec.codecId, width, height, duration });
+    return new Blob([bytes], { type: 'video/webm' });
+  }
+
+  cancel() {
+    if (this.encoder && this.encoder.state !== 'closed') this.encoder.close();
+    this.chunks = [];
+  }
+}
+
+class MediaRecorderEncoder {
+  /**
+   * @param {HTMLCanvasElement} canvas - Capture canvas
+   * @param {object} options - { fps, bitrate }
+   */
+  constructor(canvas, options) {
+    this.canvas = canvas;
+    this.options = options;
+    this.chunks = [];
+    this.lastFrameTime = 0;
+  }
+
+  async start() {
+    // Frame rate 0: the stream only takes frames on requestFrame()
+    this.stream = this.canvas.captureStream(0);
+    this.track = this.stream.getVideoTracks()[0];
+    this.recorder = new MediaRecorder(this.stream, {
+      mimeType: 'video/webm',
+      videoBitsPerSecond: this.options.bitrate || DEFAULT_VIDEO_BITRATE
+    });
+    this.recorder.ondataavailable = (event) => this.chunks.push(event.data);
+    this.recorder.start();
+  }
+
+  async addFrame() {
+    // Frames are timestamped on arrival, so keep them at least a frame apart
+    const interval = 1000 / this.options.fps;
+    const wait = this.lastFrameTime + interval - performance.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+
+    this.track.requestFrame();
+    this.lastFrameTime = performance.now();
+  }
+
+  async finish() {
+    // Let the last frame stay on screen for its duration
+    await new Promise((resolve) => setTimeout(resolve, 1000 / this.options.fps));
+
+    const stopped = new Promise((resolve) => this.recorder.onstop = resolve);
+    this.recorder.stop();
+    await stopped;
+    this.track.stop();
+    return new Blob(this.chunks, { type: 'video/webm' });
+  }
+
+  cancel() {
+    if (this.recorder && this.recorder.state !== 'inactive') this.recorder.stop();
+    if (this.track) this.track.stop();
+    this.chunks = [];
+  }
+}
+
+class PngSequenceEncoder {
+  /**
+   * @param {HTMLCanvasElement} canvas - Capture canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.files = [];
+  }
+
+  async start() {}
+
+  async addFrame(index) {
+    const blob = await new Promise((resolve) => this.canvas.toBlob(resolve, 'image/png'));
+    this.files.push({
+      name: `frame-${String(index).padStart(5, '0')}.png`,
+      data: new Uint8Array(await blob.arrayBuffer())
+    });
+
+    // Stop as soon as the archive can no longer be written, not after the last frame
+    checkZipSize(this.files);
+  }
+
+  async finish() {
+    return new Blob(createZip(this.files), { type: 'application/zip' });
+  }
+
+  cancel() {
+    this.files = [];
+  }
+}
+
+// ==============================================================================
+// ZIP
+// ==============================================================================
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+/**
+ * CRC-32 (as used by zip and PNG) of a byte array
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Without zip64, offsets and sizes are 32-bit and the entry count 16-bit
+export const MAX_ZIP_SIZE = 0xffffffff;
+export const MAX_ZIP_ENTRIES = 0xffff;
+
+/**
+ * Size in bytes of the archive createZip() builds from files
+ *
+ * @param {Array<{ name: string, data: Uint8Array }>} files
+ * @returns {number}
+ */
+export function zipSize(files) {
+  // Names are ASCII frame names, one byte per character
+  return files.reduce((sum, file) => sum + 30 + 46 + file.name.length * 2 + file.data.length, 22);
+}
+
+/**
+ * Throws if files don't fit in an archive without zip64
+ *
+ * @param {Array<{ name: string, data: Uint8Array }>} files
+ */
+export function checkZipSize(files) {
+  if (files.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`PNG sequence too long for a zip: ${files.length} frames, the limit is ${MAX_ZIP_ENTRIES}. Record fewer frames.`);
+  }
+  const size = zipSize(files);
+  if (size > MAX_ZIP_SIZE) {
+    const gigabytes = (size / 1024 ** 3).toFixed(2);
+    throw new Error(`PNG sequence too large for a zip: ${gigabytes} GB after ${files.length} frames, the limit is 4 GB. Record fewer frames or at a lower resolution.`);
+  }
+}
+
+/**
+ * Builds a zip archive with uncompressed (stored) entries; PNGs are already
+ * compressed. No zip64, so the archive must stay below 4 GB (checkZipSize).
+ * The file data is not copied: the archive is returned as a list of parts
+ * (headers and file data), ready for new Blob(parts).
+ *
+ * @param {Array<{ name: string, data: Uint8Array }>} files
+ * @returns {Uint8Array[]} - Archive bytes, in order
+ */
+export function createZip(files) {
+  checkZipSize(files);
+
+  const encoder = new TextEncoder();
+  const DOS_DATE = 0x21; // 1980-01-01, so the same frames give the same archive
+
+  const entries = files.map((file) => ({ ...file, name: encoder.encode(file.name), crc: crc32(file.data) }));
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+
+  const parts = [];
+  let offset = 0;
+
+  // Local headers followed by the data
+  entries.forEach((entry) => {
+    const header = new Uint8Array(30 + entry.name.length);
+    const view = new DataView(header.buffer);
+    entry.offset = offset;
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true); // Version needed
+    view.setUint16(12, DOS_DATE, true);
+    view.setUint32(14, entry.crc, true);
+    view.setUint32(18, entry.data.length, true); // Compressed size
+    view.setUint32(22, entry.data.length, true);
+    view.setUint16(26, entry.name.length, true);
+    header.set(entry.name, 30);
+    parts.push(header, entry.data);
+    offset += header.length + entry.data.length;
+  });
+
+  // Central directory and its end record
+  const directory = new Uint8Array(centralSize + 22);
+  const view = new DataView(directory.buffer);
+  offset = 0;
+  entries.forEach((entry) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true); // Version made by
+    view.setUint16(offset + 6, 20, true); // Version needed
+    view.setUint16(offset + 14, DOS_DATE, true);
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.data.length, true);
+    view.setUint32(offset + 24, entry.data.length, true);
+    view.setUint16(offset + 28, entry.name.length, true);
+    view.setUint32(offset + 42, entry.offset, true);
+    directory.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  });
+
+  // End of central directory
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, localSize, true);
+
+  parts.push(directory);
+  return parts;
+}
+
+// ==============================================================================
+// WEBM
+// ==============================================================================
+
+/**
+ * Encodes an EBML element: ID bytes, size as a variable-length integer, payload
+ */
+function ebml(id, ...payload) {
+  const idBytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) idBytes.unshift(value & 0xff);
+
+  const data = concatBytes(payload.map((part) => (typeof part === 'number' ? uintBytes(part) : part)));
+
+  // Shortest size field that fits (all ones is reserved for "unknown")
+  let length = 1;
+  while (data.length >= 2 ** (7 * length) - 1) length++;
+  const size = new Uint8Array(length);
+  for (let i = length - 1, value = data.length; i >= 0; i--, value = Math.floor(value / 256)) size[i] = value & 0xff;
+  size[0] |= 0x80 >> (length - 1);
+
+  return concatBytes([new Uint8Array(idBytes), size, data]);
+}
+
+function uintBytes(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value & 0xff);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return new Uint8Array(bytes);
+}
+
+function floatBytes(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+/**
+ * Joins byte arrays into one
+ */
+export function concatBytes(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+/**
+ * Writes encoded video frames into a single-track WebM file. Every key frame
+ * starts a new cluster, which keeps the 16-bit block timecodes in range.
+ *
+ * @param {Array<{ data: Uint8Array, timestamp: number, key: boolean }>} chunks -
+ *   Frames in decode order, timestamps in milliseconds
+ * @param {object} track - { codecId ('V_VP9' or 'V_VP8'), width, height, duration (ms) }
+ * @returns {Uint8Array} - File bytes
+ */
+export function muxWebM(chunks, track) {
+  const text = (value) => new TextEncoder().encode(value);
+
+  const header = ebml(0x1a45dfa3,
+    ebml(0x4286, 1), // EBMLVersion
+    ebml(0x42f7, 1), // EBMLReadVersion
+    ebml(0x42f2, 4), // EBMLMaxIDLength
+    ebml(0x42f3, 8), // EBMLMaxSizeLength
+    ebml(0x4282, text('webm')), // DocType
+    ebml(0x4287, 2), // DocTypeVersion
+    ebml(0x4285, 2) // DocTypeReadVersion
+  );
+
+  const info = ebml(0x1549a966,
+    ebml(0x2ad7b1, 1000000), // TimecodeScale: milliseconds
+    ebml(0x4d80, text('webgpu-galaxy')), // MuxingApp
+    ebml(0x5741, text('webgpu-galaxy')), // WritingApp
+    ebml(0x4489, floatBytes(track.duration))
+  );
+
+  const tracks = ebml(0x1654ae6b,
+    ebml(0xae, // TrackEntry
+      ebml(0xd7, 1), // TrackNumber
+      ebml(0x73c5, 1), // TrackUID
+      ebml(0x83, 1), // TrackType: video
+      ebml(0x86, text(track.codecId)),
+      ebml(0xe0, ebml(0xb0, track.width), ebml(0xba, track.height))
+    )
+  );
+
+  // Group the frames into clusters, one per key frame
+  const clusters = [];
+  let current = null;
+  chunks.forEach((chunk) => {
+    if (chunk.key || !current) {
+      current = { timecode: Math.round(chunk.timestamp), blocks: [] };
+      clusters.push(current);
+    }
+
+    // SimpleBlock: track number, timecode relative to the cluster, flags, frame
+    const block = new Uint8Array(4 + chunk.data.length);
+    block[0] = 0x81;
+    new DataView(block.buffer).setInt16(1, Math.round(chunk.timestamp) - current.timecode);
+    block[3] = chunk.key ? 0x80 : 0x00;
+    block.set(chunk.data, 4);
+    current.blocks.push(ebml(0xa3, block));
+  });
+
+  const segment = ebml(0x18538067,
+    info,
+    tracks,
+    ...clusters.map((cluster) => ebml(0x1f43b675, ebml(0xe7, cluster.timecode), ...cluster.blocks))
+  );
+
+  return concatBytes([header, segment]);
+}
+
+/**
+ * Offers a blob as a file download
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Revoked later: large files are still being read when click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
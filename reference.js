@@ -0,0 +1,569 @@
+/**
+ * Particle Simulation - CPU Reference Implementation
+ *
+ * Plain JavaScript mirror of the TSL particle code: the helpers in helpers.js,
+ * the generators in morphology.js, the star and cloud init shaders
+ * (GalaxySimulation.createGalaxySystem / createCloudPopulation with the
+ * populations in clouds.js) and the kinematic update. Like nbody.js and
+ * stellar.js it works on typed arrays and builds no nodes, so the particle
+ * logic can be exercised in Node without a GPU. The population profiles are
+ * shared with the shaders from morphology.js and clouds.js.
+ *
+ * Vectors are passed as separate x, y, z numbers and results are written into
+ * an out array, as in nbody.js. Packed arrays hold xyz triplets, orbits
+ * (radius, phase, height, swing) quadruplets (see orbits.js).
+ *
+ * hash() rounds every step to float32 like the shader, but the GPU may fuse or
+ * reorder operations, so individual particles can differ from the GPU's;
+ * distributions match.
+ */
+
+import { seedOffset } from './random.js';
+import { circularVelocity, getCentralMass } from './nbody.js';
+import { orbitParameters, orbitPosition } from './orbits.js';
+import {
+  sampleInitialMass,
+  turnoffMass,
+  populationAge,
+  mainSequenceTemperature,
+  mainSequenceLuminosity
+} from './stellar.js';
+import { TOOL_MODES, TOOL_MIN_DISTANCE } from './tools.js';
+import { STAR_PROFILE } from './morphology.js';
+import {
+  CLOUD_PROFILE,
+  DUST_PROFILE,
+  NEBULA_PROFILE,
+  NEBULA_CLUSTER_SIZE,
+  NEBULA_CLUSTER_SPREAD
+} from './clouds.js';
+
+const TWO_PI = 6.28318;
+
+// ==============================================================================
+// RANDOM NUMBER GENERATION
+// ==============================================================================
+
+const f32 = Math.fround;
+
+function fract(value) {
+  return value - Math.floor(value);
+}
+
+/**
+ * Pseudo-random value for a seed, mirrors hash() in helpers.js
+ *
+ * @param {number} seed - Random seed value
+ * @returns {number} - Value in [0, 1)
+ */
+export function hash(seed) {
+  const p = f32(fract(f32(f32(seed) * f32(0.1031))));
+  const h = f32(p + f32(19.19));
+  return f32(fract(f32(f32(h * f32(h + f32(47.43))) * p)));
+}
+
+/**
+ * Standard normal random pair (Box-Muller), mirrors hashGaussian2() in helpers.js
+ *
+ * @param {number} seedA - Seed for the radial uniform
+ * @param {number} seedB - Seed for the angular uniform
+ * @param {number[]} out - Receives the two gaussian values
+ * @returns {number[]} - out
+ */
+export function hashGaussian2(seedA, seedB, out = [0, 0]) {
+  const u1 = Math.max(hash(seedA), 0.000001);
+  const u2 = hash(seedB) * TWO_PI;
+  const r = Math.sqrt(-2 * Math.log(u1));
+  out[0] = r * Math.cos(u2);
+  out[1] = r * Math.sin(u2);
+  return out;
+}
+
+// ==============================================================================
+// PHYSICS
+// ==============================================================================
+
+/**
+ * Interaction tool force, mirrors applyToolForce() in helpers.js
+ * A particle exactly at the tool position gets no force, and attract pulls at
+ * most up to the point.
+ *
+ * @param {number[]} point - Tool position [x, y, z]
+ * @param {number} active - 1 while the tool acts, else 0
+ * @param {number} mode - TOOL_MODES entry
+ * @param {number} strength - Strength of the force
+ * @param {number} radius - Radius of influence
+ * @param {number} falloff - Falloff exponent (1 = linear)
+ * @param {number} deltaTime - Time step
+ * @param {number[]} out - Receives the displacement
+ * @returns {number[]} - out
+ */
+export function applyToolForce(x, y, z, point, active, mode, strength, radius, falloff, deltaTime, out) {
+  const dx = point[0] - x;
+  const dy = point[1] - y;
+  const dz = point[2] - z;
+  const distToPoint = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+  const proximity = Math.max(1 - distToPoint / radius, 0);
+  const influence = active * (proximity > 0 ? proximity ** falloff : 0);
+  const force = mode === TOOL_MODES.erase ? 0 : strength;
+  const magnitude = force * influence * deltaTime;
+  const pull = mode === TOOL_MODES.attract ? Math.min(magnitude, distToPoint) : magnitude;
+  const scale = pull / Math.max(distToPoint, TOOL_MIN_DISTANCE);
+
+  if (mode === TOOL_MODES.swirl) {
+    out[0] = dz * scale;
+    out[1] = 0;
+    out[2] = -dx * scale;
+  } else {
+    const sign = mode === TOOL_MODES.repel ? -1 : 1;
+    out[0] = dx * scale * sign;
+    out[1] = dy * scale * sign;
+    out[2] = dz * scale * sign;
+  }
+  return out;
+}
+
+/**
+ * Whether a particle is inside an active eraser, mirrors isErased() in helpers.js
+ *
+ * @returns {boolean}
+ */
+export function isErased(x, y, z, point, active, mode, radius) {
+  const dx = point[0] - x;
+  const dy = point[1] - y;
+  const dz = point[2] - z;
+  return active > 0 && mode === TOOL_MODES.erase && Math.sqrt(dx * dx + dy * dy + dz * dz) < radius;
+}
+
+/**
+ * Spring pull towards a target, mirrors applySpringForce() in helpers.js
+ *
+ * @param {number} strength - Spring strength constant
+ * @param {number} deltaTime - Time step
+ * @param {number[]} out - Receives the displacement
+ * @returns {number[]} - out
+ */
+export function applySpringForce(x, y, z, targetX, targetY, targetZ, strength, deltaTime, out) {
+  out[0] = (targetX - x) * strength * deltaTime;
+  out[1] = (targetY - y) * strength * deltaTime;
+  out[2] = (targetZ - z) * strength * deltaTime;
+  return out;
+}
+
+// ==============================================================================
+// MORPHOLOGY
+// ==============================================================================
+
+/**
+ * Galaxy structure parameters from a config, with the same keys and defaults
+ * as the galaxy uniform group of GalaxySimulation
+ *
+ * @param {object} config - Galaxy config
+ * @returns {object}
+ */
+export function galaxyParams(config) {
+  const value = (key, fallback) => (config[key] !== undefined ? config[key] : fallback);
+  return {
+    seed: seedOffset(config.seed || 0),
+    radius: config.galaxyRadius,
+    thickness: config.galaxyThickness || 0.1,
+    spiralTightness: config.spiralTightness,
+    armCount: config.armCount,
+    armWidth: config.armWidth,
+    randomness: config.randomness,
+    barLength: value('barLength', 0.35),
+    barWidth: value('barWidth', 1.0),
+    barFraction: value('barFraction', 0.3),
+    sersicIndex: value('sersicIndex', 4.0),
+    effectiveRadius: value('effectiveRadius', 0.25),
+    ellipticity: value('ellipticity', 0.3),
+    ringRadius: value('ringRadius', 0.7),
+    ringWidth: value('ringWidth', 1.5),
+    coreFraction: value('coreFraction', 0.2),
+    clumpCount: value('clumpCount', 6),
+    clumpSpread: value('clumpSpread', 2.5)
+  };
+}
+
+function diskHeight(seed, galaxy, normalizedRadius, profile) {
+  const thicknessFactor = 1 - Math.min(normalizedRadius, 1) + profile.thicknessBase;
+  const height = (hash(seed + 5) - 0.5) * galaxy.thickness * thicknessFactor;
+  return profile.thicknessScale !== undefined ? height * profile.thicknessScale : height;
+}
+
+function spiralArm(seed, galaxy, radius, winding, profile) {
+  const armIndex = Math.floor(hash(seed + 2) * galaxy.armCount);
+  const armAngle = armIndex * TWO_PI / galaxy.armCount;
+  const spiralAngle = winding * galaxy.spiralTightness * TWO_PI;
+
+  let angleOffset = (hash(seed + 3) - 0.5) * galaxy.randomness;
+  let radiusOffset = (hash(seed + 4) - 0.5) * galaxy.armWidth;
+  if (profile.armScatter !== undefined) {
+    angleOffset *= profile.armScatter;
+    radiusOffset *= profile.armScatter;
+  }
+  if (profile.laneOffset !== undefined) {
+    radiusOffset -= galaxy.armWidth * profile.laneOffset;
+  }
+
+  const angle = armAngle + spiralAngle + angleOffset;
+  const offsetRadius = radius + radiusOffset;
+
+  const radialSparsity = Math.abs(radiusOffset) / (galaxy.armWidth * 0.5 + 0.01);
+  const angularSparsity = Math.abs(angleOffset) / (galaxy.randomness * 0.5 + 0.01);
+
+  return {
+    x: Math.cos(angle) * offsetRadius,
+    z: Math.sin(angle) * offsetRadius,
+    densityFactor: Math.min((radialSparsity + angularSparsity) * 0.5, 1)
+  };
+}
+
+function generateSpiral(seed, galaxy, profile) {
+  const radius = Math.pow(hash(seed + 1), profile.radiusPower) * galaxy.radius;
+  const normalizedRadius = radius / galaxy.radius;
+
+  const arm = spiralArm(seed, galaxy, radius, normalizedRadius, profile);
+  const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+
+  return { x: arm.x, y, z: arm.z, normalizedRadius, densityFactor: arm.densityFactor };
+}
+
+function generateBarredSpiral(seed, galaxy, profile) {
+  const barHalfLength = galaxy.barLength * galaxy.radius;
+
+  const along = hash(seed + 8) * 2 - 1;
+  const across = hashGaussian2(seed + 9, seed + 10)[0] * galaxy.barWidth * 0.5;
+
+  const armSpan = Math.max(galaxy.radius - barHalfLength, 0.01);
+  const radius = barHalfLength + Math.pow(hash(seed + 1), profile.radiusPower) * armSpan;
+  const winding = (radius - barHalfLength) / armSpan;
+
+  if (hash(seed + 11) < galaxy.barFraction) {
+    const normalizedRadius = Math.abs(along) * galaxy.barLength;
+    const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+    return { x: along * barHalfLength, y, z: across, normalizedRadius, densityFactor: Math.abs(along) * 0.3 };
+  }
+
+  const arm = spiralArm(seed, galaxy, radius, winding, profile);
+  const normalizedRadius = radius / galaxy.radius;
+  const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+  return { x: arm.x, y, z: arm.z, normalizedRadius, densityFactor: arm.densityFactor };
+}
+
+function generateElliptical(seed, galaxy) {
+  const n = galaxy.sersicIndex;
+  const shape = n * 2;
+  const bn = n * 2 - 1 / 3 + 0.009876 / n;
+
+  const z = hashGaussian2(seed + 1, seed + 2)[0];
+  const c = 1 / (shape * 9);
+  const gammaSample = shape * Math.pow(Math.max(1 - c + z * Math.sqrt(c), 0), 3);
+
+  const effectiveRadius = galaxy.effectiveRadius * galaxy.radius;
+  const sersicRadius = effectiveRadius * Math.pow(gammaSample / bn, n);
+  const radius = galaxy.radius * (1 - Math.exp(-sersicRadius / galaxy.radius));
+  const normalizedRadius = radius / galaxy.radius;
+
+  const cosPhi = hash(seed + 3) * 2 - 1;
+  const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+  const theta = hash(seed + 4) * TWO_PI;
+
+  return {
+    x: radius * sinPhi * Math.cos(theta),
+    y: radius * cosPhi * (1 - galaxy.ellipticity),
+    z: radius * sinPhi * Math.sin(theta),
+    normalizedRadius,
+    densityFactor: Math.min(normalizedRadius * 2, 1)
+  };
+}
+
+function generateRing(seed, galaxy, profile) {
+  const ringCenter = galaxy.ringRadius * galaxy.radius;
+  const gaussian = hashGaussian2(seed + 1, seed + 2);
+  const angle = hash(seed + 3) * TWO_PI;
+
+  const inCore = hash(seed + 8) < galaxy.coreFraction;
+  const radius = inCore
+    ? Math.abs(gaussian[1]) * ringCenter * 0.15
+    : Math.abs(ringCenter + gaussian[0] * galaxy.ringWidth * 0.5);
+  const normalizedRadius = radius / galaxy.radius;
+  const densityFactor = inCore ? 0 : Math.min(Math.abs(gaussian[0]) * 0.5, 1);
+
+  const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+
+  return { x: Math.cos(angle) * radius, y, z: Math.sin(angle) * radius, normalizedRadius, densityFactor };
+}
+
+function generateIrregular(seed, galaxy, profile) {
+  const clumpCount = Math.max(Math.floor(galaxy.clumpCount), 1);
+  const clump = Math.floor(hash(seed + 8) * clumpCount);
+
+  const clumpRadius = Math.pow(hash(clump * 7.31 + galaxy.seed + 501), 0.5) * galaxy.radius * 0.6;
+  const clumpAngle = hash(clump * 3.17 + galaxy.seed + 907) * TWO_PI;
+  const clumpOffset = hashGaussian2(seed + 1, seed + 2);
+  const spread = galaxy.clumpSpread * 0.5;
+
+  let x;
+  let z;
+  let densityFactor;
+  if (hash(seed + 9) < 0.8) {
+    x = Math.cos(clumpAngle) * clumpRadius + clumpOffset[0] * spread;
+    z = Math.sin(clumpAngle) * clumpRadius + clumpOffset[1] * spread;
+    densityFactor = Math.min(Math.hypot(clumpOffset[0], clumpOffset[1]) * spread / galaxy.clumpSpread, 1);
+  } else {
+    const diffuseRadius = Math.pow(hash(seed + 3), profile.radiusPower) * galaxy.radius;
+    const diffuseAngle = hash(seed + 4) * TWO_PI;
+    x = Math.cos(diffuseAngle) * diffuseRadius;
+    z = Math.sin(diffuseAngle) * diffuseRadius;
+    densityFactor = 1;
+  }
+
+  const normalizedRadius = Math.hypot(x, z) / galaxy.radius;
+  const y = diskHeight(seed, galaxy, normalizedRadius, profile);
+
+  return { x, y, z, normalizedRadius, densityFactor };
+}
+
+/**
+ * Generators by galaxy type, mirroring GALAXY_TYPES in morphology.js
+ */
+export const GENERATORS = {
+  spiral: generateSpiral,
+  barred: generateBarredSpiral,
+  elliptical: generateElliptical,
+  ring: generateRing,
+  irregular: generateIrregular
+};
+
+/**
+ * Generates one particle, mirrors GALAXY_TYPES[type].generate()
+ *
+ * @param {string} galaxyType - Key in GENERATORS (unknown types use the spiral)
+ * @param {number} seed - Particle seed (already offset by galaxy.seed)
+ * @param {object} galaxy - Parameters from galaxyParams()
+ * @param {object} profile - Population profile
+ * @returns {{ x: number, y: number, z: number, normalizedRadius: number, densityFactor: number }}
+ */
+export function generateParticle(galaxyType, seed, galaxy, profile) {
+  return (GENERATORS[galaxyType] || GENERATORS.spiral)(seed, galaxy, profile);
+}
+
+// ==============================================================================
+// INITIALIZATION
+// ==============================================================================
+
+/**
+ * Circular orbit velocity, tangential in the XZ plane (GalaxySimulation.orbitalVelocity)
+ */
+function orbitalVelocity(x, z, config, out, offset) {
+  const planarRadius = Math.hypot(x, z);
+  const speed = circularVelocity(planarRadius, {
+    bulgeMass: config.bulgeMass !== undefined ? config.bulgeMass : 5.0,
+    bulgeRadius: config.bulgeRadius !== undefined ? config.bulgeRadius : 1.0,
+    haloVelocity: config.haloVelocity !== undefined ? config.haloVelocity : 0.8,
+    haloCoreRadius: config.haloCoreRadius !== undefined ? config.haloCoreRadius : 5.0,
+    diskMass: config.diskMass !== undefined ? config.diskMass : 5.0,
+    galaxyRadius: config.galaxyRadius,
+    softening: config.gravitySoftening !== undefined ? config.gravitySoftening : 1.0,
+    centralMass: getCentralMass(config)
+  });
+  const scale = speed / Math.max(planarRadius, 0.0001);
+  out[offset] = z * scale;
+  out[offset + 1] = 0;
+  out[offset + 2] = -x * scale;
+}
+
+/**
+ * Direction a particle starts moving vertically on its orbit (GalaxySimulation.swingSign)
+ */
+function swingSign(seed) {
+  return hash(seed + 13) < 0.5 ? 1 : -1;
+}
+
+/**
+ * Star init, mirrors the init passes of GalaxySimulation.createGalaxySystem()
+ *
+ * @param {number} count - Number of stars
+ * @param {object} config - Galaxy config
+ * @returns {{ positions: Float32Array, orbits: Float32Array, velocities: Float32Array,
+ *   densityFactors: Float32Array, normalizedRadii: Float32Array, temperatures: Float32Array,
+ *   luminosities: Float32Array }} - Packed xyz for the vectors and (radius, phase, height,
+ *   swing) for the orbits, one value per star otherwise
+ */
+export function initStars(count, config) {
+  const galaxy = galaxyParams(config);
+  const armAge = config.armAge !== undefined ? config.armAge : 0.05;
+  const bulgeAge = config.bulgeAge !== undefined ? config.bulgeAge : 10.0;
+
+  const stars = {
+    positions: new Float32Array(count * 3),
+    orbits: new Float32Array(count * 4),
+    velocities: new Float32Array(count * 3),
+    densityFactors: new Float32Array(count),
+    normalizedRadii: new Float32Array(count),
+    temperatures: new Float32Array(count),
+    luminosities: new Float32Array(count)
+  };
+
+  for (let i = 0; i < count; i++) {
+    const seed = i + galaxy.seed;
+    const particle = generateParticle(config.galaxyType, seed, galaxy, STAR_PROFILE);
+
+    const o = i * 3;
+    stars.positions[o] = particle.x;
+    stars.positions[o + 1] = particle.y;
+    stars.positions[o + 2] = particle.z;
+    orbitParameters(particle.x, particle.y, particle.z, swingSign(seed), stars.orbits, i * 4);
+    orbitalVelocity(particle.x, particle.z, config, stars.velocities, o);
+    stars.densityFactors[i] = particle.densityFactor;
+    stars.normalizedRadii[i] = particle.normalizedRadius;
+
+    // Stellar population: young arms, old bulge
+    const edge = Math.min(Math.max((particle.normalizedRadius - 0.1) / 0.25, 0), 1);
+    const youth = (1 - particle.densityFactor) * edge * edge * (3 - 2 * edge);
+    const age = populationAge(youth, armAge, bulgeAge);
+    const mass = sampleInitialMass(hash(seed + 12), turnoffMass(age));
+    stars.temperatures[i] = mainSequenceTemperature(mass);
+    stars.luminosities[i] = mainSequenceLuminosity(mass);
+  }
+
+  return stars;
+}
+
+/**
+ * Cloud init, mirrors the init passes of GalaxySimulation.createCloudPopulation()
+ * for the populations in clouds.js
+ *
+ * @param {number} count - Number of cloud particles
+ * @param {object} config - Galaxy config (cloudType and cloudTintColor for 'clouds')
+ * @param {string} population - 'clouds' or 'nebulae'
+ * @returns {{ positions: Float32Array, orbits: Float32Array, velocities: Float32Array,
+ *   colors: Float32Array, sizes: Float32Array, rotations: Float32Array }} - Packed xyz/rgb for
+ *   the vectors and quadruplets for the orbits, one value per particle otherwise; nebula colors are intensities (the hue is
+ *   applied by the material)
+ */
+export function initClouds(count, config, population = 'clouds') {
+  const galaxy = galaxyParams(config);
+  const tint = parseColor(config.cloudTintColor || '#6ba8cc');
+  const gaussian = [0, 0];
+
+  const clouds = {
+    positions: new Float32Array(count * 3),
+    orbits: new Float32Array(count * 4),
+    velocities: new Float32Array(count * 3),
+    colors: new Float32Array(count * 3),
+    sizes: new Float32Array(count),
+    rotations: new Float32Array(count)
+  };
+
+  for (let i = 0; i < count; i++) {
+    const o = i * 3;
+    let x;
+    let y;
+    let z;
+    let seed;
+
+    if (population === 'nebulae') {
+      // Sprites scattered around a region center shared by their cluster
+      seed = i + 30000 + galaxy.seed;
+      const cluster = Math.floor(i / NEBULA_CLUSTER_SIZE);
+      const center = generateParticle(config.galaxyType, cluster + 20000 + galaxy.seed, galaxy, NEBULA_PROFILE);
+      hashGaussian2(seed + 1, seed + 2, gaussian);
+      x = center.x + gaussian[0] * NEBULA_CLUSTER_SPREAD;
+      y = center.y + (hash(seed + 3) - 0.5) * NEBULA_CLUSTER_SPREAD;
+      z = center.z + gaussian[1] * NEBULA_CLUSTER_SPREAD;
+
+      const intensity = (hash(seed + 4) * 0.5 + 0.5) * (1 - center.normalizedRadius * 0.3);
+      clouds.colors[o] = clouds.colors[o + 1] = clouds.colors[o + 2] = intensity;
+      clouds.sizes[i] = hash(seed + 6) * 0.6 + 0.4;
+    } else {
+      seed = i + 10000 + galaxy.seed;
+      const profile = config.cloudType === 'dust' ? DUST_PROFILE : CLOUD_PROFILE;
+      const particle = generateParticle(config.galaxyType, seed, galaxy, profile);
+      x = particle.x;
+      y = particle.y;
+      z = particle.z;
+
+      const shade = 1 - particle.normalizedRadius * 0.3;
+      clouds.colors[o] = tint[0] * shade;
+      clouds.colors[o + 1] = tint[1] * shade;
+      clouds.colors[o + 2] = tint[2] * shade;
+      clouds.sizes[i] = (hash(seed + 6) * 0.5 + 0.7) * (1 - particle.normalizedRadius * 0.5);
+    }
+
+    clouds.positions[o] = x;
+    clouds.positions[o + 1] = y;
+    clouds.positions[o + 2] = z;
+    orbitParameters(x, y, z, swingSign(seed), clouds.orbits, i * 4);
+    orbitalVelocity(x, z, config, clouds.velocities, o);
+    clouds.rotations[i] = hash(seed + 7) * TWO_PI;
+  }
+
+  return clouds;
+}
+
+/**
+ * Linear RGB of a '#rrggbb' color, as THREE.Color.set() stores it
+ */
+function parseColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map((channel) => {
+    const c = channel / 255;
+    return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+  });
+}
+
+// ==============================================================================
+// UPDATE
+// ==============================================================================
+
+/**
+ * One kinematic update step, mirrors GalaxySimulation.createKinematicUpdate():
+ * the particle sits on its orbit at params.rotationAngle plus its offset, the
+ * interaction tool pushes it and a spring pulls it back to the orbit; what is
+ * left of the push is kept as the new offset. The tool and spring use the
+ * magnitude of dt, so they act the same way when time runs backwards. Black
+ * holes are the same force in attract mode and are left out.
+ *
+ * @param {Float32Array} orbits - Packed orbits from initStars() / initClouds()
+ * @param {Float32Array} offsets - Packed xyz displacements from the orbits (updated in place)
+ * @param {Float32Array} positions - Receives the packed xyz positions
+ * @param {number} count - Number of particles
+ * @param {object} params - { rotationAngle, time, rotationCurve (ROTATION_CURVES id), verticalFrequency,
+ *   springStrength, point: [x, y, z], active, mode, strength, radius, falloff, centralMass (optional) }
+ * @param {number} dt - Time step
+ */
+export function kinematicStep(orbits, offsets, positions, count, params, dt) {
+  const orbit = [0, 0, 0];
+  const p = [0, 0, 0];
+  const force = [0, 0, 0];
+
+  for (let i = 0; i < count; i++) {
+    const o = i * 3;
+
+    orbitPosition(orbits, i * 4, params, orbit);
+    p[0] = orbit[0] + offsets[o];
+    p[1] = orbit[1] + offsets[o + 1];
+    p[2] = orbit[2] + offsets[o + 2];
+
+    applyToolForce(
+      p[0], p[1], p[2],
+      params.point, params.active, params.mode, params.strength, params.radius, params.falloff,
+      Math.abs(dt),
+      force
+    );
+    p[0] += force[0];
+    p[1] += force[1];
+    p[2] += force[2];
+
+    applySpringForce(p[0], p[1], p[2], orbit[0], orbit[1], orbit[2], params.springStrength, Math.abs(dt), force);
+    positions[o] = p[0] + force[0];
+    positions[o + 1] = p[1] + force[1];
+    positions[o + 2] = p[2] + force[2];
+    offsets[o] = positions[o] - orbit[0];
+    offsets[o + 1] = positions[o + 1] - orbit[1];
+    offsets[o + 2] = positions[o + 2] - orbit[2];
+  }
+}
@@ -0,0 +1,378 @@
+/**
+ * Galaxy Scenarios
+ *
+ * A scenario stages one or more GalaxySimulation instances in the scene, each
+ * with its own config, position, velocity and disk tilt. Galaxy centers move
+ * under their mutual gravity (leapfrog on the CPU, treating every galaxy as a
+ * Plummer sphere), and in gravity mode each galaxy's particles also feel the
+ * other galaxies, so tidal tails form during close encounters.
+ */
+
+import * as THREE from 'three/webgpu';
+import { GalaxySimulation, MAX_PERTURBERS } from './galaxy.js';
+import { galaxyMass, plummerAcceleration, getCentralMass } from './nbody.js';
+import { BACKENDS, fitToCapabilities } from './capabilities.js';
+
+// ==============================================================================
+// COMPUTE SUBMISSION
+// ==============================================================================
+
+/**
+ * How the compute shaders of a simulation step go to the GPU (a debugging
+ * switch of the Diagnostics folder, not part of the config). perPass is how
+ * earlier versions stepped the simulation, kept to compare against
+ * (GalaxyViewer.benchmarkComputeSubmission)
+ *
+ * - batched: one compute pass for all shaders of every galaxy, not awaited
+ * - perPass: one compute pass (and command buffer) per shader, each awaited
+ *   with computeAsync before the next one and before the frame renders
+ */
+export const COMPUTE_SUBMISSIONS = {
+  batched: { label: 'Batched', batched: true },
+  perPass: { label: 'Per Pass', batched: false }
+};
+
+/**
+ * Looks up a compute submission by key, falling back to batched
+ */
+export function getComputeSubmission(name) {
+  return COMPUTE_SUBMISSIONS[name] || COMPUTE_SUBMISSIONS.batched;
+}
+
+// ==============================================================================
+// PRESETS
+// ==============================================================================
+
+/**
+ * Built-in scenarios
+ *
+ * Each galaxy entry has:
+ * - config: overrides applied on top of the base config
+ * - position / velocity: initial center state [x, y, z]
+ * - tilt: disk orientation as Euler angles in degrees [x, y, z]
+ *
+ * The first galaxy is the primary one: it uses the live config object that
+ * the UI edits. camera optionally repositions the view when the scenario loads.
+ */
+export const SCENARIO_PRESETS = {
+  single: {
+    label: 'Single Galaxy',
+    galaxies: [
+      { config: {}, position: [0, 0, 0], velocity: [0, 0, 0], tilt: [0, 0, 0] }
+    ]
+  },
+  milkyWayAndromeda: {
+    label: 'Milky Way – Andromeda',
+    camera: { position: [0, 45, 70], target: [0, 0, 0], maxDistance: 150 },
+    galaxies: [
+      {
+        // Milky Way: barred spiral
+        config: {
+          starCount: 300000,
+          cloudCount: 3000,
+          galaxyType: 'barred',
+          physicsMode: 'gravity',
+          galaxyRadius: 11,
+          denseStarColor: '#1885ff'
+        },
+        position: [-22, -4, 0],
+        velocity: [0.35, 0.05, 0.25],
+        tilt: [0, 0, 0]
+      },
+      {
+        // Andromeda: larger, heavier spiral seen nearly edge-on
+        config: {
+          starCount: 350000,
+          cloudCount: 3000,
+          galaxyType: 'spiral',
+          physicsMode: 'gravity',
+          galaxyRadius: 14,
+          bulgeMass: 7.0,
+          diskMass: 6.0,
+          denseStarColor: '#ff9a5c'
+        },
+        position: [22, 4, 0],
+        velocity: [-0.35, -0.05, -0.25],
+        tilt: [77, 0, 20]
+      }
+    ]
+  }
+};
+
+// ==============================================================================
+// SCENARIO CLASS
+// ==============================================================================
+
+export class GalaxyScenario {
+  /**
+   * @param {THREE.Scene} scene - Scene the galaxies are added to
+   * @param {THREE.WebGPURenderer} renderer - Renderer running the simulations (frees their buffers)
+   * @param {THREE.Texture} cloudTexture - Cloud sprite texture
+   */
+  constructor(scene, renderer, cloudTexture = null) {
+    this.scene = scene;
+    this.renderer = renderer;
+    this.cloudTexture = cloudTexture;
+
+    // Renderer backend limits; WebGPU until the renderer reports otherwise
+    this.capabilities = BACKENDS.webgpu;
+
+    // Key in COMPUTE_SUBMISSIONS
+    this.computeSubmission = 'batched';
+
+    // Galaxies and their center state (world space)
+    this.galaxies = [];
+    this.centers = [];
+
+    // State: config values the current preset replaced on the primary galaxy
+    this.presetName = null;
+    this.savedConfig = null;
+  }
+
+  /**
+   * The galaxy controlled by the UI
+   */
+  get primary() {
+    return this.galaxies[0];
+  }
+
+  /**
+   * Replaces the current galaxies with those of a preset
+   *
+   * @param {string} presetName - Key in SCENARIO_PRESETS
+   * @param {object} config - Live config object; becomes the primary galaxy's config
+   */
+  load(presetName, config) {
+    const preset = SCENARIO_PRESETS[presetName] || SCENARIO_PRESETS.single;
+    this.dispose();
+
+    // Undo the previous preset's overrides before applying the new ones
+    if (this.savedConfig) Object.assign(config, this.savedConfig);
+
+    const baseConfig = { ...config };
+    this.presetName = SCENARIO_PRESETS[presetName] ? presetName : 'single';
+    this.savedConfig = {};
+    Object.keys(preset.galaxies[0].config).forEach((key) => this.savedConfig[key] = config[key]);
+
+    preset.galaxies.forEach((spec, index) => {
+      // The primary galaxy keeps the live config object so UI bindings stay connected;
+      // the others derive their seed from it so they do not share a layout
+      const galaxyConfig = index === 0
+        ? Object.assign(config, spec.config)
+        : { ...baseConfig, seed: baseConfig.seed + index, ...spec.config };
+      Object.assign(galaxyConfig, fitToCapabilities(galaxyConfig, this.capabilities));
+
+      const simulation = new GalaxySimulation(this.scene, galaxyConfig, this.cloudTexture);
+      simulation.createGalaxySystem();
+      simulation.createClouds();
+
+      const tilt = new THREE.Euler(
+        THREE.MathUtils.degToRad(spec.tilt[0]),
+        THREE.MathUtils.degToRad(spec.tilt[1]),
+        THREE.MathUtils.degToRad(spec.tilt[2])
+      );
+      const center = {
+        position: new THREE.Vector3(...spec.position),
+        velocity: new THREE.Vector3(...spec.velocity),
+        acceleration: new THREE.Vector3(),
+        tilt,
+        staggered: false // Velocity half a step behind the position (see update)
+      };
+      simulation.setTransform(center.position, tilt);
+
+      this.galaxies.push(simulation);
+      this.centers.push(center);
+    });
+
+    return preset;
+  }
+
+  /**
+   * Applies the limits of the renderer backend to the current and future galaxies
+   *
+   * @param {object} capabilities - Entry of BACKENDS
+   */
+  setCapabilities(capabilities) {
+    this.capabilities = capabilities;
+    this.galaxies.forEach((simulation) => {
+      const fitted = fitToCapabilities(simulation.config, capabilities);
+      if (fitted.starCount !== simulation.config.starCount) simulation.updateStarCount(fitted.starCount);
+      if (fitted.physicsMode !== simulation.config.physicsMode) simulation.setPhysicsMode(fitted.physicsMode);
+    });
+  }
+
+  /**
+   * Re-seeds every galaxy (the primary uses seed, the others seed + index)
+   *
+   * @param {number} seed - Integer seed
+   */
+  setSeed(seed) {
+    this.galaxies.forEach((simulation, index) => {
+      simulation.config.seed = seed + index;
+      simulation.updateUniforms({ seed: seed + index });
+      simulation.regenerate();
+    });
+  }
+
+  /**
+   * Mass and Plummer radius used when a galaxy acts on the others
+   */
+  getPerturberProperties(simulation) {
+    const config = simulation.config;
+    const mass = galaxyMass({
+      bulgeMass: config.bulgeMass,
+      diskMass: config.diskMass,
+      haloVelocity: config.haloVelocity,
+      haloCoreRadius: config.haloCoreRadius,
+      galaxyRadius: config.galaxyRadius,
+      centralMass: getCentralMass(config)
+    });
+    return { mass, radius: config.galaxyRadius * 0.25 };
+  }
+
+  /**
+   * Computes the gravitational acceleration of every galaxy center
+   */
+  computeCenterAccelerations(properties) {
+    const a = [0, 0, 0];
+    this.centers.forEach((center, i) => {
+      center.acceleration.set(0, 0, 0);
+      this.centers.forEach((other, j) => {
+        if (i === j) return;
+        const offset = other.position.clone().sub(center.position);
+        plummerAcceleration(offset.x, offset.y, offset.z, properties[j].mass, properties[j].radius, a);
+        center.acceleration.x += a[0];
+        center.acceleration.y += a[1];
+        center.acceleration.z += a[2];
+      });
+    });
+  }
+
+  /**
+   * Sets how compute shaders are submitted
+   *
+   * @param {string} name - Key in COMPUTE_SUBMISSIONS
+   */
+  setComputeSubmission(name) {
+    this.computeSubmission = name;
+  }
+
+  /**
+   * Advances the galaxy centers, then updates every galaxy's particles
+   *
+   * @param {object} interaction - World-space tool state, see GalaxySimulation.update()
+   * @param {PassTimer} timer - Times the compute passes (optional, see diagnostics.js)
+   * @returns {Promise|null} - Settles once the compute shaders are submitted,
+   *   null when they already are (see submit())
+   */
+  update(renderer, deltaTime, interaction, timer = null) {
+    if (this.galaxies.length > 1) {
+      const properties = this.galaxies.map((simulation) => this.getPerturberProperties(simulation));
+
+      this.computeCenterAccelerations(properties);
+
+      // Each galaxy feels the others, relative to the pull on its own center
+      this.galaxies.forEach((simulation, i) => {
+        const perturbers = [];
+        this.centers.forEach((other, j) => {
+          if (i !== j && perturbers.length < MAX_PERTURBERS) {
+            perturbers.push({ position: other.position, ...properties[j] });
+          }
+        });
+        simulation.setPerturbers(perturbers, this.centers[i].acceleration);
+      });
+
+      // Kick-drift leapfrog for the centers, starting with a half kick like the particles
+      this.centers.forEach((center, i) => {
+        center.velocity.addScaledVector(center.acceleration, center.staggered ? deltaTime : deltaTime * 0.5);
+        center.staggered = true;
+        center.position.addScaledVector(center.velocity, deltaTime);
+        this.galaxies[i].setTransform(center.position, center.tilt);
+      });
+    }
+
+    const passes = this.galaxies.map((simulation) => simulation.update(renderer, deltaTime, interaction));
+    return this.submit(renderer, passes, timer);
+  }
+
+  /**
+   * Runs pending init shaders without advancing time (used while paused)
+   *
+   * @returns {Promise|null} - See update()
+   */
+  initialize(renderer, timer = null) {
+    const passes = this.galaxies.map((simulation) => simulation.initialize(renderer));
+    return this.submit(renderer, passes, timer);
+  }
+
+  /**
+   * Submits the compute shaders of every galaxy, star shaders before cloud
+   * shaders, as set by setComputeSubmission(). The caller awaits the returned
+   * promise before changing the uniforms again
+   *
+   * @param {{ star: ComputeNode[], cloud: ComputeNode[] }[]} passes - Shaders by galaxy
+   * @param {PassTimer} timer - Times the compute passes (optional)
+   * @returns {Promise|null} - The awaited perPass passes, null when batched
+   */
+  submit(renderer, passes, timer = null) {
+    const star = passes.flatMap((galaxy) => galaxy.star);
+    const cloud = passes.flatMap((galaxy) => galaxy.cloud);
+
+    if (getComputeSubmission(this.computeSubmission).batched) {
+      const nodes = [...star, ...cloud];
+      if (nodes.length > 0) {
+        if (timer) timer.dispatch('compute', nodes);
+        else renderer.compute(nodes);
+      }
+      return null;
+    }
+    return this.submitPerPass(renderer, star, cloud, timer);
+  }
+
+  /**
+   * Runs the shaders one compute pass at a time, awaiting each
+   */
+  async submitPerPass(renderer, star, cloud, timer) {
+    const run = (pass, node) => (timer ? timer.compute(pass, node) : renderer.computeAsync(node));
+    for (const node of star) await run('starCompute', node);
+    for (const node of cloud) await run('cloudCompute', node);
+  }
+
+  /**
+   * Storage buffers of every galaxy, grouped like GalaxySimulation.getStorageBuffers()
+   */
+  getStorageBuffers() {
+    const groups = new Map();
+    this.galaxies.forEach((simulation) => {
+      simulation.getStorageBuffers().forEach(({ label, buffers }) => {
+        groups.set(label, [...(groups.get(label) || []), ...buffers]);
+      });
+    });
+    return Array.from(groups, ([label, buffers]) => ({ label, buffers }));
+  }
+
+  /**
+   * Restarts every galaxy's accumulated simulation time at zero
+   */
+  resetTime() {
+    this.galaxies.forEach((simulation) => simulation.resetTime());
+  }
+
+  /**
+   * Sets every galaxy's simulation time (see GalaxySimulation.setTime)
+   *
+   * @param {number} time - Simulation time in seconds
+   */
+  setTime(time) {
+    this.galaxies.forEach((simulation) => simulation.setTime(time));
+  }
+
+  /**
+   * Removes all galaxies from the scene and releases their GPU resources
+   */
+  dispose() {
+    this.galaxies.forEach((simulation) => simulation.dispose(this.renderer));
+    this.galaxies = [];
+    this.centers = [];
+  }
+}
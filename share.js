@@ -0,0 +1,119 @@
+/**
+ * Shareable URL State
+ *
+ * Encodes the configuration, scenario and camera view into the URL hash so a
+ * link reproduces exactly what is on screen. Only values that differ from the
+ * defaults are written, as plain query parameters:
+ *
+ *   #v=1&seed=42&galaxyType=barred&denseStarColor=1885ff&cam=0,12,17,0,-2,0
+ *
+ * - v: URL state version
+ * - cam: camera position x,y,z followed by the orbit target x,y,z
+ * - scenario: scenario preset key (omitted for the single galaxy)
+ * - any other key: a config value (colors without the leading '#')
+ *
+ * Decoded config values go through the same validation as presets, so unknown
+ * keys are dropped and numbers are clamped to the UI binding ranges.
+ */
+
+import { validateConfig } from './presets.js';
+
+export const URL_STATE_VERSION = 1;
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const CAMERA_LIMIT = 1000; // Camera far plane
+
+/**
+ * Formats a number compactly (at most 4 decimals, no trailing zeros)
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 10000) / 10000);
+}
+
+/**
+ * Builds the hash string (without '#') for the current state
+ *
+ * @param {object} state
+ * @param {object} state.config - Live config
+ * @param {object} state.defaults - Default config; equal values are omitted
+ * @param {string} state.scenario - Scenario preset key
+ * @param {THREE.Vector3} state.position - Camera position
+ * @param {THREE.Vector3} state.target - Orbit controls target
+ * @returns {string}
+ */
+export function encodeState({ config, defaults, scenario, position, target }) {
+  const params = new URLSearchParams();
+  params.set('v', URL_STATE_VERSION);
+
+  if (scenario && scenario !== 'single') params.set('scenario', scenario);
+
+  Object.entries(config).forEach(([key, value]) => {
+    if (value === defaults[key]) return;
+    if (typeof value === 'number') {
+      params.set(key, formatNumber(value));
+    } else if (typeof value === 'string') {
+      params.set(key, COLOR_PATTERN.test(value) ? value.slice(1) : value);
+    }
+  });
+
+  params.set('cam', [position.x, position.y, position.z, target.x, target.y, target.z].map(formatNumber).join(','));
+
+  return params.toString();
+}
+
+/**
+ * Parses a hash string back into config values, scenario and camera view
+ *
+ * @param {string} hash - location.hash (with or without the leading '#')
+ * @param {object} reference - Reference config (keys and value types)
+ * @param {object} limits - Per-key limits from getConfigLimits() (limits.js)
+ * @returns {{ config: object, scenario: string|null, view: object|null, warnings: string[] }|null}
+ *   null when the hash holds no state
+ */
+export function decodeState(hash, reference, limits) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (!params.has('v')) return null;
+
+  const version = Number(params.get('v'));
+  if (!Number.isInteger(version) || version > URL_STATE_VERSION) {
+    return { config: {}, scenario: null, view: null, warnings: [`Unsupported URL state version "${params.get('v')}"`] };
+  }
+
+  const values = {};
+  let scenario = null;
+  let view = null;
+  const warnings = [];
+
+  params.forEach((raw, key) => {
+    if (key === 'v') return;
+
+    if (key === 'scenario') {
+      scenario = raw;
+      return;
+    }
+
+    if (key === 'cam') {
+      const numbers = raw.split(',').map(Number);
+      if (numbers.length !== 6 || !numbers.every(Number.isFinite)) {
+        warnings.push(`Invalid camera "${raw}" ignored`);
+        return;
+      }
+      const clamped = numbers.map((value) => Math.min(Math.max(value, -CAMERA_LIMIT), CAMERA_LIMIT));
+      view = { position: clamped.slice(0, 3), target: clamped.slice(3, 6) };
+      return;
+    }
+
+    // Convert from text using the reference type; validateConfig rejects the rest
+    const expected = key in reference ? typeof reference[key] : null;
+    if (expected === 'number') {
+      values[key] = raw.trim() === '' ? NaN : Number(raw);
+    } else if (expected === 'string' && COLOR_PATTERN.test(reference[key])) {
+      values[key] = `#${raw}`;
+    } else {
+      values[key] = raw;
+    }
+  });
+
+  const result = validateConfig(values, reference, limits);
+  return { config: result.config, scenario, view, warnings: warnings.concat(result.warnings) };
+}
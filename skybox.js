@@ -0,0 +1,357 @@
+/**
+ * Background Sky
+ *
+ * What is drawn behind the galaxies, selected by the backgroundMode config key
+ * (see BACKGROUND_MODES):
+ *
+ * - Procedural stars: a seeded starfield generated per pixel on the GPU from
+ *   the view direction, so it sits at infinity (no parallax, never clipped by
+ *   the far plane). Several layers of grid cells hold one star each, from a few
+ *   bright stars to many faint ones, over a faint Milky Way band of noise with
+ *   a dark dust lane. Distant background galaxies are sprites kept just inside
+ *   the far plane around the camera
+ * - Image: an equirectangular image (HDR or LDR) as the scene background
+ * - None: plain black
+ *
+ * Everything of the procedural sky is a uniform: seed, density, brightness,
+ * twinkle and galaxy count change without rebuilding anything.
+ */
+
+import * as THREE from 'three/webgpu';
+import { HDRLoader } from 'three/addons/loaders/HDRLoader.js';
+import {
+  Fn,
+  instanceIndex,
+  float,
+  vec2,
+  vec3,
+  vec4,
+  uv,
+  uniform,
+  positionLocal,
+  cameraPosition,
+  cameraFar,
+  floor,
+  fract,
+  dot,
+  exp,
+  sin,
+  cos,
+  sqrt,
+  mix,
+  length,
+  select,
+  mx_fractal_noise_float
+} from 'three/tsl';
+
+import { hash } from './helpers.js';
+import { createRandom, seedOffset } from './random.js';
+
+export const BACKGROUND_MODES = {
+  stars: { label: 'Procedural Stars', starfield: true, image: false },
+  image: { label: 'Image (Equirectangular)', starfield: false, image: true },
+  none: { label: 'None', starfield: false, image: false }
+};
+
+/**
+ * Looks up a background mode by key, falling back to stars
+ */
+export function getBackgroundMode(name) {
+  return BACKGROUND_MODES[name] || BACKGROUND_MODES.stars;
+}
+
+// Star layers, brightest first: cells per unit of view direction, chance of a
+// star per cell at density 1, peak brightness and radius (in cells)
+const STAR_LAYERS = [
+  { scale: 40, fill: 0.35, brightness: 1.0, radius: 0.15 },
+  { scale: 110, fill: 0.5, brightness: 0.45, radius: 0.2 },
+  { scale: 260, fill: 0.6, brightness: 0.2, radius: 0.3 }
+];
+
+// Half-width of the Milky Way band and of its dust lane, as sin(latitude)
+const BAND_WIDTH = 0.2;
+const DUST_LANE_WIDTH = 0.04;
+
+export const MAX_BACKGROUND_GALAXIES = 2000;
+
+// Background galaxies sit at this fraction of the camera's far plane
+const GALAXY_DISTANCE = 0.9;
+
+const TWO_PI = 6.28318;
+
+export class Skybox {
+  /**
+   * @param {THREE.Scene} scene - Scene whose background is drawn
+   * @param {object} config - Config with the background keys (see DEFAULT_CONFIG)
+   */
+  constructor(scene, config) {
+    this.scene = scene;
+    this.mode = getBackgroundMode(config.backgroundMode);
+    this.visible = true;
+
+    this.uniforms = {
+      time: uniform(0),
+      seed: uniform(seedOffset(config.backgroundSeed || 0)),
+      bandNormal: uniform(bandNormal(config.backgroundSeed || 0)),
+      density: uniform(config.starfieldDensity !== undefined ? config.starfieldDensity : 1.0),
+      brightness: uniform(config.starfieldBrightness !== undefined ? config.starfieldBrightness : 1.0),
+      twinkle: uniform(config.starfieldTwinkle !== undefined ? config.starfieldTwinkle : 0.3),
+      milkyWay: uniform(config.milkyWayBrightness !== undefined ? config.milkyWayBrightness : 0.4)
+    };
+
+    this.starfieldNode = this.createStarfield();
+    this.galaxies = this.createGalaxies();
+    this.galaxies.count = clampGalaxyCount(config.backgroundGalaxyCount);
+    this.scene.add(this.galaxies);
+
+    // Loaded equirectangular image, if any
+    this.image = null;
+    this.imageUrl = '';
+    if (config.backgroundImage) this.loadImage(config.backgroundImage).catch((err) => console.error(err));
+
+    this.apply();
+  }
+
+  /**
+   * Background node: the star layers over the Milky Way band, by view direction
+   */
+  createStarfield() {
+    const uniforms = this.uniforms;
+
+    return Fn(() => {
+      const direction = positionLocal.normalize();
+
+      // Milky Way: a noisy band around a great circle, split by a dust lane
+      const latitude = dot(direction, uniforms.bandNormal);
+      const band = exp(latitude.div(BAND_WIDTH).pow(2).negate());
+      const noise = mx_fractal_noise_float(direction.mul(3.0).add(uniforms.seed), 4, 2.0, 0.5).mul(0.5).add(0.5);
+      const lane = exp(latitude.div(DUST_LANE_WIDTH).pow(2).negate()).mul(noise).mul(0.8);
+      const glow = band.mul(noise).mul(float(1.0).sub(lane));
+      const tint = mix(vec3(0.55, 0.6, 0.8), vec3(1.0, 0.85, 0.7), noise);
+      const color = tint.mul(glow).mul(uniforms.milkyWay).mul(0.25).toVar();
+
+      // More stars along the band
+      const density = uniforms.density.mul(band.mul(2.0).add(1.0));
+
+      STAR_LAYERS.forEach((layer, index) => {
+        color.addAssign(starLayer(direction, layer, index, density, uniforms).mul(float(1.0).sub(lane)));
+      });
+
+      return vec4(color.mul(uniforms.brightness), 1.0);
+    })();
+  }
+
+  /**
+   * Sprites of distant galaxies, in random directions around the camera
+   */
+  createGalaxies() {
+    const uniforms = this.uniforms;
+
+    const material = new THREE.SpriteNodeMaterial();
+    material.transparent = false;
+    material.depthWrite = false;
+    material.blending = THREE.AdditiveBlending;
+
+    const seed = instanceIndex.toFloat().mul(7.0).add(uniforms.seed);
+
+    // Uniform direction on the sphere, kept inside the far plane
+    const z = hash(seed).mul(2.0).sub(1.0);
+    const angle = hash(seed.add(1)).mul(TWO_PI);
+    const ring = sqrt(float(1.0).sub(z.mul(z)));
+    const direction = vec3(ring.mul(cos(angle)), z, ring.mul(sin(angle)));
+    const distance = cameraFar.mul(GALAXY_DISTANCE);
+    material.positionNode = cameraPosition.add(direction.mul(distance));
+
+    // Mostly tiny, a few larger; inclined disks look elongated
+    const size = mix(0.002, 0.012, hash(seed.add(2)).pow(4)).mul(distance);
+    const axisRatio = mix(0.25, 1.0, hash(seed.add(3)));
+    material.scaleNode = vec2(size, size.mul(axisRatio));
+    material.rotationNode = hash(seed.add(4)).mul(Math.PI);
+
+    // Bright core in a fainter disk, old yellow to young blue
+    const r = length(uv().sub(0.5).mul(2.0));
+    const profile = exp(r.mul(r).mul(-30.0)).add(exp(r.mul(-5.0)).mul(0.3)).mul(float(1.0).sub(r).max(0.0));
+    const color = mix(vec3(1.0, 0.85, 0.65), vec3(0.7, 0.8, 1.0), hash(seed.add(5)));
+    const brightness = mix(0.2, 0.8, hash(seed.add(6))).mul(uniforms.brightness);
+    material.colorNode = vec4(color.mul(brightness), 1.0);
+    material.opacityNode = profile;
+
+    const sprite = new THREE.Sprite(material);
+    sprite.geometry = sprite.geometry.clone();
+    sprite.frustumCulled = false;
+    sprite.renderOrder = -1;
+    return sprite;
+  }
+
+  /**
+   * Shows or hides the whole background (e.g. for transparent captures)
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.apply();
+  }
+
+  /**
+   * Sets the scene background of the current mode
+   */
+  apply() {
+    const stars = this.visible && this.mode.starfield;
+    const image = this.visible && this.mode.image && this.image;
+
+    this.scene.backgroundNode = stars ? this.starfieldNode : null;
+    this.scene.background = image ? this.image : (this.visible ? new THREE.Color(0x000000) : null);
+    this.scene.backgroundIntensity = image ? this.uniforms.brightness.value : 1;
+    this.galaxies.visible = stars;
+  }
+
+  /**
+   * Updates uniforms from config changes
+   */
+  updateUniforms(configUpdate) {
+    if (configUpdate.backgroundSeed !== undefined) {
+      this.uniforms.seed.value = seedOffset(configUpdate.backgroundSeed);
+      this.uniforms.bandNormal.value.copy(bandNormal(configUpdate.backgroundSeed));
+    }
+    if (configUpdate.starfieldDensity !== undefined)
+      this.uniforms.density.value = configUpdate.starfieldDensity;
+    if (configUpdate.starfieldBrightness !== undefined)
+      this.uniforms.brightness.value = configUpdate.starfieldBrightness;
+    if (configUpdate.starfieldTwinkle !== undefined)
+      this.uniforms.twinkle.value = configUpdate.starfieldTwinkle;
+    if (configUpdate.milkyWayBrightness !== undefined)
+      this.uniforms.milkyWay.value = configUpdate.milkyWayBrightness;
+    if (configUpdate.backgroundGalaxyCount !== undefined)
+      this.galaxies.count = clampGalaxyCount(configUpdate.backgroundGalaxyCount);
+    if (configUpdate.backgroundImage !== undefined && configUpdate.backgroundImage !== this.imageUrl) {
+      this.loadImage(configUpdate.backgroundImage).catch((err) => console.error(err));
+    }
+    if (configUpdate.backgroundMode !== undefined) {
+      this.mode = getBackgroundMode(configUpdate.backgroundMode);
+    }
+    this.apply();
+  }
+
+  /**
+   * Moves the twinkling on by a frame
+   *
+   * @param {number} frameTime - Seconds the frame covers
+   */
+  advance(frameTime) {
+    this.uniforms.time.value += frameTime;
+  }
+
+  /**
+   * Loads an equirectangular image for the image mode; an empty URL clears it
+   *
+   * @param {string} url - Image URL (an object URL for local files)
+   * @param {boolean} hdr - Radiance HDR rather than a browser-decoded image
+   *   (default: by the .hdr extension)
+   * @returns {Promise<void>}
+   */
+  async loadImage(url, hdr = /\.hdr($|\?)/i.test(url)) {
+    this.imageUrl = url;
+    let texture = null;
+    if (url) {
+      texture = hdr ? await new HDRLoader().loadAsync(url) : await new THREE.TextureLoader().loadAsync(url);
+      if (!hdr) texture.colorSpace = THREE.SRGBColorSpace;
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+    }
+
+    // A newer image may have been requested while this one loaded
+    if (this.imageUrl !== url) {
+      if (texture) texture.dispose();
+      return;
+    }
+    if (this.image) this.image.dispose();
+    this.image = texture;
+    this.apply();
+  }
+
+  dispose() {
+    this.scene.backgroundNode = null;
+    this.scene.background = null;
+    this.scene.remove(this.galaxies);
+    this.galaxies.material.dispose();
+    this.galaxies.geometry.dispose();
+    if (this.image) this.image.dispose();
+    this.image = null;
+  }
+}
+
+/**
+ * Lets the user pick a local background image
+ *
+ * @returns {Promise<File>}
+ */
+export function pickImageFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*,.hdr';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) {
+        reject(new Error('No file selected'));
+        return;
+      }
+      resolve(file);
+    });
+    input.click();
+  });
+}
+
+/**
+ * Normal of the Milky Way band's great circle for a seed
+ */
+function bandNormal(seed) {
+  const random = createRandom(seed);
+  const z = random() * 2 - 1;
+  const angle = random() * Math.PI * 2;
+  const ring = Math.sqrt(1 - z * z);
+  return new THREE.Vector3(ring * Math.cos(angle), z, ring * Math.sin(angle));
+}
+
+function clampGalaxyCount(count) {
+  return Math.min(Math.max(Math.round(count !== undefined ? count : 300), 0), MAX_BACKGROUND_GALAXIES);
+}
+
+/**
+ * Hash of a grid cell, three values in [0, 1)
+ */
+const hash3 = Fn(([cell]) => {
+  const p = fract(cell.mul(vec3(0.1031, 0.103, 0.0973))).toVar();
+  p.addAssign(dot(p, p.yxz.add(33.33)));
+  return fract(p.xxy.add(p.yxx).mul(p.zyx));
+});
+
+/**
+ * Light of one star layer in a view direction. Every grid cell the direction
+ * passes through holds at most one star, kept far enough inside the cell that
+ * no neighboring cell has to be checked.
+ */
+function starLayer(direction, layer, index, density, uniforms) {
+  const point = direction.mul(layer.scale);
+  const cell = floor(point);
+  const random = hash3(cell.add(uniforms.seed).add(index * 137.0));
+
+  // Star position: a random point of the cell, projected onto the sphere
+  const center = cell.add(random.mul(0.6).add(0.2));
+  const projected = center.normalize().mul(layer.scale);
+  const inside = projected.sub(cell.add(0.5)).abs().lessThan(vec3(0.5 - layer.radius)).all();
+
+  // Brightness magnitudes: 5 magnitudes (a factor 100) between the brightest and faintest
+  const magnitude = hash(random.x.add(random.y).mul(91.7)).mul(5.0);
+  const luminosity = float(10.0).pow(magnitude.mul(-0.4)).mul(layer.brightness);
+
+  // Twinkle: each star flickers at its own rate and phase
+  const rate = random.y.mul(3.0).add(1.0);
+  const flicker = sin(uniforms.time.mul(rate).add(random.z.mul(TWO_PI))).mul(0.5).add(0.5);
+  const twinkle = float(1.0).sub(uniforms.twinkle.mul(flicker));
+
+  const distance = length(point.sub(projected));
+  const shape = exp(distance.div(layer.radius).pow(2).mul(-3.0));
+  const present = select(random.x.lessThan(density.mul(layer.fill)).and(inside), float(1.0), float(0.0));
+  const color = mix(vec3(0.7, 0.8, 1.0), vec3(1.0, 0.82, 0.6), random.z);
+
+  return color.mul(shape.mul(luminosity).mul(twinkle).mul(present));
+}
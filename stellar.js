@@ -0,0 +1,219 @@
+/**
+ * Stellar Population Model - CPU Reference Implementation
+ *
+ * Plain JavaScript model behind the "stellar" star colour mode. It has no
+ * Three.js dependency so it can be exercised in Node; the star init shader
+ * mirrors the sampling functions in TSL (see helpers.js), and the blackbody
+ * colours reach the GPU as a lookup texture built by createBlackbodyTable().
+ *
+ * Every star gets:
+ * - an initial mass drawn from the Kroupa (2001) IMF, truncated at the
+ *   main-sequence turnoff mass of its region's population age
+ * - a main-sequence temperature and luminosity derived from that mass
+ *
+ * Regions differ only by age: spiral arms hold young populations that still
+ * have O/B stars, the bulge an old one where only stars below ~1 M☉ survive.
+ *
+ * Units: masses and luminosities in solar units, temperatures in kelvin,
+ * ages in Gyr.
+ */
+
+// Kroupa IMF: dN/dm ∝ m^-1.3 below the break mass, m^-2.3 above it
+export const IMF_MIN_MASS = 0.08;
+export const IMF_MAX_MASS = 100;
+export const IMF_BREAK_MASS = 0.5;
+export const IMF_LOW_SLOPE = 1.3;
+export const IMF_HIGH_SLOPE = 2.3;
+
+// Temperature range covered by the blackbody lookup table
+export const BLACKBODY_MIN_TEMPERATURE = 1000;
+export const BLACKBODY_MAX_TEMPERATURE = 40000;
+
+const SOLAR_TEMPERATURE = 5772;
+
+// ==============================================================================
+// INITIAL MASS FUNCTION
+// ==============================================================================
+
+/**
+ * ∫ m^-slope dm from a to b
+ */
+function powerLawIntegral(a, b, slope) {
+  const k = 1 - slope;
+  return (Math.pow(b, k) - Math.pow(a, k)) / k;
+}
+
+/**
+ * Inverse of powerLawIntegral for the upper bound: the b for which ∫ from a to b equals area
+ */
+function powerLawInverse(a, area, slope) {
+  const k = 1 - slope;
+  return Math.pow(Math.pow(a, k) + area * k, 1 / k);
+}
+
+/**
+ * Draws a stellar mass from the Kroupa IMF by inverting its cumulative distribution
+ *
+ * The two power-law segments join continuously at IMF_BREAK_MASS, so the high
+ * segment is weighted by IMF_BREAK_MASS^(IMF_HIGH_SLOPE - IMF_LOW_SLOPE).
+ *
+ * @param {number} u - Uniform random number in [0, 1)
+ * @param {number} maxMass - Upper mass cutoff (e.g. the turnoff mass)
+ * @returns {number} - Mass in solar masses, in [IMF_MIN_MASS, maxMass]
+ */
+export function sampleInitialMass(u, maxMass = IMF_MAX_MASS) {
+  const upper = Math.min(Math.max(maxMass, IMF_MIN_MASS), IMF_MAX_MASS);
+  const lowUpper = Math.min(upper, IMF_BREAK_MASS);
+  const highWeight = Math.pow(IMF_BREAK_MASS, IMF_HIGH_SLOPE - IMF_LOW_SLOPE);
+
+  const lowArea = powerLawIntegral(IMF_MIN_MASS, lowUpper, IMF_LOW_SLOPE);
+  const highArea = highWeight * powerLawIntegral(IMF_BREAK_MASS, Math.max(upper, IMF_BREAK_MASS), IMF_HIGH_SLOPE);
+
+  const target = u * (lowArea + highArea);
+  if (target < lowArea) {
+    return powerLawInverse(IMF_MIN_MASS, target, IMF_LOW_SLOPE);
+  }
+  return Math.min(powerLawInverse(IMF_BREAK_MASS, (target - lowArea) / highWeight, IMF_HIGH_SLOPE), upper);
+}
+
+/**
+ * Heaviest star still on the main sequence in a population of a given age,
+ * from the main-sequence lifetime t ≈ 10 Gyr · M^-2.5
+ *
+ * @param {number} age - Population age in Gyr
+ * @returns {number} - Turnoff mass in solar masses
+ */
+export function turnoffMass(age) {
+  return Math.min(Math.pow(10 / Math.max(age, 1e-4), 0.4), IMF_MAX_MASS);
+}
+
+/**
+ * Population age of a region, interpolated logarithmically between the bulge
+ * and arm ages
+ *
+ * @param {number} youth - 0 for bulge/old regions, 1 for spiral arm/young regions
+ * @param {number} armAge - Age of arm populations in Gyr
+ * @param {number} bulgeAge - Age of bulge populations in Gyr
+ * @returns {number} - Age in Gyr
+ */
+export function populationAge(youth, armAge, bulgeAge) {
+  return Math.pow(bulgeAge, 1 - youth) * Math.pow(armAge, youth);
+}
+
+// ==============================================================================
+// MAIN SEQUENCE
+// ==============================================================================
+
+/**
+ * Effective temperature of a main-sequence star
+ * Power-law fit: T ∝ M^0.35 below 1 M☉, T ∝ M^0.57 above
+ *
+ * @param {number} mass - Mass in solar masses
+ * @returns {number} - Temperature in kelvin
+ */
+export function mainSequenceTemperature(mass) {
+  return SOLAR_TEMPERATURE * Math.pow(mass, mass < 1 ? 0.35 : 0.57);
+}
+
+/**
+ * Luminosity of a main-sequence star (piecewise mass-luminosity relation)
+ *
+ * @param {number} mass - Mass in solar masses
+ * @returns {number} - Luminosity in solar luminosities
+ */
+export function mainSequenceLuminosity(mass) {
+  if (mass < 0.43) return 0.23 * Math.pow(mass, 2.3);
+  if (mass < 2) return Math.pow(mass, 4);
+  return 1.4 * Math.pow(mass, 3.5);
+}
+
+/**
+ * Harvard spectral class of a given temperature
+ *
+ * @param {number} temperature - Temperature in kelvin
+ * @returns {string} - One of O, B, A, F, G, K, M
+ */
+export function spectralClass(temperature) {
+  if (temperature >= 30000) return 'O';
+  if (temperature >= 10000) return 'B';
+  if (temperature >= 7500) return 'A';
+  if (temperature >= 6000) return 'F';
+  if (temperature >= 5200) return 'G';
+  if (temperature >= 3700) return 'K';
+  return 'M';
+}
+
+// ==============================================================================
+// BLACKBODY COLOUR
+// ==============================================================================
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+/**
+ * sRGB colour of a blackbody at a given temperature, normalized so the
+ * brightest channel is 1 (Tanner Helland's fit to the CIE 1964 data)
+ *
+ * @param {number} temperature - Temperature in kelvin (clamped to the table range)
+ * @param {number[]} out - Receives [r, g, b] in [0, 1]
+ * @returns {number[]} - out
+ */
+export function blackbodyColor(temperature, out = [0, 0, 0]) {
+  const t = Math.min(Math.max(temperature, BLACKBODY_MIN_TEMPERATURE), BLACKBODY_MAX_TEMPERATURE) / 100;
+
+  let r;
+  let g;
+  let b;
+  if (t <= 66) {
+    r = 255;
+    g = 99.4708025861 * Math.log(t) - 161.1195681661;
+    b = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  } else {
+    r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    b = 255;
+  }
+
+  out[0] = clamp01(r / 255);
+  out[1] = clamp01(g / 255);
+  out[2] = clamp01(b / 255);
+  return out;
+}
+
+/**
+ * Lookup coordinate of a temperature: logarithmic over the table range
+ *
+ * @param {number} temperature - Temperature in kelvin
+ * @returns {number} - Coordinate in [0, 1]
+ */
+export function blackbodyCoordinate(temperature) {
+  const min = Math.log(BLACKBODY_MIN_TEMPERATURE);
+  const max = Math.log(BLACKBODY_MAX_TEMPERATURE);
+  return clamp01((Math.log(temperature) - min) / (max - min));
+}
+
+/**
+ * Builds an RGBA8 sRGB lookup table of blackbody colours, indexed by
+ * blackbodyCoordinate(temperature)
+ *
+ * @param {number} size - Number of entries
+ * @returns {Uint8Array} - size * 4 bytes
+ */
+export function createBlackbodyTable(size = 256) {
+  const data = new Uint8Array(size * 4);
+  const min = Math.log(BLACKBODY_MIN_TEMPERATURE);
+  const max = Math.log(BLACKBODY_MAX_TEMPERATURE);
+  const color = [0, 0, 0];
+
+  for (let i = 0; i < size; i++) {
+    const temperature = Math.exp(min + (max - min) * (i / (size - 1)));
+    blackbodyColor(temperature, color);
+    data[i * 4] = Math.round(color[0] * 255);
+    data[i * 4 + 1] = Math.round(color[1] * 255);
+    data[i * 4 + 2] = Math.round(color[2] * 255);
+    data[i * 4 + 3] = 255;
+  }
+
+  return data;
+}
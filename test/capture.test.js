@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fitCaptureSize, getTiles, MAX_CAPTURE_SIZE } from '../capture.js';
+
+test('fitCaptureSize keeps the aspect ratio when scaling down', () => {
+  assert.deepEqual(fitCaptureSize(1920.4, 1080), { width: 1920, height: 1080 });
+  assert.deepEqual(fitCaptureSize(MAX_CAPTURE_SIZE * 2, MAX_CAPTURE_SIZE), { width: MAX_CAPTURE_SIZE, height: MAX_CAPTURE_SIZE / 2 });
+  assert.deepEqual(fitCaptureSize(3000, 40000), { width: 1229, height: MAX_CAPTURE_SIZE });
+  assert.deepEqual(fitCaptureSize(0, 0), { width: 1, height: 1 });
+});
+
+test('fitCaptureSize fits a recording within the texture limit', () => {
+  assert.deepEqual(fitCaptureSize(3840, 2160, 2048), { width: 2048, height: 1152 });
+  assert.deepEqual(fitCaptureSize(1080, 1920, 2048), { width: 1080, height: 1920 });
+  assert.deepEqual(fitCaptureSize(3840, 2160, 8192), { width: 3840, height: 2160 });
+});
+
+test('getTiles covers the image once', () => {
+  const width = 5000;
+  const height = 3000;
+  const covered = getTiles(width, height, 2048).reduce((sum, tile) => sum + tile.width * tile.height, 0);
+  assert.equal(covered, width * height);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SimulationClock,
+  FIXED_TIME_STEP,
+  MAX_STEPS_PER_FRAME,
+  MAX_BACKLOG_STEPS,
+  MAX_TIME_SCALE,
+  MIN_TIME_SCALE
+} from '../clock.js';
+
+/**
+ * Steps run over a number of frames of the same length
+ */
+function run(clock, frames, frameTime) {
+  let steps = 0;
+  for (let i = 0; i < frames; i++) steps += clock.advance(frameTime);
+  return steps;
+}
+
+test('advance spends frame time in fixed steps', () => {
+  const clock = new SimulationClock();
+  assert.equal(clock.advance(FIXED_TIME_STEP), 1);
+  assert.equal(clock.deltaTime, FIXED_TIME_STEP);
+
+  // Short frames accumulate into a step
+  assert.equal(clock.advance(FIXED_TIME_STEP * 0.6), 0);
+  assert.equal(clock.advance(FIXED_TIME_STEP * 0.6), 1);
+
+  // The same simulated time at any frame rate
+  for (const fps of [144, 60, 30, 10, 5]) {
+    const steps = run(new SimulationClock(), fps * 10, 1 / fps);
+    assert.ok(Math.abs(steps - 600) <= 1, `${steps} steps in 10 s at ${fps} fps`);
+  }
+});
+
+test('advance carries a slow frame over to later frames', () => {
+  const clock = new SimulationClock();
+  clock.setTimeScale(MAX_TIME_SCALE);
+
+  // 20 steps are due at 4× and 12 fps, 16 run; the rest catches up once frames are fast again
+  assert.equal(clock.advance(1 / 12), MAX_STEPS_PER_FRAME);
+  const later = run(clock, 10, 1 / 240);
+  assert.ok(Math.abs(MAX_STEPS_PER_FRAME + later - (20 + 10)) <= 1, `${MAX_STEPS_PER_FRAME + later} steps`);
+  assert.equal(clock.droppedTime, 0);
+
+  // Down to 15 fps every frame keeps up
+  const steps = run(new SimulationClock(FIXED_TIME_STEP), 150, 1 / 15);
+  assert.ok(Math.abs(steps - 600) <= 1, `${steps} steps in 10 s at 15 fps`);
+});
+
+test('advance drops time beyond the backlog and reports it', () => {
+  const clock = new SimulationClock();
+  assert.equal(clock.advance(10), MAX_STEPS_PER_FRAME);
+  const dropped = 10 - (MAX_STEPS_PER_FRAME + MAX_BACKLOG_STEPS) * FIXED_TIME_STEP;
+  assert.ok(Math.abs(clock.droppedTime - dropped) < 1e-9, `dropped ${clock.droppedTime}`);
+
+  // The backlog still runs
+  assert.equal(run(clock, 10, 0), MAX_BACKLOG_STEPS);
+});
+
+test('pause stops time until resumed', () => {
+  const clock = new SimulationClock();
+  clock.advance(FIXED_TIME_STEP * 0.9);
+  clock.pause();
+  assert.equal(run(clock, 10, FIXED_TIME_STEP), 0);
+
+  // Time spent paused is not caught up, nor the part step from before
+  clock.resume();
+  assert.equal(clock.advance(FIXED_TIME_STEP * 0.5), 0);
+  assert.equal(clock.advance(FIXED_TIME_STEP * 0.5), 1);
+
+  clock.togglePause();
+  assert.equal(clock.paused, true);
+  clock.setTimeScale(0);
+  clock.resume();
+  assert.equal(clock.advance(1), 0, 'no steps at a time scale of 0');
+});
+
+test('stepOnce runs single steps forward and back while paused', () => {
+  const clock = new SimulationClock();
+  clock.stepOnce(1);
+  assert.equal(clock.paused, true);
+  assert.equal(clock.advance(0), 1);
+  assert.equal(clock.deltaTime, FIXED_TIME_STEP);
+  assert.equal(clock.advance(1), 0, 'paused after the step');
+
+  clock.stepOnce(-1);
+  clock.stepOnce(-1);
+  assert.equal(clock.advance(0), 2);
+  assert.equal(clock.deltaTime, -FIXED_TIME_STEP);
+});
+
+test('a negative time scale runs the steps backwards', () => {
+  const clock = new SimulationClock();
+  clock.setTimeScale(-2);
+  assert.equal(clock.advance(FIXED_TIME_STEP), 2);
+  assert.equal(clock.deltaTime, -FIXED_TIME_STEP);
+
+  clock.setTimeScale(-100);
+  assert.equal(clock.timeScale, MIN_TIME_SCALE);
+  clock.setTimeScale(100);
+  assert.equal(clock.timeScale, MAX_TIME_SCALE);
+});
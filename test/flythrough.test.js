@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CameraPath, parseCameraPath, PATH_LIMIT_RANGES } from '../flythrough.js';
+
+function pathWith(limits) {
+  const path = new CameraPath();
+  path.addKeyframe({ position: [0, 10, 30], target: [0, 0, 0], fov: 60 }, 0);
+  return { ...path.toJSON(), limits: { ...path.limits, ...limits } };
+}
+
+test('parseCameraPath round-trips a path', () => {
+  const json = pathWith({ enabled: true, near: 0.05 });
+  const path = parseCameraPath(JSON.stringify(json));
+  assert.deepEqual(path.toJSON(), json);
+});
+
+test('parseCameraPath clamps the camera limits to their ranges', () => {
+  const { limits } = parseCameraPath(pathWith({ near: -1, far: 1e9, minDistance: Number.NaN, maxDistance: 'far' }));
+  assert.equal(limits.near, PATH_LIMIT_RANGES.near[0]);
+  assert.equal(limits.far, PATH_LIMIT_RANGES.far[1]);
+  assert.equal(limits.minDistance, new CameraPath().limits.minDistance);
+  assert.equal(limits.maxDistance, new CameraPath().limits.maxDistance);
+});
+
+test('parseCameraPath rejects inverted limits', () => {
+  assert.throws(() => parseCameraPath(pathWith({ near: 10, far: 10 })), /near plane/);
+  assert.throws(() => parseCameraPath(pathWith({ minDistance: 40, maxDistance: 20 })), /min distance/);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CENTRAL_MASS_SOFTENING,
+  galacticAcceleration,
+  circularVelocity,
+  createMassGrid,
+  gridCellIndex,
+  gridCellCenter,
+  depositMass,
+  solveMeshForces,
+  leapfrogStep
+} from '../nbody.js';
+
+const params = {
+  bulgeMass: 5,
+  bulgeRadius: 1,
+  haloVelocity: 0.8,
+  haloCoreRadius: 5,
+  centralMass: 1,
+  diskMass: 0, // The analytic potential only, which galacticAcceleration covers
+  galaxyRadius: 13,
+  softening: 1,
+  particleMass: 0.01
+};
+
+/**
+ * Potential of the bulge, halo and central mass, whose gradient is galacticAcceleration
+ */
+function potential(x, y, z) {
+  const r2 = x * x + y * y + z * z;
+  return -params.bulgeMass / Math.sqrt(r2 + params.bulgeRadius ** 2) +
+    0.5 * params.haloVelocity ** 2 * Math.log(r2 + params.haloCoreRadius ** 2) -
+    params.centralMass / Math.sqrt(r2 + CENTRAL_MASS_SOFTENING ** 2);
+}
+
+test('galacticAcceleration holds circular orbits at circularVelocity', () => {
+  const a = [0, 0, 0];
+  for (const centralMass of [0, 1]) {
+    for (const radius of [0.5, 1, 3, 8, 13, 20]) {
+      const orbit = { ...params, centralMass };
+      galacticAcceleration(radius, 0, 0, orbit, a);
+      assert.ok(a[0] < 0 && a[1] === 0 && a[2] === 0, `pulls towards the center at ${radius}`);
+
+      // Centripetal acceleration v² / r
+      const speed = circularVelocity(radius, orbit);
+      assert.ok(Math.abs(-a[0] * radius - speed * speed) < 1e-12, `radius ${radius}, central mass ${centralMass}`);
+    }
+  }
+});
+
+test('leapfrogStep conserves energy and angular momentum on a circular orbit', () => {
+  const radius = 5;
+  const positions = new Float64Array([radius, 0, 0]);
+  const velocities = new Float64Array([0, 0, -circularVelocity(radius, params)]);
+  const dt = 1 / 60;
+  const a = [0, 0, 0];
+
+  // Energy at the positions' time: the half-step velocity kicked on by half a step
+  const energy = () => {
+    galacticAcceleration(positions[0], positions[1], positions[2], params, a);
+    const vx = velocities[0] + a[0] * dt * 0.5;
+    const vz = velocities[2] + a[2] * dt * 0.5;
+    return 0.5 * (vx * vx + vz * vz) + potential(positions[0], positions[1], positions[2]);
+  };
+  const angularMomentum = () => positions[2] * velocities[0] - positions[0] * velocities[2];
+
+  const energy0 = potential(radius, 0, 0) + 0.5 * velocities[2] * velocities[2];
+  const momentum0 = angularMomentum();
+
+  leapfrogStep(positions, velocities, 1, null, params, dt, 0.5);
+  for (let step = 1; step < 20000; step++) leapfrogStep(positions, velocities, 1, null, params, dt);
+
+  assert.ok(Math.abs(energy() - energy0) < Math.abs(energy0) * 1e-5, `energy ${energy()}, started at ${energy0}`);
+  assert.ok(Math.abs(angularMomentum() - momentum0) < Math.abs(momentum0) * 1e-9, `angular momentum ${angularMomentum()}`);
+  assert.ok(Math.abs(Math.hypot(positions[0], positions[2]) - radius) < radius * 1e-3, 'the orbit stays circular');
+});
+
+test('depositMass counts every particle once', () => {
+  const grid = createMassGrid(8);
+  const count = 5000;
+  const positions = new Float32Array(count * 3);
+  // Spread beyond the grid, which clamps to its border cells
+  for (let i = 0; i < positions.length; i++) positions[i] = (Math.sin(i * 12.9898) * 0.5) * params.galaxyRadius * 4;
+
+  depositMass(positions, count, grid, params.galaxyRadius);
+  assert.equal(grid.counts.reduce((sum, cellCount) => sum + cellCount, 0), count);
+
+  // Depositing again starts from an empty grid
+  depositMass(positions, count, grid, params.galaxyRadius);
+  assert.equal(grid.counts.reduce((sum, cellCount) => sum + cellCount, 0), count);
+});
+
+test('solveMeshForces points every cell at a point mass', () => {
+  const resolution = 8;
+  const grid = createMassGrid(resolution);
+  const positions = new Float32Array(100 * 3);
+  for (let i = 0; i < 100; i++) positions.set([3, -2, 4], i * 3);
+  depositMass(positions, 100, grid, params.galaxyRadius);
+  solveMeshForces(grid, params);
+
+  const massCell = gridCellIndex(3, -2, 4, params.galaxyRadius, resolution);
+  const mass = gridCellCenter(massCell, params.galaxyRadius, resolution, [0, 0, 0]);
+  const center = [0, 0, 0];
+  let previous = Infinity;
+  for (let cell = 0; cell < grid.counts.length; cell++) {
+    const force = grid.forces.subarray(cell * 3, cell * 3 + 3);
+    if (cell === massCell) {
+      assert.ok(Math.hypot(...force) < 1e-6, 'no force on the mass itself');
+      continue;
+    }
+    gridCellCenter(cell, params.galaxyRadius, resolution, center);
+    const toMass = [mass[0] - center[0], mass[1] - center[1], mass[2] - center[2]];
+    const cosine = (force[0] * toMass[0] + force[1] * toMass[1] + force[2] * toMass[2]) / (Math.hypot(...force) * Math.hypot(...toMass));
+    assert.ok(cosine > 0.9999, `cell ${cell} points away by ${Math.acos(cosine)} rad`);
+  }
+
+  // Weaker further out along a line from the mass
+  for (let x = 0; x < resolution; x++) {
+    const cell = gridCellIndex(mass[0] - x * params.galaxyRadius * 0.3, mass[1], mass[2], params.galaxyRadius, resolution);
+    if (cell === massCell) continue;
+    const strength = Math.hypot(...grid.forces.subarray(cell * 3, cell * 3 + 3));
+    assert.ok(strength <= previous);
+    previous = strength;
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePreset, PRESET_FORMAT } from '../presets.js';
+
+const reference = {
+  seed: 0,
+  galaxyType: 'spiral',
+  physicsMode: 'kinematic',
+  starCount: 1000,
+  cloudType: 'emissive',
+  nebulaCount: 100,
+  starColorMode: 'stellar',
+  centralBlackHole: 'visible',
+  rotationCurve: 'flat',
+  verticalFrequency: 2
+};
+
+const limits = {
+  cloudType: { options: { Emissive: 'emissive', Dust: 'dust' } }
+};
+
+test('parsePreset migrates a v2 preset to what it looked like', () => {
+  const preset = {
+    format: PRESET_FORMAT,
+    version: 2,
+    name: 'Old',
+    config: { seed: 3, galaxyType: 'ring', physicsMode: 'gravity', starCount: 500 }
+  };
+  const { name, config, warnings } = parsePreset(JSON.stringify(preset), reference, limits);
+
+  assert.equal(name, 'Old');
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(config, {
+    seed: 3,
+    galaxyType: 'ring',
+    physicsMode: 'gravity',
+    starCount: 500,
+    cloudType: 'emissive',
+    nebulaCount: 0,
+    starColorMode: 'gradient',
+    centralBlackHole: 'none',
+    rotationCurve: 'differential',
+    verticalFrequency: 0
+  });
+});
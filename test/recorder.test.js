@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createZip, checkZipSize, zipSize, crc32 } from '../recorder.js';
+
+const frames = [
+  { name: 'frame-00000.png', data: new Uint8Array([1, 2, 3]) },
+  { name: 'frame-00001.png', data: new Uint8Array([4, 5, 6, 7]) }
+];
+
+test('createZip stores every file, ending with the central directory', () => {
+  const parts = createZip(frames);
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => (bytes.set(part, offset), offset + part.length), 0);
+  const view = new DataView(bytes.buffer);
+
+  assert.equal(bytes.length, zipSize(frames));
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+  assert.equal(view.getUint32(14, true), crc32(frames[0].data));
+
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), frames.length);
+  const directory = view.getUint32(end + 16, true);
+  assert.equal(view.getUint32(directory, true), 0x02014b50);
+  assert.equal(directory + view.getUint32(end + 12, true), end);
+});
+
+test('archives over 4 GB or 65535 files are rejected', () => {
+  const huge = [{ name: 'frame-00000.png', data: { length: 2 ** 32 } }];
+  assert.throws(() => checkZipSize(huge), /too large for a zip/);
+  assert.throws(() => createZip(huge), /too large for a zip/);
+
+  const many = Array.from({ length: 0x10000 }, (_, i) => ({ name: `frame-${i}.png`, data: new Uint8Array(0) }));
+  assert.throws(() => checkZipSize(many), /too long for a zip/);
+  assert.doesNotThrow(() => checkZipSize(frames));
+});
@@ -0,0 +1,284 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  hash,
+  hashGaussian2,
+  applyToolForce,
+  isErased,
+  applySpringForce,
+  galaxyParams,
+  GENERATORS,
+  generateParticle,
+  initStars,
+  initClouds,
+  kinematicStep
+} from '../reference.js';
+import { STAR_PROFILE } from '../morphology.js';
+import { CLOUD_PROFILE, NEBULA_CLUSTER_SIZE, NEBULA_CLUSTER_SPREAD } from '../clouds.js';
+import { orbitPosition, ROTATION_CURVES } from '../orbits.js';
+import { TOOL_MODES } from '../tools.js';
+
+const config = {
+  galaxyType: 'spiral',
+  galaxyRadius: 13,
+  galaxyThickness: 3,
+  spiralTightness: 1.75,
+  armCount: 2,
+  armWidth: 2.25,
+  randomness: 1.8,
+  seed: 0
+};
+
+const tool = { point: [0, 0, 0], active: 1, strength: 5, radius: 4, falloff: 1 };
+
+function pushAt(x, y, z, mode, settings = tool) {
+  return applyToolForce(
+    x, y, z,
+    settings.point, settings.active, mode, settings.strength, settings.radius, settings.falloff,
+    0.1,
+    [0, 0, 0]
+  );
+}
+
+test('hash is deterministic and in [0, 1)', () => {
+  for (let seed = 0; seed < 1000; seed++) {
+    const value = hash(seed * 1.7);
+    assert.ok(value >= 0 && value < 1, `hash(${seed * 1.7}) = ${value}`);
+    assert.equal(hash(seed * 1.7), value);
+  }
+});
+
+test('hashGaussian2 has zero mean and unit variance', () => {
+  const out = [0, 0];
+  let sum = 0;
+  let sumSquares = 0;
+  const n = 20000;
+  for (let i = 0; i < n; i++) {
+    hashGaussian2(i, i + 0.5, out);
+    sum += out[0] + out[1];
+    sumSquares += out[0] * out[0] + out[1] * out[1];
+  }
+  const mean = sum / (2 * n);
+  const variance = sumSquares / (2 * n) - mean * mean;
+  assert.ok(Math.abs(mean) < 0.05, `mean ${mean}`);
+  assert.ok(Math.abs(variance - 1) < 0.1, `variance ${variance}`);
+});
+
+test('applyToolForce pulls, pushes and swirls inside the radius only', () => {
+  const attract = pushAt(2, 0, 0, TOOL_MODES.attract);
+  assert.ok(attract[0] < 0, 'attract moves towards the point');
+
+  const repel = pushAt(2, 0, 0, TOOL_MODES.repel);
+  assert.ok(repel[0] > 0, 'repel moves away from the point');
+
+  const swirl = pushAt(2, 0, 0, TOOL_MODES.swirl);
+  assert.equal(swirl[0], 0);
+  assert.notEqual(swirl[2], 0, 'swirl moves around the point');
+
+  const isZero = (force) => force.every((v) => v === 0);
+  assert.ok(isZero(pushAt(5, 0, 0, TOOL_MODES.attract)), 'no force outside the radius');
+  assert.ok(isZero(pushAt(2, 0, 0, TOOL_MODES.erase)), 'the eraser does not push');
+  assert.ok(isZero(pushAt(2, 0, 0, TOOL_MODES.attract, { ...tool, active: 0 })), 'an inactive tool does not push');
+});
+
+test('applyToolForce fades to zero at the radius with the falloff', () => {
+  const strength = tool.strength * 0.1; // Per step of 0.1 s
+  for (const falloff of [0.5, 1, 2]) {
+    const settings = { ...tool, falloff };
+    assert.equal(pushAt(tool.radius, 0, 0, TOOL_MODES.repel, settings)[0], 0, `falloff ${falloff} at the radius`);
+
+    assert.ok(pushAt(tool.radius - 0.001, 0, 0, TOOL_MODES.repel, settings)[0] > 0, `falloff ${falloff} just inside`);
+
+    for (const distance of [0.5, 1, 2, 3, tool.radius - 0.001]) {
+      const expected = strength * (1 - distance / tool.radius) ** falloff;
+      const push = pushAt(distance, 0, 0, TOOL_MODES.repel, settings)[0];
+      assert.ok(Math.abs(push - expected) < 1e-12, `falloff ${falloff} at ${distance}: ${push}, expected ${expected}`);
+    }
+  }
+});
+
+test('applyToolForce leaves a particle at the tool position in place', () => {
+  for (const mode of Object.values(TOOL_MODES)) {
+    const force = pushAt(0, 0, 0, mode);
+    assert.ok(force.every(Number.isFinite), `mode ${mode}: ${force}`);
+  }
+});
+
+test('applyToolForce attract stops at the point', () => {
+  const strong = { ...tool, strength: 1000 };
+  const pull = pushAt(0.5, 0, 0, TOOL_MODES.attract, strong);
+  assert.ok(Math.abs(pull[0] + 0.5) < 1e-12, `pulled by ${pull[0]}`);
+
+  const push = pushAt(0.5, 0, 0, TOOL_MODES.repel, strong);
+  assert.ok(push[0] > 0.5, 'repel is not limited');
+});
+
+test('isErased only inside an active eraser', () => {
+  assert.equal(isErased(1, 0, 0, [0, 0, 0], 1, TOOL_MODES.erase, 2), true);
+  assert.equal(isErased(3, 0, 0, [0, 0, 0], 1, TOOL_MODES.erase, 2), false);
+  assert.equal(isErased(1, 0, 0, [0, 0, 0], 0, TOOL_MODES.erase, 2), false);
+  assert.equal(isErased(1, 0, 0, [0, 0, 0], 1, TOOL_MODES.attract, 2), false);
+});
+
+test('applySpringForce moves a fraction of the way to the target', () => {
+  assert.deepEqual(applySpringForce(1, 2, 3, 2, 2, 1, 2, 0.25, [0, 0, 0]), [0.5, 0, -1]);
+});
+
+test('every generator places particles inside the galaxy', () => {
+  const galaxy = galaxyParams(config);
+  for (const galaxyType of Object.keys(GENERATORS)) {
+    for (let i = 0; i < 2000; i++) {
+      const particle = generateParticle(galaxyType, i + galaxy.seed, galaxy, STAR_PROFILE);
+      const values = [particle.x, particle.y, particle.z, particle.normalizedRadius, particle.densityFactor];
+      assert.ok(values.every(Number.isFinite), `${galaxyType} particle ${i}: ${values}`);
+      assert.ok(Math.hypot(particle.x, particle.z) < galaxy.radius * 2, `${galaxyType} particle ${i} too far out`);
+      assert.ok(particle.densityFactor >= 0 && particle.densityFactor <= 1);
+    }
+  }
+});
+
+test('spiral radii follow the radius power of the profile', () => {
+  // radius = hash^power × galaxy radius, so P(normalized radius < u) = u^(1 / power)
+  const galaxy = galaxyParams(config);
+  const n = 20000;
+  for (const profile of [STAR_PROFILE, CLOUD_PROFILE]) {
+    const radii = Array.from({ length: n }, (_, i) => generateParticle('spiral', i + galaxy.seed, galaxy, profile).normalizedRadius);
+    for (const u of [0.25, 0.5, 0.8]) {
+      const share = radii.filter((radius) => radius < u).length / n;
+      const expected = u ** (1 / profile.radiusPower);
+      assert.ok(Math.abs(share - expected) < 0.02, `radius power ${profile.radiusPower}: ${share} below ${u}, expected ${expected}`);
+    }
+  }
+});
+
+test('spiral density factors grow away from the arm center', () => {
+  // The mean of two roughly uniform offsets: a triangular distribution on [0, 1]
+  const galaxy = galaxyParams(config);
+  const n = 20000;
+  const factors = Array.from({ length: n }, (_, i) => generateParticle('spiral', i + galaxy.seed, galaxy, STAR_PROFILE).densityFactor);
+  const mean = factors.reduce((sum, factor) => sum + factor, 0) / n;
+  const share = (limit) => factors.filter((factor) => factor < limit).length / n;
+  assert.ok(Math.abs(mean - 0.5) < 0.02, `mean ${mean}`);
+  assert.ok(Math.abs(share(0.25) - 0.125) < 0.02, `${share(0.25)} below 0.25`);
+  assert.ok(Math.abs(share(0.75) - 0.875) < 0.02, `${share(0.75)} below 0.75`);
+});
+
+test('elliptical density factors grow with the radius', () => {
+  const galaxy = galaxyParams({ ...config, galaxyType: 'elliptical' });
+  for (let i = 0; i < 2000; i++) {
+    const particle = generateParticle('elliptical', i, galaxy, STAR_PROFILE);
+    assert.equal(particle.densityFactor, Math.min(particle.normalizedRadius * 2, 1));
+  }
+});
+
+test('unknown galaxy types fall back to the spiral', () => {
+  const galaxy = galaxyParams(config);
+  assert.deepEqual(generateParticle('unknown', 42, galaxy, STAR_PROFILE), generateParticle('spiral', 42, galaxy, STAR_PROFILE));
+});
+
+test('initStars depends on the seed only', () => {
+  const a = initStars(500, config);
+  const b = initStars(500, config);
+  const c = initStars(500, { ...config, seed: 7 });
+  assert.deepEqual(a.positions, b.positions);
+  assert.notDeepEqual(a.positions, c.positions);
+});
+
+test('initStars starts every star on its orbit, moving tangentially', () => {
+  const n = 500;
+  const stars = initStars(n, config);
+  const position = [0, 0, 0];
+  for (let i = 0; i < n; i++) {
+    const o = i * 3;
+    const [x, y, z] = stars.positions.subarray(o, o + 3);
+    orbitPosition(stars.orbits, i * 4, { rotationAngle: 0, rotationCurve: 0, verticalFrequency: 2 }, position);
+    assert.ok(Math.abs(position[0] - x) < 1e-4 && Math.abs(position[1] - y) < 1e-4 && Math.abs(position[2] - z) < 1e-4);
+
+    const [vx, vy, vz] = stars.velocities.subarray(o, o + 3);
+    assert.equal(vy, 0);
+    assert.ok(Math.abs(vx * x + vz * z) < 1e-3 * Math.hypot(vx, vz) * Math.hypot(x, z) + 1e-6);
+
+    assert.ok(stars.temperatures[i] > 2000 && stars.luminosities[i] > 0);
+  }
+});
+
+test('orbits keep their radius and turn the way the stars move', () => {
+  const n = 500;
+  const stars = initStars(n, config);
+  const position = [0, 0, 0];
+  const turned = [0, 0, 0];
+  for (const curve of Object.values(ROTATION_CURVES)) {
+    for (let i = 0; i < n; i++) {
+      const radius = stars.orbits[i * 4];
+      for (const rotationAngle of [0.5, 3, -7, 100]) {
+        orbitPosition(stars.orbits, i * 4, { rotationAngle, rotationCurve: curve.id, verticalFrequency: 2 }, position);
+        assert.ok(Math.abs(Math.hypot(position[0], position[2]) - radius) < 1e-4, `${curve.label} star ${i} at ${rotationAngle}`);
+      }
+
+      // A small step forward moves along the initial (gravity mode) velocity
+      const params = { rotationAngle: 0, rotationCurve: curve.id, verticalFrequency: 0 };
+      orbitPosition(stars.orbits, i * 4, params, position);
+      orbitPosition(stars.orbits, i * 4, { ...params, rotationAngle: 0.001 }, turned);
+      const o = i * 3;
+      const along = (turned[0] - position[0]) * stars.velocities[o] + (turned[2] - position[2]) * stars.velocities[o + 2];
+      if (radius > 0.01) assert.ok(along > 0, `${curve.label} star ${i} turns backwards`);
+    }
+  }
+});
+
+test('dust lanes are thinner than emissive clouds', () => {
+  const n = 2000;
+  const rms = (clouds) => Math.sqrt(clouds.positions.reduce((sum, v, k) => (k % 3 === 1 ? sum + v * v : sum), 0) / n);
+  const emissive = initClouds(n, { ...config, cloudType: 'emissive' });
+  const dust = initClouds(n, { ...config, cloudType: 'dust' });
+  assert.ok(rms(dust) < rms(emissive) * 0.5, `dust ${rms(dust)}, emissive ${rms(emissive)}`);
+});
+
+test('nebula sprites stay close to their cluster', () => {
+  const nebulae = initClouds(NEBULA_CLUSTER_SIZE * 20, config, 'nebulae');
+  for (let cluster = 0; cluster < 20; cluster++) {
+    const first = cluster * NEBULA_CLUSTER_SIZE * 3;
+    for (let i = 1; i < NEBULA_CLUSTER_SIZE; i++) {
+      const o = first + i * 3;
+      const distance = Math.hypot(
+        nebulae.positions[o] - nebulae.positions[first],
+        nebulae.positions[o + 2] - nebulae.positions[first + 2]
+      );
+      assert.ok(distance < NEBULA_CLUSTER_SPREAD * 12, `cluster ${cluster} sprite ${i} at ${distance}`);
+    }
+  }
+});
+
+test('kinematicStep returns pushed particles to their orbits', () => {
+  const n = 200;
+  const stars = initStars(n, config);
+  const offsets = new Float32Array(n * 3);
+  const positions = new Float32Array(n * 3);
+  const params = {
+    rotationAngle: 0.5,
+    rotationCurve: ROTATION_CURVES.flat.id,
+    verticalFrequency: 2,
+    springStrength: 2,
+    point: Array.from(stars.positions.subarray(0, 3)),
+    active: 1,
+    mode: TOOL_MODES.repel,
+    strength: 5,
+    radius: 6,
+    falloff: 1
+  };
+  const largestOffset = () => offsets.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+
+  kinematicStep(stars.orbits, offsets, positions, n, params, 1 / 60);
+  const pushed = largestOffset();
+  assert.ok(pushed > 0, 'the tool displaces particles');
+
+  params.active = 0;
+  for (let step = 0; step < 300; step++) kinematicStep(stars.orbits, offsets, positions, n, params, 1 / 60);
+  assert.ok(largestOffset() < pushed * 0.01, `offset ${largestOffset()} after 5 s`);
+
+  // Without offsets the particles sit on their orbits
+  const orbit = [0, 0, 0];
+  orbitPosition(stars.orbits, 4, params, orbit);
+  assert.ok(Math.abs(positions[3] - orbit[0]) < 1e-3 && Math.abs(positions[5] - orbit[2]) < 1e-3);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { decodeState } from '../share.js';
+import { CONFIG_LIMITS, getConfigLimits } from '../limits.js';
+import { BACKENDS } from '../capabilities.js';
+
+const reference = {
+  starCount: 100000,
+  galaxyRadius: 13,
+  galaxyType: 'spiral',
+  physicsMode: 'kinematic',
+  denseStarColor: '#ffffff'
+};
+
+test('decodeState clamps values to the control limits', () => {
+  const state = decodeState('#v=1&starCount=5000000&galaxyRadius=1&galaxyType=ring', reference, CONFIG_LIMITS);
+  assert.deepEqual(state.config, {
+    starCount: CONFIG_LIMITS.starCount.max,
+    galaxyRadius: CONFIG_LIMITS.galaxyRadius.min,
+    galaxyType: 'ring'
+  });
+  assert.equal(state.warnings.length, 2);
+});
+
+test('decodeState drops unknown keys and values', () => {
+  const state = decodeState('#v=1&unknownKey=3&galaxyType=cube&galaxyRadius=abc&denseStarColor=red&scenario=collision', reference, CONFIG_LIMITS);
+  assert.deepEqual(state.config, {});
+  assert.equal(state.scenario, 'collision');
+  assert.equal(state.warnings.length, 4);
+});
+
+test('decodeState keeps to the limits of the renderer backend', () => {
+  const state = decodeState('#v=1&starCount=500000&physicsMode=gravity', reference, getConfigLimits(BACKENDS.webgl));
+  assert.deepEqual(state.config, { starCount: BACKENDS.webgl.maxStarCount });
+});
+
+test('decodeState ignores a hash without state', () => {
+  assert.equal(decodeState('#', reference, CONFIG_LIMITS), null);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  IMF_MIN_MASS,
+  IMF_MAX_MASS,
+  IMF_BREAK_MASS,
+  IMF_LOW_SLOPE,
+  IMF_HIGH_SLOPE,
+  sampleInitialMass,
+  turnoffMass,
+  populationAge,
+  mainSequenceTemperature,
+  mainSequenceLuminosity,
+  blackbodyColor
+} from '../stellar.js';
+
+// Evenly spaced u, so the shares below are exact up to the sample size
+const n = 20000;
+const uniform = Array.from({ length: n }, (_, i) => (i + 0.5) / n);
+
+/**
+ * Share of stars between two masses under the Kroupa IMF, unnormalized (the
+ * two segments join continuously at the break mass)
+ */
+function imfIntegral(a, b) {
+  const integral = (from, to, slope) => (to ** (1 - slope) - from ** (1 - slope)) / (1 - slope);
+  const low = integral(Math.min(a, IMF_BREAK_MASS), Math.min(b, IMF_BREAK_MASS), IMF_LOW_SLOPE);
+  const high = integral(Math.max(a, IMF_BREAK_MASS), Math.max(b, IMF_BREAK_MASS), IMF_HIGH_SLOPE);
+  return low + high * IMF_BREAK_MASS ** (IMF_HIGH_SLOPE - IMF_LOW_SLOPE);
+}
+
+test('sampleInitialMass stays within the mass bounds', () => {
+  for (const maxMass of [IMF_MAX_MASS, 8, 1, 0.3]) {
+    const masses = uniform.map((u) => sampleInitialMass(u, maxMass));
+    assert.ok(masses.every((mass) => mass >= IMF_MIN_MASS && mass <= maxMass), `cutoff ${maxMass}`);
+    assert.ok(sampleInitialMass(0, maxMass) - IMF_MIN_MASS < 1e-9);
+  }
+});
+
+test('sampleInitialMass follows the Kroupa slopes', () => {
+  const masses = uniform.map((u) => sampleInitialMass(u));
+  const total = imfIntegral(IMF_MIN_MASS, IMF_MAX_MASS);
+  for (const [a, b] of [[IMF_MIN_MASS, IMF_BREAK_MASS], [0.1, 0.2], [0.5, 1], [1, 8], [8, IMF_MAX_MASS]]) {
+    const share = masses.filter((mass) => mass >= a && mass < b).length / n;
+    const expected = imfIntegral(a, b) / total;
+    assert.ok(Math.abs(share - expected) < 0.005, `${share} in [${a}, ${b}), expected ${expected}`);
+  }
+
+  // Most stars are low-mass dwarfs, very few are massive
+  assert.ok(masses.filter((mass) => mass < IMF_BREAK_MASS).length / n > 0.7);
+  assert.ok(masses.filter((mass) => mass > 8).length / n < 0.01);
+});
+
+test('blackbodyColor goes from red through white to blue', () => {
+  const [r3, g3, b3] = blackbodyColor(3000);
+  assert.ok(r3 === 1 && g3 < 0.8 && b3 < 0.5, `3000 K: ${[r3, g3, b3]}`);
+
+  const white = blackbodyColor(6500);
+  assert.ok(white.every((channel) => channel > 0.95), `6500 K: ${white}`);
+
+  const [r20, g20, b20] = blackbodyColor(20000);
+  assert.ok(b20 === 1 && r20 < g20 && r20 < 0.75, `20000 K: ${[r20, g20, b20]}`);
+
+  // Blue rises and red falls steadily in between
+  let previous = blackbodyColor(2000);
+  for (let temperature = 2500; temperature <= 30000; temperature += 500) {
+    const color = blackbodyColor(temperature);
+    assert.ok(color[2] / color[0] >= previous[2] / previous[0], `${temperature} K is redder than below`);
+    previous = color;
+  }
+});
+
+test('arm populations are younger and bluer than the bulge', () => {
+  const armAge = populationAge(1, 0.05, 10);
+  const bulgeAge = populationAge(0, 0.05, 10);
+  assert.ok(armAge < bulgeAge);
+  assert.ok(turnoffMass(armAge) > 8 && turnoffMass(bulgeAge) < 1.1, 'O/B stars in the arms only');
+
+  // Light-weighted color of each population
+  const populationColor = (age) => {
+    const sum = [0, 0, 0];
+    const color = [0, 0, 0];
+    uniform.forEach((u) => {
+      const mass = sampleInitialMass(u, turnoffMass(age));
+      const luminosity = mainSequenceLuminosity(mass);
+      blackbodyColor(mainSequenceTemperature(mass), color);
+      color.forEach((channel, i) => sum[i] += channel * luminosity);
+    });
+    return sum;
+  };
+  const arm = populationColor(armAge);
+  const bulge = populationColor(bulgeAge);
+  assert.ok(arm[2] / arm[0] > 1, `arms ${arm}`);
+  assert.ok(bulge[2] / bulge[0] < 1, `bulge ${bulge}`);
+});
@@ -0,0 +1,86 @@
+/**
+ * Interaction Tools
+ *
+ * Registry of what the mouse (or a finger) does to the particles. Every tool
+ * maps to one of the force modes of applyToolForce() in helpers.js and reads
+ * its settings from its own config keys:
+ *
+ * - label: display name
+ * - mode: TOOL_MODES entry run by the update shaders
+ * - keys: config keys of { strength, radius, falloff } (missing ones are unused)
+ * - persistent: a click (or tap) drops the tool where it acts until cleared (black holes)
+ *
+ * The influence of a tool is (1 - distance / radius) ^ falloff inside its
+ * radius: falloff 1 fades linearly, higher values concentrate it at the center.
+ */
+
+export const TOOL_MODES = {
+  repel: 0,
+  attract: 1,
+  swirl: 2,
+  erase: 3
+};
+
+// Distance below which a particle counts as at the tool position and gets no
+// direction (dividing by the distance would give NaN)
+export const TOOL_MIN_DISTANCE = 0.000001;
+
+// Black holes acting at once; dropping another replaces the oldest
+export const MAX_BLACK_HOLES = 4;
+
+// Pointers applying the tool at once (fingers, pen and mouse); more are ignored
+export const MAX_INTERACTION_POINTS = 4;
+
+export const INTERACTION_TOOLS = {
+  repel: {
+    label: 'Repel',
+    mode: TOOL_MODES.repel,
+    keys: { strength: 'mouseForce', radius: 'mouseRadius', falloff: 'mouseFalloff' }
+  },
+  attract: {
+    label: 'Attract',
+    mode: TOOL_MODES.attract,
+    keys: { strength: 'attractForce', radius: 'attractRadius', falloff: 'attractFalloff' }
+  },
+  swirl: {
+    label: 'Swirl',
+    mode: TOOL_MODES.swirl,
+    keys: { strength: 'swirlForce', radius: 'swirlRadius', falloff: 'swirlFalloff' }
+  },
+  blackHole: {
+    label: 'Black Hole',
+    mode: TOOL_MODES.attract,
+    keys: { strength: 'blackHoleForce', radius: 'blackHoleRadius', falloff: 'blackHoleFalloff' },
+    persistent: true
+  },
+  eraser: {
+    label: 'Eraser',
+    mode: TOOL_MODES.erase,
+    keys: { radius: 'eraserRadius' }
+  }
+};
+
+/**
+ * Looks up an interaction tool by key, falling back to repel
+ */
+export function getInteractionTool(name) {
+  return INTERACTION_TOOLS[name] || INTERACTION_TOOLS.repel;
+}
+
+/**
+ * Settings of a tool from a config
+ *
+ * @param {string} name - Key in INTERACTION_TOOLS
+ * @param {object} config - Config values
+ * @returns {{ mode: number, strength: number, radius: number, falloff: number }}
+ */
+export function getToolSettings(name, config) {
+  const tool = getInteractionTool(name);
+  const value = (key, fallback) => (key && config[key] !== undefined ? config[key] : fallback);
+  return {
+    mode: tool.mode,
+    strength: value(tool.keys.strength, 0),
+    radius: value(tool.keys.radius, 1),
+    falloff: value(tool.keys.falloff, 1)
+  };
+}
@@ -1,190 +1,979 @@
 import { Pane } from 'tweakpane';
+import { getGalaxyType } from './morphology.js';
+import { CLOUD_POPULATIONS } from './clouds.js';
+import { SCENARIO_PRESETS, COMPUTE_SUBMISSIONS } from './scenario.js';
+import { randomSeed } from './random.js';
+import { MIN_TIME_SCALE, MAX_TIME_SCALE } from './clock.js';
+import { RECORDING_FORMATS } from './recorder.js';
+import { MAX_CAPTURE_SIZE } from './capture.js';
+import { EASINGS, CAMERA_PATH_FORMAT, PATH_LIMIT_RANGES } from './flythrough.js';
+import { INTERACTION_TOOLS } from './tools.js';
+import { getBlackHoleMode } from './blackhole.js';
+import { getBackgroundMode } from './skybox.js';
+import { getQualityMode } from './quality.js';
+import { CONFIG_LIMITS, getConfigLimits } from './limits.js';
+import { TIMED_PASSES, formatBytes } from './diagnostics.js';
+import { downloadBlob } from './recorder.js';
+import {
+  PRESET_LIBRARY,
+  STORAGE_SLOT_COUNT,
+  createPreset,
+  parsePreset,
+  saveToSlot,
+  readSlot,
+  downloadPreset,
+  pickPresetFile
+} from './presets.js';
+
+// Fixed recording sizes; the Record folder lists those the backend renders whole
+const RECORD_RESOLUTIONS = [[1280, 720], [1920, 1080], [2560, 1440], [3840, 2160]];
 
 export class GalaxyUI {
-  constructor(config, callbacks) {
+  /**
+   * @param {object} config - Live config edited by the bindings
+   * @param {object} callbacks - Handlers for changes that need more than a config write
+   * @param {object} options
+   * @param {HTMLElement} options.container - Element to mount the pane in (default: floating over the page)
+   * @param {object} options.clock - Initial simulation clock state { paused, timeScale }
+   * @param {CameraPath} options.cameraPath - Camera path edited by the Camera Path folder
+   */
+  constructor(config, callbacks, options = {}) {
     this.config = config;
-    this.callbacks = callbacks;
-    this.pane = new Pane({ title: '🌌 Galaxy Controls' });
+
+    // Callbacks are muted while refresh() re-reads values changed from outside the UI
+    this.muted = false;
+    this.callbacks = {};
+    Object.entries(callbacks).forEach(([name, callback]) => {
+      this.callbacks[name] = (...args) => {
+        if (!this.muted) callback(...args);
+      };
+    });
+    this.pane = new Pane({ title: '🌌 Galaxy Controls', container: options.container });
     this.bloomPassNode = null;
-    this.perfParams = { fps: 60 };
+    this.perfParams = { fps: 60, qualityLog: '' };
+    this.qualityLog = [];
+    this.diagnosticsParams = { source: '', latest: {}, summary: {}, storage: '', computeSubmission: 'batched', comparison: '' };
+    Object.keys(TIMED_PASSES).forEach((pass) => {
+      this.diagnosticsParams.latest[pass] = 0;
+      this.diagnosticsParams.summary[pass] = '';
+    });
+    this.targetFpsBinding = null;
+    this.capabilities = null; // Renderer backend, narrows the limits of imported presets
+    this.scenarioParams = { scenario: 'single' };
+    this.timeParams = { time: 0, dropped: 0, target: 0, paused: false, timeScale: 1, ...options.clock };
+    this.timeBindings = [];
+    this.recordParams = { format: 'webm', resolution: 'window', fps: 60, duration: 10, cameraPath: false, progress: 'Idle' };
+    this.recordButtons = null;
+    this.captureParams = { scale: 2, width: 3840, height: 2160, transparent: false };
+    this.cameraPath = options.cameraPath;
+    this.pathParams = { keyframe: -1, time: 0, easing: 'easeInOut', fov: 60 };
+    this.pathFolder = null;
+    this.keyframeBinding = null;
+    this.keyframeBindings = [];
+    this.pathSettingBindings = [];
+    this.pathPlayButton = null;
+    this.presetParams = { library: PRESET_LIBRARY[0].name, name: 'My Galaxy', slot: 1 };
+    this.morphologyBindings = {};
+    this.gradientBindings = [];
+    this.cloudBindings = []; // { binding, shown } of the cloud settings limited to some cloud types
+    this.stellarBindings = [];
+    this.gravityBindings = [];
+    this.physicsModeBinding = null;
+    this.toolBindings = {};
+    this.blackHoleBindings = [];
+    this.jetBindings = [];
+    this.starfieldBindings = [];
+    this.backgroundImageBindings = [];
 
     this.setupUI();
+
+    // Any user edit (including ones that trigger no callback of their own)
+    this.pane.on('change', () => this.callbacks.onConfigChange());
   }
 
   setupUI() {
     this.setupPerformanceFolder();
+    this.setupScenarioFolder();
+    this.setupTimeFolder();
+    this.setupRecordFolder();
+    this.setupCaptureFolder();
+    this.setupCameraPathFolder();
+    this.setupPresetsFolder();
     this.setupAppearanceFolder();
-    this.setupCloudsFolder();
+    this.setupCloudFolders();
+    this.setupBlackHoleFolder();
     this.setupBloomFolder();
+    this.setupBackgroundFolder();
     this.setupGalaxyFolder();
+    this.setupPhysicsFolder();
     this.setupMouseFolder();
   }
 
+  /**
+   * Adds a binding for a config key with its range or options from
+   * CONFIG_LIMITS, the limits config values from outside the UI are validated against
+   */
+  bindConfig(folder, key, options) {
+    return folder.addBinding(this.config, key, { ...CONFIG_LIMITS[key], ...options });
+  }
+
   setupPerformanceFolder() {
     const perfFolder = this.pane.addFolder({ title: 'Performance' });
     perfFolder.addBinding(this.perfParams, 'fps', { readonly: true, label: 'FPS' });
 
     // Star count control
-    perfFolder.addBinding(this.config, 'starCount', {
-      min: 1000,
-      max: 1000000,
-      step: 1000,
-      label: 'Star Count'
-    }).on('change', () => this.callbacks.onStarCountChange(this.config.starCount));
+    this.bindConfig(perfFolder, 'starCount', { label: 'Star Count' }).on('change', () => this.callbacks.onStarCountChange(this.config.starCount));
+
+    // Adaptive quality: holds the target frame rate by scaling the settings above down and back up
+    this.bindConfig(perfFolder, 'qualityMode', { label: 'Quality' }).on('change', () => {
+      this.updateQualityControls();
+      this.callbacks.onQualityModeChange(this.config.qualityMode);
+    });
+
+    this.targetFpsBinding = this.bindConfig(perfFolder, 'targetFps', { label: 'Target FPS' });
+
+    perfFolder.addButton({ title: 'Run Benchmark' }).on('click', () => this.callbacks.onBenchmark());
+
+    perfFolder.addBinding(this.perfParams, 'qualityLog', {
+      readonly: true,
+      multiline: true,
+      rows: 6,
+      label: 'Quality Log'
+    });
+    this.updateQualityControls();
+
+    this.setupDiagnosticsFolder(perfFolder);
+  }
+
+  /**
+   * Pass timings and storage buffer sizes; the passes are only timed while the folder is open
+   */
+  setupDiagnosticsFolder(perfFolder) {
+    const diagnosticsFolder = perfFolder.addFolder({ title: 'Diagnostics', expanded: false });
+    diagnosticsFolder.on('fold', (event) => this.callbacks.onDiagnosticsToggle(event.expanded));
+
+    const params = this.diagnosticsParams;
+    diagnosticsFolder.addBinding(params, 'source', { readonly: true, label: 'Timing' });
+
+    Object.entries(TIMED_PASSES).forEach(([pass, { label }]) => {
+      // Graphs span 0 to 16 ms, the frame budget at 60 FPS
+      diagnosticsFolder.addBinding(params.latest, pass, {
+        readonly: true,
+        view: 'graph',
+        min: 0,
+        max: 16,
+        label: `${label} (ms)`
+      });
+      diagnosticsFolder.addBinding(params.summary, pass, { readonly: true, label: 'Min / Avg / Max' });
+    });
+
+    diagnosticsFolder.addBinding(params, 'storage', {
+      readonly: true,
+      multiline: true,
+      rows: 5,
+      label: 'Storage'
+    });
+
+    // Compute submission, and a before / after comparison of the submissions
+    const submissionOptions = {};
+    Object.entries(COMPUTE_SUBMISSIONS).forEach(([key, submission]) => submissionOptions[submission.label] = key);
+
+    diagnosticsFolder.addBinding(params, 'computeSubmission', {
+      options: submissionOptions,
+      label: 'Compute'
+    }).on('change', (event) => this.callbacks.onComputeSubmissionChange(event.value));
+
+    diagnosticsFolder.addButton({ title: 'Compare Submissions' }).on('click', () => {
+      params.comparison = 'Measuring...';
+      this.callbacks.onCompareSubmissions();
+    });
+    diagnosticsFolder.addBinding(params, 'comparison', {
+      readonly: true,
+      multiline: true,
+      rows: Object.keys(COMPUTE_SUBMISSIONS).length,
+      label: 'Comparison'
+    });
+  }
+
+  /**
+   * Shows the result of GalaxyViewer.benchmarkComputeSubmission, one line per submission
+   */
+  showSubmissionBenchmark(results) {
+    this.diagnosticsParams.comparison = Object.entries(results)
+      .map(([name, { fps, simulationMs }]) => `${COMPUTE_SUBMISSIONS[name].label}: ${fps} FPS, ${simulationMs.toFixed(2)} ms step`)
+      .join('\n');
+  }
+
+  /**
+   * Shows the latest diagnostics (GalaxyViewer.getDiagnostics); the bindings poll them
+   */
+  updateDiagnostics({ source, passes, storage }) {
+    const params = this.diagnosticsParams;
+    params.source = source === 'gpu' ? 'GPU timestamps' : 'CPU (submit time)';
+    Object.entries(passes).forEach(([pass, timing]) => {
+      params.latest[pass] = timing.latest;
+      params.summary[pass] = [timing.min, timing.avg, timing.max].map((ms) => ms.toFixed(2)).join(' / ');
+    });
+    params.storage = storage.map(({ label, bytes }) => `${label}: ${formatBytes(bytes)}`).join('\n');
+  }
+
+  updateQualityControls() {
+    if (!this.targetFpsBinding) return;
+    this.targetFpsBinding.disabled = !getQualityMode(this.config.qualityMode).adaptive;
+  }
+
+  /**
+   * Adds a line to the quality log, keeping the latest few
+   */
+  logQuality(message) {
+    this.qualityLog.push(message);
+    if (this.qualityLog.length > 6) this.qualityLog.shift();
+    this.perfParams.qualityLog = this.qualityLog.join('\n');
+    this.pane.refresh();
+  }
+
+  setupScenarioFolder() {
+    const scenarioFolder = this.pane.addFolder({ title: 'Scenario' });
+
+    const scenarioOptions = {};
+    Object.entries(SCENARIO_PRESETS).forEach(([key, preset]) => scenarioOptions[preset.label] = key);
+
+    scenarioFolder.addBinding(this.scenarioParams, 'scenario', {
+      options: scenarioOptions,
+      label: 'Preset'
+    }).on('change', () => this.callbacks.onScenarioChange(this.scenarioParams.scenario));
+
+    scenarioFolder.addButton({ title: 'Restart' })
+      .on('click', () => this.callbacks.onScenarioRestart());
+  }
+
+  setupTimeFolder() {
+    const timeFolder = this.pane.addFolder({ title: 'Time' });
+
+    // Read-only monitor, polled from timeParams.time
+    timeFolder.addBinding(this.timeParams, 'time', {
+      readonly: true,
+      label: 'Time (s)',
+      format: (value) => value.toFixed(2)
+    });
+
+    // Simulated time skipped because frames were too slow to catch up (see clock.js)
+    timeFolder.addBinding(this.timeParams, 'dropped', {
+      readonly: true,
+      label: 'Dropped (s)',
+      format: (value) => value.toFixed(2)
+    });
+
+    this.timeBindings.push(timeFolder.addBinding(this.timeParams, 'paused', { label: 'Paused' })
+      .on('change', () => this.callbacks.onPauseChange(this.timeParams.paused)));
+
+    this.timeBindings.push(timeFolder.addBinding(this.timeParams, 'timeScale', {
+      min: MIN_TIME_SCALE,
+      max: MAX_TIME_SCALE,
+      step: 0.05,
+      label: 'Speed'
+    }).on('change', () => this.callbacks.onTimeScaleChange(this.timeParams.timeScale)));
+
+    timeFolder.addButton({ title: '◀ Step Back' }).on('click', () => this.callbacks.onStep(-1));
+    timeFolder.addButton({ title: 'Step ▶' }).on('click', () => this.callbacks.onStep(1));
+    timeFolder.addButton({ title: 'Reset Time' }).on('click', () => this.callbacks.onTimeReset());
+
+    timeFolder.addBinding(this.timeParams, 'target', { step: 1, label: 'Go To (s)' });
+    timeFolder.addButton({ title: 'Go to Time' }).on('click', () => this.callbacks.onTimeSet(this.timeParams.target));
+  }
+
+  /**
+   * Shows a clock state changed from outside the Time folder (e.g. a shortcut)
+   * @param {{ paused: boolean, timeScale: number }} state
+   */
+  setClockState(state) {
+    Object.assign(this.timeParams, state);
+    this.muted = true;
+    this.timeBindings.forEach((binding) => binding.refresh());
+    this.muted = false;
+  }
+
+  /**
+   * @param {number} time - Simulation time in seconds
+   * @param {number} droppedTime - Simulated seconds the clock dropped (default: unchanged)
+   */
+  updateTime(time, droppedTime = this.timeParams.dropped) {
+    this.timeParams.time = time;
+    this.timeParams.dropped = droppedTime;
+  }
+
+  setupRecordFolder() {
+    const recordFolder = this.pane.addFolder({ title: 'Record', expanded: false });
+
+    const formatOptions = {};
+    Object.entries(RECORDING_FORMATS).forEach(([key, format]) => {
+      if (format.isSupported()) formatOptions[format.label] = key;
+    });
+    recordFolder.addBinding(this.recordParams, 'format', { options: formatOptions, label: 'Format' });
+
+    this.recordFolder = recordFolder;
+    this.resolutionBinding = null;
+    this.rebuildResolutionList(Infinity);
+
+    recordFolder.addBinding(this.recordParams, 'fps', {
+      options: { '24': 24, '30': 30, '60': 60 },
+      label: 'FPS'
+    });
+
+    const durationBinding = recordFolder.addBinding(this.recordParams, 'duration', {
+      min: 1,
+      max: 120,
+      step: 1,
+      label: 'Duration (s)'
+    });
+
+    // A flythrough lasts as long as the camera path
+    recordFolder.addBinding(this.recordParams, 'cameraPath', { label: 'Fly Camera Path' })
+      .on('change', () => durationBinding.hidden = this.recordParams.cameraPath);
+
+    recordFolder.addBinding(this.recordParams, 'progress', { readonly: true, label: 'Progress' });
+
+    this.recordButtons = {
+      record: recordFolder.addButton({ title: 'Record' }),
+      cancel: recordFolder.addButton({ title: 'Cancel', disabled: true })
+    };
+
+    this.recordButtons.record.on('click', () => {
+      const { format, resolution, fps, duration, cameraPath } = this.recordParams;
+      const [width, height] = resolution === 'window' ? [] : resolution.split('x').map(Number);
+      this.callbacks.onRecord({ format, width, height, fps, duration: cameraPath ? undefined : duration, cameraPath });
+    });
+    this.recordButtons.cancel.on('click', () => this.callbacks.onRecordCancel());
+  }
+
+  /**
+   * Recreates the resolution dropdown with the sizes a recording can render
+   * whole (record() scales larger ones down)
+   *
+   * @param {number} maxSize - Largest side, the backend's maxTextureSize
+   */
+  rebuildResolutionList(maxSize) {
+    if (this.resolutionBinding) this.resolutionBinding.dispose();
+
+    const options = { 'Window': 'window' };
+    RECORD_RESOLUTIONS.filter(([width, height]) => Math.max(width, height) <= maxSize)
+      .forEach(([width, height]) => options[`${width} × ${height}`] = `${width}x${height}`);
+    if (!Object.values(options).includes(this.recordParams.resolution)) this.recordParams.resolution = 'window';
+
+    this.resolutionBinding = this.recordFolder.addBinding(this.recordParams, 'resolution', {
+      options,
+      label: 'Resolution',
+      index: 1
+    });
+  }
+
+  /**
+   * Shows the progress of a recording
+   * @param {{ frame: number, frames: number }|null} progress - null once it has ended
+   */
+  updateRecording(progress) {
+    this.recordParams.progress = progress
+      ? `${progress.frame} / ${progress.frames} (${Math.round((100 * progress.frame) / progress.frames)}%)`
+      : 'Idle';
+    this.recordButtons.record.disabled = !!progress;
+    this.recordButtons.cancel.disabled = !progress;
+  }
+
+  /**
+   * Shows why a recording failed, until the next one starts
+   * @param {Error} error
+   */
+  showRecordingError(error) {
+    this.recordParams.progress = `Failed: ${error.message}`;
+  }
+
+  setupCaptureFolder() {
+    const captureFolder = this.pane.addFolder({ title: 'Capture', expanded: false });
+
+    // Scale 0 stands for a custom width and height
+    const sizeBindings = [];
+    captureFolder.addBinding(this.captureParams, 'scale', {
+      options: { '1×': 1, '2×': 2, '4×': 4, 'Custom': 0 },
+      label: 'Size'
+    }).on('change', () => sizeBindings.forEach((binding) => binding.hidden = this.captureParams.scale !== 0));
+
+    ['width', 'height'].forEach((key) => {
+      sizeBindings.push(captureFolder.addBinding(this.captureParams, key, {
+        min: 16,
+        max: MAX_CAPTURE_SIZE,
+        step: 1,
+        label: key === 'width' ? 'Width' : 'Height',
+        hidden: true
+      }));
+    });
+
+    captureFolder.addBinding(this.captureParams, 'transparent', { label: 'Transparent' });
+
+    captureFolder.addButton({ title: 'Capture PNG' }).on('click', () => {
+      const { scale, width, height, transparent } = this.captureParams;
+      this.callbacks.onCapture(scale === 0 ? { width, height, transparent } : { scale, transparent });
+    });
+  }
+
+  /**
+   * @param {number} index - Position in the pane (when rebuilt by setCameraPath)
+   */
+  setupCameraPathFolder(index) {
+    const pathFolder = this.pane.addFolder({ title: 'Camera Path', expanded: false, index });
+    this.pathFolder = pathFolder;
+
+    // Keyframe list (rebuilt with the keyframes) and the selected keyframe's timing
+    this.rebuildKeyframeList();
+
+    this.keyframeBindings.push(pathFolder.addBinding(this.pathParams, 'time', {
+      min: 0,
+      max: 300,
+      step: 0.1,
+      label: 'Time (s)'
+    }).on('change', () => {
+      if (this.muted) return;
+      const keyframe = this.getSelectedKeyframe();
+      keyframe.time = this.pathParams.time;
+      this.cameraPath.sort();
+      this.refreshCameraPath(keyframe);
+    }));
+
+    const easingOptions = {};
+    Object.entries(EASINGS).forEach(([key, easing]) => easingOptions[easing.label] = key);
+    this.keyframeBindings.push(pathFolder.addBinding(this.pathParams, 'easing', {
+      options: easingOptions,
+      label: 'Easing'
+    }).on('change', () => {
+      if (!this.muted) this.getSelectedKeyframe().easing = this.pathParams.easing;
+    }));
+
+    this.keyframeBindings.push(pathFolder.addBinding(this.pathParams, 'fov', {
+      min: 10,
+      max: 120,
+      step: 1,
+      label: 'FOV'
+    }).on('change', () => {
+      if (!this.muted) this.getSelectedKeyframe().fov = this.pathParams.fov;
+    }));
+
+    pathFolder.addButton({ title: 'Add Keyframe' }).on('click', () => this.callbacks.onPathAddKeyframe());
+
+    this.keyframeBindings.push(pathFolder.addButton({ title: 'Update to View' }).on('click', () => {
+      this.callbacks.onPathUpdateKeyframe(this.getSelectedKeyframe());
+    }));
+    this.keyframeBindings.push(pathFolder.addButton({ title: 'Go to Keyframe' }).on('click', () => {
+      this.callbacks.onPathGoTo(this.getSelectedKeyframe());
+    }));
+    this.keyframeBindings.push(pathFolder.addButton({ title: 'Delete Keyframe' }).on('click', () => {
+      this.cameraPath.removeKeyframe(this.getSelectedKeyframe());
+      this.refreshCameraPath();
+    }));
+
+    // Path settings, bound to the path itself
+    this.pathSettingBindings.push(pathFolder.addBinding(this.cameraPath, 'loop', { label: 'Loop' }));
+
+    this.pathPlayButton = pathFolder.addButton({ title: 'Play' }).on('click', () => {
+      if (this.pathPlayButton.title === 'Play') this.callbacks.onPathPlay();
+      else this.callbacks.onPathStop();
+    });
+
+    // Limits that let the path fly inside the disk
+    const limitsFolder = pathFolder.addFolder({ title: 'Camera Limits', expanded: false });
+    const limits = this.cameraPath.limits;
+    this.pathSettingBindings.push(limitsFolder.addBinding(limits, 'enabled', { label: 'While Editing' }));
+    [
+      ['near', 'Near'],
+      ['far', 'Far'],
+      ['minDistance', 'Min Distance'],
+      ['maxDistance', 'Max Distance']
+    ].forEach(([key, label]) => {
+      const [min, max] = PATH_LIMIT_RANGES[key];
+      this.pathSettingBindings.push(limitsFolder.addBinding(limits, key, { min, max, label }));
+    });
+    this.pathSettingBindings.forEach((binding) => binding.on('change', () => this.callbacks.onPathLimitsChange()));
+
+    pathFolder.addButton({ title: 'Export JSON' }).on('click', () => {
+      const json = JSON.stringify(this.cameraPath.toJSON(), null, 2);
+      downloadBlob(new Blob([json], { type: 'application/json' }), `${CAMERA_PATH_FORMAT}.json`);
+    });
+
+    pathFolder.addButton({ title: 'Import JSON' }).on('click', () => {
+      pickPresetFile()
+        .then((json) => this.callbacks.onPathImport(json))
+        .catch((err) => console.error('Failed to read camera path file:', err));
+    });
+
+    this.refreshCameraPath();
+  }
+
+  getSelectedKeyframe() {
+    return this.cameraPath.keyframes[this.pathParams.keyframe];
+  }
+
+  /**
+   * Recreates the keyframe dropdown, whose options list the keyframes
+   */
+  rebuildKeyframeList() {
+    if (this.keyframeBinding) this.keyframeBinding.dispose();
+
+    const options = {};
+    this.cameraPath.keyframes.forEach((keyframe, index) => {
+      options[`${index + 1} · ${keyframe.time.toFixed(1)} s`] = index;
+    });
+    if (this.cameraPath.keyframes.length === 0) options['None'] = -1;
+
+    this.keyframeBinding = this.pathFolder.addBinding(this.pathParams, 'keyframe', {
+      options,
+      label: 'Keyframe',
+      index: 0
+    }).on('change', () => {
+      if (!this.muted) this.refreshCameraPath(this.getSelectedKeyframe());
+    });
+  }
+
+  /**
+   * Shows the keyframes after the camera path changed
+   * @param {object} selected - Keyframe to select (default: the first one)
+   */
+  refreshCameraPath(selected) {
+    const keyframes = this.cameraPath.keyframes;
+    const index = keyframes.indexOf(selected);
+    this.pathParams.keyframe = index >= 0 ? index : Math.min(keyframes.length - 1, 0);
+
+    const keyframe = this.getSelectedKeyframe();
+    if (keyframe) {
+      this.pathParams.time = keyframe.time;
+      this.pathParams.easing = keyframe.easing;
+      this.pathParams.fov = keyframe.fov;
+    }
+
+    this.muted = true;
+    this.rebuildKeyframeList();
+    this.keyframeBindings.forEach((binding) => {
+      binding.hidden = !keyframe;
+      if (binding.refresh) binding.refresh();
+    });
+    this.pathSettingBindings.forEach((binding) => binding.refresh());
+    this.muted = false;
+  }
+
+  /**
+   * Rebinds the Camera Path folder to another path
+   * @param {CameraPath} path
+   */
+  setCameraPath(path) {
+    this.cameraPath = path;
+    const index = this.pane.children.findIndex((child) => child.controller === this.pathFolder.controller);
+    this.pathFolder.dispose();
+    this.keyframeBinding = null;
+    this.keyframeBindings = [];
+    this.pathSettingBindings = [];
+    this.setupCameraPathFolder(index);
+  }
+
+  /**
+   * @param {boolean} playing - Whether the camera path plays (the button then stops it)
+   */
+  setCameraPathPlaying(playing) {
+    this.pathPlayButton.title = playing ? 'Stop' : 'Play';
+  }
+
+  setupPresetsFolder() {
+    const presetsFolder = this.pane.addFolder({ title: 'Presets', expanded: false });
+
+    // Built-in library
+    const libraryOptions = {};
+    PRESET_LIBRARY.forEach((preset) => libraryOptions[preset.name] = preset.name);
+
+    presetsFolder.addBinding(this.presetParams, 'library', {
+      options: libraryOptions,
+      label: 'Library'
+    });
+
+    presetsFolder.addButton({ title: 'Load Library Preset' }).on('click', () => {
+      const preset = PRESET_LIBRARY.find((entry) => entry.name === this.presetParams.library);
+      this.applyPreset(createPreset(preset.name, preset.config));
+    });
+
+    // Saving and loading
+    presetsFolder.addBinding(this.presetParams, 'name', { label: 'Name' });
+
+    const slotOptions = {};
+    for (let slot = 1; slot <= STORAGE_SLOT_COUNT; slot++) slotOptions[`Slot ${slot}`] = slot;
+
+    presetsFolder.addBinding(this.presetParams, 'slot', {
+      options: slotOptions,
+      label: 'Slot'
+    });
+
+    presetsFolder.addButton({ title: 'Save to Slot' }).on('click', () => {
+      saveToSlot(this.presetParams.slot, createPreset(this.presetParams.name, this.config));
+    });
+
+    presetsFolder.addButton({ title: 'Load from Slot' }).on('click', () => {
+      const json = readSlot(this.presetParams.slot);
+      if (json === null) {
+        console.warn(`Preset slot ${this.presetParams.slot} is empty`);
+        return;
+      }
+      this.applyPreset(json);
+    });
+
+    presetsFolder.addButton({ title: 'Download JSON' }).on('click', () => {
+      downloadPreset(createPreset(this.presetParams.name, this.config));
+    });
+
+    presetsFolder.addButton({ title: 'Copy Link' }).on('click', () => this.callbacks.onCopyLink());
+
+    presetsFolder.addButton({ title: 'Upload JSON' }).on('click', () => {
+      pickPresetFile()
+        .then((json) => this.applyPreset(json))
+        .catch((err) => console.error('Failed to read preset file:', err));
+    });
+  }
+
+  /**
+   * Parses and validates a preset, then hands its config to onPresetApply
+   *
+   * @param {string|object} input - Preset JSON text or object
+   */
+  applyPreset(input) {
+    let result;
+    try {
+      result = parsePreset(input, this.config, getConfigLimits(this.capabilities));
+    } catch (err) {
+      console.error('Failed to load preset:', err);
+      return;
+    }
+
+    result.warnings.forEach((warning) => console.warn(`Preset "${result.name}": ${warning}`));
+    this.presetParams.name = result.name;
+    this.callbacks.onPresetApply(result.config);
   }
 
   setupAppearanceFolder() {
     const appearanceFolder = this.pane.addFolder({ title: 'Appearance' });
 
-    appearanceFolder.addBinding(this.config, 'particleSize', {
-      min: 0.05,
-      max: 0.5,
-      step: 0.01,
-      label: 'Star Size'
-    }).on('change', () => this.callbacks.onUniformChange('particleSize', this.config.particleSize));
-
-    appearanceFolder.addBinding(this.config, 'starBrightness', {
-      min: 0.0,
-      max: 2.0,
-      step: 0.01,
-      label: 'Star Brightness'
-    }).on('change', () => this.callbacks.onUniformChange('starBrightness', this.config.starBrightness));
-
-    appearanceFolder.addBinding(this.config, 'denseStarColor', {
+    this.bindConfig(appearanceFolder, 'particleSize', { label: 'Star Size' }).on('change', () => this.callbacks.onUniformChange('particleSize', this.config.particleSize));
+
+    this.bindConfig(appearanceFolder, 'starBrightness', { label: 'Star Brightness' }).on('change', () => this.callbacks.onUniformChange('starBrightness', this.config.starBrightness));
+
+    this.bindConfig(appearanceFolder, 'starColorMode', { label: 'Star Colors' }).on('change', () => {
+      this.updateColorControls();
+      this.callbacks.onUniformChange('starColorMode', this.config.starColorMode);
+    });
+
+    // Gradient mode: colors blended by density
+    this.gradientBindings.push(this.bindConfig(appearanceFolder, 'denseStarColor', {
       label: 'Dense Color',
       view: 'color'
-    }).on('change', () => this.callbacks.onUniformChange('denseStarColor', this.config.denseStarColor));
+    }).on('change', () => this.callbacks.onUniformChange('denseStarColor', this.config.denseStarColor)));
 
-    appearanceFolder.addBinding(this.config, 'sparseStarColor', {
+    this.gradientBindings.push(this.bindConfig(appearanceFolder, 'sparseStarColor', {
       label: 'Sparse Color',
       view: 'color'
-    }).on('change', () => this.callbacks.onUniformChange('sparseStarColor', this.config.sparseStarColor));
+    }).on('change', () => this.callbacks.onUniformChange('sparseStarColor', this.config.sparseStarColor)));
+
+    // Stellar population mode: region ages (Gyr), baked in when stars are generated
+    this.stellarBindings.push(this.bindConfig(appearanceFolder, 'armAge', { label: 'Arm Age (Gyr)' }).on('change', () => this.callbacks.onRegenerate()));
+
+    this.stellarBindings.push(this.bindConfig(appearanceFolder, 'bulgeAge', { label: 'Bulge Age (Gyr)' }).on('change', () => this.callbacks.onRegenerate()));
+
+    this.updateColorControls();
   }
 
-  setupCloudsFolder() {
-    const cloudsFolder = this.pane.addFolder({ title: 'Clouds' });
+  /**
+   * Shows the controls of the selected star color mode
+   */
+  updateColorControls() {
+    const stellar = this.config.starColorMode === 'stellar';
+    this.gradientBindings.forEach((binding) => binding.hidden = stellar);
+    this.stellarBindings.forEach((binding) => binding.hidden = !stellar);
+  }
 
-    cloudsFolder.addBinding(this.config, 'cloudCount', {
-      min: 0,
-      max: 100000,
-      step: 1000,
-      label: 'Count'
-    }).on('change', () => this.callbacks.onCloudCountChange(this.config.cloudCount));
-
-    cloudsFolder.addBinding(this.config, 'cloudSize', {
-      min: 0.5,
-      max: 10.0,
-      step: 0.01,
-      label: 'Size'
-    }).on('change', () => this.callbacks.onUniformChange('cloudSize', this.config.cloudSize));
+  /**
+   * Adds a folder per cloud population with the settings it declares (see
+   * clouds.js)
+   */
+  setupCloudFolders() {
+    Object.entries(CLOUD_POPULATIONS).forEach(([name, population]) => {
+      const folder = this.pane.addFolder({ title: population.label });
+
+      Object.entries(population.controls).forEach(([key, { shown, rebuild, ...options }]) => {
+        const binding = this.bindConfig(folder, key, options).on('change', () => {
+          if (rebuild) {
+            this.updateCloudControls();
+            this.callbacks.onCloudPopulationChange(name, key, this.config[key]);
+          } else {
+            this.callbacks.onUniformChange(key, this.config[key]);
+          }
+        });
+        if (shown) this.cloudBindings.push({ binding, shown });
+      });
+    });
+
+    this.updateCloudControls();
+  }
 
-    cloudsFolder.addBinding(this.config, 'cloudOpacity', {
-      min: 0.0,
-      max: 1.0,
-      step: 0.01,
-      label: 'Opacity'
-    }).on('change', () => this.callbacks.onUniformChange('cloudOpacity', this.config.cloudOpacity));
+  /**
+   * Shows the cloud settings used by the selected cloud types
+   */
+  updateCloudControls() {
+    this.cloudBindings.forEach(({ binding, shown }) => binding.hidden = !shown(this.config));
+  }
+
+  setupBlackHoleFolder() {
+    const blackHoleFolder = this.pane.addFolder({ title: 'Black Hole', expanded: false });
+
+    this.bindConfig(blackHoleFolder, 'centralBlackHole', { label: 'Mode' }).on('change', () => {
+      this.updateBlackHoleControls();
+      this.callbacks.onUniformChange('centralBlackHole', this.config.centralBlackHole);
+    });
+
+    // The mass also speeds up the rotation near the center
+    this.blackHoleBindings.push(this.bindConfig(blackHoleFolder, 'centralMass', { label: 'Mass' }).on('change', () => this.callbacks.onUniformChange('centralMass', this.config.centralMass)));
+
+    this.blackHoleBindings.push(this.bindConfig(blackHoleFolder, 'accretionDiskRadius', { label: 'Disk Radius' }).on('change', () => this.callbacks.onUniformChange('accretionDiskRadius', this.config.accretionDiskRadius)));
 
-    cloudsFolder.addBinding(this.config, 'cloudTintColor', {
-      label: 'Tint Color',
+    this.blackHoleBindings.push(this.bindConfig(blackHoleFolder, 'accretionDiskBrightness', { label: 'Brightness' }).on('change', () => this.callbacks.onUniformChange('accretionDiskBrightness', this.config.accretionDiskBrightness)));
+
+    this.blackHoleBindings.push(this.bindConfig(blackHoleFolder, 'accretionDiskColor', {
+      label: 'Disk Color',
       view: 'color'
-    }).on('change', () => this.callbacks.onCloudTintChange(this.config.cloudTintColor));
+    }).on('change', () => this.callbacks.onUniformChange('accretionDiskColor', this.config.accretionDiskColor)));
+
+    this.jetBindings.push(this.bindConfig(blackHoleFolder, 'jetLength', { label: 'Jet Length' }).on('change', () => this.callbacks.onUniformChange('jetLength', this.config.jetLength)));
+
+    // Read by the lensing pass every frame
+    this.blackHoleBindings.push(this.bindConfig(blackHoleFolder, 'lensingStrength', { label: 'Lensing' }));
+
+    this.updateBlackHoleControls();
+  }
+
+  /**
+   * Shows the controls of the selected black hole mode
+   */
+  updateBlackHoleControls() {
+    const mode = getBlackHoleMode(this.config.centralBlackHole);
+    this.blackHoleBindings.forEach((binding) => binding.hidden = !mode.disk);
+    this.jetBindings.forEach((binding) => binding.hidden = !mode.jet);
   }
 
   setupBloomFolder() {
     const bloomFolder = this.pane.addFolder({ title: 'Bloom' });
 
-    bloomFolder.addBinding(this.config, 'bloomStrength', {
-      min: 0,
-      max: 3,
-      step: 0.01,
-      label: 'Strength'
-    }).on('change', () => this.callbacks.onBloomChange('strength', this.config.bloomStrength));
+    this.bindConfig(bloomFolder, 'bloomStrength', { label: 'Strength' }).on('change', () => this.callbacks.onBloomChange('strength', this.config.bloomStrength));
 
-    bloomFolder.addBinding(this.config, 'bloomRadius', {
-      min: 0,
-      max: 1,
-      step: 0.01,
-      label: 'Radius'
-    }).on('change', () => this.callbacks.onBloomChange('radius', this.config.bloomRadius));
+    this.bindConfig(bloomFolder, 'bloomRadius', { label: 'Radius' }).on('change', () => this.callbacks.onBloomChange('radius', this.config.bloomRadius));
 
-    bloomFolder.addBinding(this.config, 'bloomThreshold', {
-      min: 0,
-      max: 1,
-      step: 0.01,
-      label: 'Threshold'
-    }).on('change', () => this.callbacks.onBloomChange('threshold', this.config.bloomThreshold));
+    this.bindConfig(bloomFolder, 'bloomThreshold', { label: 'Threshold' }).on('change', () => this.callbacks.onBloomChange('threshold', this.config.bloomThreshold));
+  }
+
+  setupBackgroundFolder() {
+    const backgroundFolder = this.pane.addFolder({ title: 'Background', expanded: false });
+
+    this.bindConfig(backgroundFolder, 'backgroundMode', { label: 'Mode' }).on('change', () => {
+      this.updateBackgroundControls();
+      this.callbacks.onBackgroundChange('backgroundMode', this.config.backgroundMode);
+    });
+
+    // Brightness applies to the image as well
+    this.bindConfig(backgroundFolder, 'starfieldBrightness', { label: 'Brightness' }).on('change', () => this.callbacks.onBackgroundChange('starfieldBrightness', this.config.starfieldBrightness));
+
+    const starfieldSettings = {
+      starfieldDensity: { label: 'Density' },
+      starfieldTwinkle: { label: 'Twinkle' },
+      milkyWayBrightness: { label: 'Milky Way' },
+      backgroundGalaxyCount: { label: 'Galaxies' },
+      backgroundSeed: { label: 'Seed' }
+    };
+    Object.entries(starfieldSettings).forEach(([key, options]) => {
+      this.starfieldBindings.push(this.bindConfig(backgroundFolder, key, options)
+        .on('change', () => this.callbacks.onBackgroundChange(key, this.config[key])));
+    });
+
+    this.starfieldBindings.push(backgroundFolder.addButton({ title: 'Randomize' }).on('click', () => {
+      this.config.backgroundSeed = randomSeed();
+      this.refresh();
+      this.callbacks.onBackgroundChange('backgroundSeed', this.config.backgroundSeed);
+    }));
+
+    this.backgroundImageBindings.push(this.bindConfig(backgroundFolder, 'backgroundImage', { label: 'Image URL' }).on('change', () => this.callbacks.onBackgroundChange('backgroundImage', this.config.backgroundImage)));
+
+    this.backgroundImageBindings.push(backgroundFolder.addButton({ title: 'Load Image File' })
+      .on('click', () => this.callbacks.onBackgroundImagePick()));
+
+    this.updateBackgroundControls();
+  }
+
+  /**
+   * Shows the controls of the selected background mode
+   */
+  updateBackgroundControls() {
+    const mode = getBackgroundMode(this.config.backgroundMode);
+    this.starfieldBindings.forEach((binding) => binding.hidden = !mode.starfield);
+    this.backgroundImageBindings.forEach((binding) => binding.hidden = !mode.image);
   }
 
   setupGalaxyFolder() {
     const galaxyFolder = this.pane.addFolder({ title: 'Galaxy Structure' });
 
-    galaxyFolder.addBinding(this.config, 'rotationSpeed', {
-      min: 0,
-      max: 2,
-      step: 0.01,
-      label: 'Rotation Speed'
-    }).on('change', () => this.callbacks.onUniformChange('rotationSpeed', this.config.rotationSpeed));
+    this.bindConfig(galaxyFolder, 'rotationSpeed', { label: 'Rotation Speed' }).on('change', () => this.callbacks.onUniformChange('rotationSpeed', this.config.rotationSpeed));
 
-    galaxyFolder.addBinding(this.config, 'spiralTightness', {
-      min: 0,
-      max: 10,
-      step: 0.01,
-      label: 'Spiral Tightness'
-    }).on('change', () => this.callbacks.onRegenerate());
+    this.bindConfig(galaxyFolder, 'rotationCurve', { label: 'Rotation Curve' }).on('change', () => this.callbacks.onUniformChange('rotationCurve', this.config.rotationCurve));
 
-    galaxyFolder.addBinding(this.config, 'armCount', {
-      min: 1,
-      max: 4,
-      step: 1,
-      label: 'Arm Count'
-    }).on('change', () => this.callbacks.onRegenerate());
+    this.bindConfig(galaxyFolder, 'verticalFrequency', { label: 'Vertical Oscillation' }).on('change', () => this.callbacks.onUniformChange('verticalFrequency', this.config.verticalFrequency));
 
-    galaxyFolder.addBinding(this.config, 'armWidth', {
-      min: 1,
-      max: 5,
-      step: 0.01,
-      label: 'Arm Width'
-    }).on('change', () => this.callbacks.onRegenerate());
+    this.bindConfig(galaxyFolder, 'galaxyType', { label: 'Galaxy Type' }).on('change', () => {
+      this.updateMorphologyControls();
+      this.callbacks.onGalaxyTypeChange(this.config.galaxyType);
+    });
 
-    galaxyFolder.addBinding(this.config, 'randomness', {
-      min: 0,
-      max: 5,
-      step: 0.01,
-      label: 'Randomness'
-    }).on('change', () => this.callbacks.onRegenerate());
-
-    galaxyFolder.addBinding(this.config, 'galaxyRadius', {
-      min: 5,
-      max: 20,
-      step: 0.01,
-      label: 'Galaxy Radius'
-    }).on('change', () => this.callbacks.onRegenerate());
-
-    galaxyFolder.addBinding(this.config, 'galaxyThickness', {
-      min: 0.1,
-      max: 10,
-      step: 0.01,
-      label: 'Thickness'
-    }).on('change', () => this.callbacks.onRegenerate());
+    this.bindConfig(galaxyFolder, 'seed', { label: 'Seed' }).on('change', () => this.callbacks.onSeedChange(this.config.seed));
+
+    galaxyFolder.addButton({ title: 'Randomize' }).on('click', () => {
+      this.config.seed = randomSeed();
+      this.refresh();
+      this.callbacks.onSeedChange(this.config.seed);
+    });
+
+    this.bindConfig(galaxyFolder, 'galaxyRadius', { label: 'Galaxy Radius' }).on('change', () => this.callbacks.onRegenerate());
+
+    this.bindConfig(galaxyFolder, 'galaxyThickness', { label: 'Thickness' }).on('change', () => this.callbacks.onRegenerate());
+
+    // Type-specific parameters, shown only for the galaxy types that use them
+    const addMorphologyBinding = (key, options) => {
+      this.morphologyBindings[key] = this.bindConfig(galaxyFolder, key, options)
+        .on('change', () => this.callbacks.onRegenerate());
+    };
+
+    // Spiral arms
+    addMorphologyBinding('spiralTightness', { label: 'Spiral Tightness' });
+    addMorphologyBinding('armCount', { label: 'Arm Count' });
+    addMorphologyBinding('armWidth', { label: 'Arm Width' });
+    addMorphologyBinding('randomness', { label: 'Randomness' });
+
+    // Bar
+    addMorphologyBinding('barLength', { label: 'Bar Length' });
+    addMorphologyBinding('barWidth', { label: 'Bar Width' });
+    addMorphologyBinding('barFraction', { label: 'Bar Fraction' });
+
+    // Elliptical (Sérsic profile)
+    addMorphologyBinding('sersicIndex', { label: 'Sérsic Index' });
+    addMorphologyBinding('effectiveRadius', { label: 'Effective Radius' });
+    addMorphologyBinding('ellipticity', { label: 'Ellipticity' });
+
+    // Ring
+    addMorphologyBinding('ringRadius', { label: 'Ring Radius' });
+    addMorphologyBinding('ringWidth', { label: 'Ring Width' });
+    addMorphologyBinding('coreFraction', { label: 'Core Fraction' });
+
+    // Irregular
+    addMorphologyBinding('clumpCount', { label: 'Clump Count' });
+    addMorphologyBinding('clumpSpread', { label: 'Clump Spread' });
+
+    this.updateMorphologyControls();
+  }
+
+  /**
+   * Shows only the structure controls used by the selected galaxy type
+   */
+  updateMorphologyControls() {
+    const params = getGalaxyType(this.config.galaxyType).params;
+    Object.entries(this.morphologyBindings).forEach(([key, binding]) => {
+      binding.hidden = !params.includes(key);
+    });
+  }
+
+  setupPhysicsFolder() {
+    const physicsFolder = this.pane.addFolder({ title: 'Physics' });
+
+    this.physicsModeBinding = this.bindConfig(physicsFolder, 'physicsMode', { label: 'Mode' }).on('change', () => {
+      this.updatePhysicsControls();
+      this.callbacks.onPhysicsModeChange(this.config.physicsMode);
+    });
+
+    // Gravity parameters, shown only in gravity mode
+    const addGravityBinding = (key, options) => {
+      this.gravityBindings.push(this.bindConfig(physicsFolder, key, options)
+        .on('change', () => this.callbacks.onUniformChange(key, this.config[key])));
+    };
+
+    addGravityBinding('bulgeMass', { label: 'Bulge Mass' });
+    addGravityBinding('bulgeRadius', { label: 'Bulge Radius' });
+    addGravityBinding('haloVelocity', { label: 'Halo Velocity' });
+    addGravityBinding('haloCoreRadius', { label: 'Halo Core' });
+    addGravityBinding('diskMass', { label: 'Disk Mass' });
+    addGravityBinding('gravitySoftening', { label: 'Softening' });
+
+    this.updatePhysicsControls();
+  }
+
+  /**
+   * Shows the gravity parameters only when gravity mode is selected
+   */
+  updatePhysicsControls() {
+    const hidden = this.config.physicsMode !== 'gravity';
+    this.gravityBindings.forEach((binding) => binding.hidden = hidden);
   }
 
   setupMouseFolder() {
     const mouseFolder = this.pane.addFolder({ title: 'Mouse Interaction' });
 
-    mouseFolder.addBinding(this.config, 'mouseForce', {
-      min: 0,
-      max: 10,
-      step: 0.01,
-      label: 'Force'
-    }).on('change', () => this.callbacks.onUniformChange('mouseForce', this.config.mouseForce));
+    this.bindConfig(mouseFolder, 'interactionTool', { label: 'Tool' }).on('change', () => this.updateToolControls());
 
-    mouseFolder.addBinding(this.config, 'mouseRadius', {
-      min: 1,
-      max: 15,
-      step: 0.01,
-      label: 'Radius'
-    }).on('change', () => this.callbacks.onUniformChange('mouseRadius', this.config.mouseRadius));
+    // Settings of every tool, only the selected tool's are shown
+    const settingOptions = {
+      strength: { label: 'Strength' },
+      radius: { label: 'Radius' },
+      falloff: { label: 'Falloff' }
+    };
+    Object.entries(INTERACTION_TOOLS).forEach(([name, tool]) => {
+      this.toolBindings[name] = Object.entries(tool.keys)
+        .map(([setting, key]) => this.bindConfig(mouseFolder, key, settingOptions[setting]));
+    });
+
+    // Dropped black holes keep acting whichever tool is selected
+    mouseFolder.addButton({ title: 'Clear Black Holes' })
+      .on('click', () => this.callbacks.onClearBlackHoles());
+
+    this.bindConfig(mouseFolder, 'touchGesture', { label: 'Touch' }).on('change', () => this.callbacks.onTouchGestureChange(this.config.touchGesture));
+
+    this.updateToolControls();
+  }
+
+  /**
+   * Shows the settings of the selected interaction tool
+   */
+  updateToolControls() {
+    Object.entries(this.toolBindings).forEach(([name, bindings]) => {
+      bindings.forEach((binding) => binding.hidden = name !== this.config.interactionTool);
+    });
+  }
+
+  /**
+   * Selects a scenario in the dropdown without triggering onScenarioChange
+   */
+  setScenario(name) {
+    this.scenarioParams.scenario = name;
+    this.refresh();
+  }
+
+  /**
+   * Re-reads every binding after the config was changed from outside the UI
+   */
+  refresh() {
+    this.updateMorphologyControls();
+    this.updatePhysicsControls();
+    this.updateColorControls();
+    this.updateCloudControls();
+    this.updateToolControls();
+    this.updateBlackHoleControls();
+    this.updateBackgroundControls();
+    this.updateQualityControls();
+    this.muted = true;
+    this.pane.refresh();
+    this.muted = false;
   }
 
   updateFPS(fps) {
@@ -192,7 +981,25 @@ export class GalaxyUI {
     this.pane.refresh();
   }
 
+  /**
+   * Restricts the controls to what the renderer backend supports, and imported
+   * presets to its limits (see getConfigLimits)
+   * @param {object} capabilities - Entry of BACKENDS (capabilities.js)
+   */
+  setCapabilities(capabilities) {
+    this.capabilities = capabilities;
+    if (!capabilities.gravity) this.physicsModeBinding.disabled = true;
+    this.rebuildResolutionList(capabilities.maxTextureSize);
+  }
+
   setBloomNode(bloomNode) {
     this.bloomPassNode = bloomNode;
   }
+
+  /**
+   * Removes the pane from the page
+   */
+  dispose() {
+    this.pane.dispose();
+  }
 }
@@ -0,0 +1,1725 @@
+/**
+ * Galaxy Viewer - Embeddable Galaxy
+ *
+ * Owns everything needed to show a galaxy inside one container element: scene,
+ * camera, renderer, orbit controls, bloom, the galaxy scenario and, optionally,
+ * the Tweakpane UI. Input listeners are attached to the viewer's own canvas,
+ * so several viewers can share a page.
+ *
+ *   const viewer = new GalaxyViewer(element, { config: { starCount: 200000 } });
+ *   viewer.on('fps', (fps) => console.log(fps));
+ *   await viewer.start();
+ *   viewer.setConfig({ galaxyType: 'barred' });
+ *   viewer.dispose();
+ *
+ * Events (subscribe with on(), unsubscribe with off()):
+ * - fps: frames per second, once per second
+ * - starCount: total stars in the scenario, whenever it changes
+ * - capabilities: the renderer backend and its limits (see capabilities.js),
+ *   once start() has initialized the renderer
+ * - clock: { paused, timeScale } whenever the simulation clock changes
+ * - recording: { frame, frames } after every frame record() renders, null once it ends
+ * - cameraPath: { playing } when a camera path starts or stops playing
+ * - cameraMode: 'orbit' or 'fly' when setCameraMode() switches
+ * - quality: a decision of the adaptive quality (see QualityGovernor in quality.js)
+ *
+ * stop()/start() halt and resume rendering; pause()/resume() only freeze the
+ * simulation, which keeps rendering so the camera can still move.
+ */
+
+import * as THREE from 'three/webgpu';
+import { pass, nodeObject } from 'three/tsl';
+import BloomNode from 'three/addons/tsl/display/BloomNode.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { GalaxyScenario, COMPUTE_SUBMISSIONS } from './scenario.js';
+import { GalaxyUI } from './ui.js';
+import { validateConfig, createPreset } from './presets.js';
+import { encodeState, decodeState } from './share.js';
+import { getConfigLimits } from './limits.js';
+import { detectCapabilities, fitToCapabilities } from './capabilities.js';
+import { SimulationClock, FIXED_TIME_STEP } from './clock.js';
+import { getRecordingFormat, downloadBlob } from './recorder.js';
+import { getTiles, alphaFromBrightness, addPngText, fitCaptureSize } from './capture.js';
+import { CameraPath, parseCameraPath } from './flythrough.js';
+import { FreeFlyControls } from './freefly.js';
+import { getInteractionTool, getToolSettings, MAX_BLACK_HOLES, MAX_INTERACTION_POINTS } from './tools.js';
+import { PointerGestures, getTouchGesture } from './gestures.js';
+import { getCentralMass } from './nbody.js';
+import { createLensUniforms, updateLens, gravitationalLensing, MAX_LENSES } from './blackhole.js';
+import { Skybox, pickImageFile } from './skybox.js';
+import { QualityGovernor, QUALITY_STEPS, getQualityMode, runBenchmark, formatDecision } from './quality.js';
+import { PassTimer, storageReport } from './diagnostics.js';
+import { getCloudPopulation } from './clouds.js';
+
+// ==============================================================================
+// DEFAULTS
+// ==============================================================================
+
+/**
+ * Default configuration; GalaxyViewer options.config is applied on top of it
+ */
+export const DEFAULT_CONFIG = {
+  seed: 0,
+  starCount: 750000,
+  rotationSpeed: 0.1,
+  rotationCurve: 'differential',
+  verticalFrequency: 2.0,
+  galaxyType: 'spiral',
+  spiralTightness: 1.75,
+  interactionTool: 'repel',
+  touchGesture: 'camera',
+  mouseForce: 7.0,
+  mouseRadius: 10.0,
+  mouseFalloff: 1.0,
+  attractForce: 5.0,
+  attractRadius: 8.0,
+  attractFalloff: 1.0,
+  swirlForce: 6.0,
+  swirlRadius: 8.0,
+  swirlFalloff: 1.0,
+  blackHoleForce: 4.0,
+  blackHoleRadius: 6.0,
+  blackHoleFalloff: 2.0,
+  eraserRadius: 2.0,
+  galaxyRadius: 13.0,
+  galaxyThickness: 3,
+  armCount: 2,
+  armWidth: 2.25,
+  randomness: 1.8,
+  barLength: 0.35,
+  barWidth: 1.0,
+  barFraction: 0.3,
+  sersicIndex: 4.0,
+  effectiveRadius: 0.25,
+  ellipticity: 0.3,
+  ringRadius: 0.7,
+  ringWidth: 1.5,
+  coreFraction: 0.2,
+  clumpCount: 6,
+  clumpSpread: 2.5,
+  physicsMode: 'kinematic',
+  bulgeMass: 5.0,
+  bulgeRadius: 1.0,
+  haloVelocity: 0.8,
+  haloCoreRadius: 5.0,
+  diskMass: 5.0,
+  gravitySoftening: 1.0,
+  centralBlackHole: 'none',
+  centralMass: 1.0,
+  accretionDiskRadius: 2.5,
+  accretionDiskBrightness: 1.0,
+  accretionDiskColor: '#ffb066',
+  jetLength: 4.0,
+  lensingStrength: 1.0,
+  particleSize: 0.06,
+  starBrightness: 0.3,
+  denseStarColor: '#1885ff',
+  sparseStarColor: '#ffb28a',
+  starColorMode: 'gradient',
+  armAge: 0.05,
+  bulgeAge: 10,
+  bloomStrength: 0.2,
+  bloomRadius: 0.2,
+  bloomThreshold: 0.1,
+  cloudCount: 5000,
+  cloudSize: 3,
+  cloudOpacity: 0.02,
+  cloudTintColor: '#ffdace',
+  cloudType: 'emissive',
+  dustExtinction: 0.3,
+  dustReddening: 0.7,
+  nebulaCount: 800,
+  nebulaSize: 0.8,
+  nebulaColor: '#ff5c8a',
+  nebulaBrightness: 0.3,
+  nebulaPulse: 0.3,
+  backgroundMode: 'stars',
+  backgroundSeed: 0,
+  starfieldDensity: 1.0,
+  starfieldBrightness: 1.0,
+  starfieldTwinkle: 0.3,
+  milkyWayBrightness: 0.4,
+  backgroundGalaxyCount: 300,
+  backgroundImage: '',
+  qualityMode: 'fixed',
+  targetFps: 30
+};
+
+// Default view, restored by scenarios that do not set their own camera
+export const DEFAULT_VIEW = { position: [0, 12, 17], target: [0, -2, 0], maxDistance: 30 };
+
+// Camera limits in free flight: close-up stars and no orbit clamps
+const FLY_LIMITS = { near: 0.01, far: 1000, minDistance: 0, maxDistance: Infinity };
+
+// Keyboard shortcuts (options.keyboard), by lower-case KeyboardEvent.key
+const KEYBOARD_SHORTCUTS = {
+  'f': (viewer) => viewer.setCameraMode(viewer.getCameraMode() === 'fly' ? 'orbit' : 'fly'),
+  ' ': (viewer) => viewer.togglePause(),
+  '.': (viewer) => viewer.stepSimulation(1),
+  ',': (viewer) => viewer.stepSimulation(-1),
+  'r': (viewer) => viewer.setTimeScale(-viewer.clock.timeScale),
+  '[': (viewer) => viewer.setTimeScale(viewer.clock.timeScale / 2),
+  ']': (viewer) => viewer.setTimeScale(viewer.clock.timeScale === 0 ? 0.25 : viewer.clock.timeScale * 2),
+  'backspace': (viewer) => viewer.resetTime()
+};
+
+// localStorage key of the first-load benchmark result, per backend name
+const BENCHMARK_STORAGE_PREFIX = 'webgpu-galaxy:benchmark:';
+
+/**
+ * Bloom whose render targets can be scaled down for speed (the adaptive
+ * quality's bloomScale); resolutionScale 1 is BloomNode's default resolution.
+ * With a timer, its passes are timed as 'bloom' (see diagnostics.js)
+ */
+class ScalableBloomNode extends BloomNode {
+  constructor(...args) {
+    super(...args);
+    this.resolutionScale = 1;
+    this.timer = null;
+  }
+
+  setSize(width, height) {
+    const scale = this.resolutionScale;
+    super.setSize(Math.max(Math.round(width * scale), 2), Math.max(Math.round(height * scale), 2));
+  }
+
+  updateBefore(frame) {
+    if (!this.timer) return super.updateBefore(frame);
+    this.timer.render('bloom', () => super.updateBefore(frame));
+  }
+}
+
+/**
+ * Stored benchmark result { level, fps }, or null (none, unreadable or storage blocked)
+ */
+function readStoredBenchmark(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    const valid = stored && Number.isInteger(stored.level) && stored.level >= 0 && stored.level <= QUALITY_STEPS.length;
+    return valid ? stored : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// ==============================================================================
+// VIEWER CLASS
+// ==============================================================================
+
+export class GalaxyViewer {
+  /**
+   * @param {HTMLElement} container - Element the canvas is appended to (and sized to)
+   * @param {object} options
+   * @param {object} options.config - Config overrides applied on top of DEFAULT_CONFIG
+   * @param {string} options.scenario - Initial scenario preset (default: 'single')
+   * @param {boolean} options.ui - Show the Tweakpane controls (default: false)
+   * @param {HTMLElement} options.uiContainer - Element to mount the controls in
+   * @param {boolean} options.urlState - Restore from and mirror into the page URL hash (default: false)
+   * @param {string} options.cloudTexture - Cloud sprite texture URL (default: 'cloud.png')
+   * @param {boolean} options.forceWebGL - Use the WebGL 2 fallback even where WebGPU is available (default: false)
+   * @param {boolean} options.keyboard - Shortcuts while the canvas has focus (default: false): F free flight,
+   *   Space pause, . / , step forward / back, R reverse, [ / ] slower / faster, Backspace reset time
+   * @param {boolean} options.benchmark - On the first start in a browser, benchmark and keep
+   *   settings that hold config.targetFps; later starts reuse them (default: false)
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = options;
+
+    // Configuration
+    this.defaultConfig = { ...DEFAULT_CONFIG };
+    this.config = { ...DEFAULT_CONFIG };
+
+    // Event handlers by event name
+    this.listeners = {};
+
+    // State
+    this.running = false;
+    this.disposed = false;
+    this.frameId = null;
+    this.initPromise = null;
+    this.urlUpdateTimer = null;
+    this.capabilities = null; // Known once the renderer is initialized
+    this.clock = new SimulationClock();
+    this.recording = null; // { cancelled, frame, frames } while record() runs
+    this.cameraPath = new CameraPath();
+    this.pathPlayback = null; // { time } while the camera path plays
+    this.urlStateRestored = false;
+
+    // Adaptive quality (quality.js): the governor runs in the 'auto' quality mode
+    this.quality = new QualityGovernor({ target: this.config.targetFps });
+    this.basePixelRatio = Math.min(window.devicePixelRatio, 2);
+    this.bloomScale = 1;
+    this.benchmarking = false;
+    this.benchmarked = false;
+    this.renderedFrames = 0;
+    this.simulationTime = 0; // Milliseconds spent stepping the simulation (awaited submissions included), summed over frames
+    this.startTime = performance.now();
+
+    this.setupScene();
+    this.setupInput();
+    this.keyListener = null;
+    if (options.keyboard) this.setupKeyboard();
+
+    // Scenario holding one or more galaxy simulations; the UI controls the primary one
+    this.cloudTexture = new THREE.TextureLoader().load(options.cloudTexture || 'cloud.png');
+    this.scenario = new GalaxyScenario(this.scene, this.renderer, this.cloudTexture);
+    this.galaxySimulation = null;
+
+    this.ui = options.ui ? this.createUI() : null;
+
+    // Config overrides go in before anything is built
+    if (options.config) {
+      Object.assign(this.config, this.validateConfig(options.config));
+      this.applyGestures();
+      if (this.ui) this.ui.refresh();
+    }
+
+    this.loadScenario(options.scenario || 'single');
+    this.skybox = new Skybox(this.scene, this.config);
+
+    if (options.urlState) this.applyUrlState();
+    this.quality.reset(this.getQualityBaseline());
+
+    // FPS counter
+    this.frameCount = 0;
+    this.lastTime = performance.now();
+    this.lastFrameTime = performance.now();
+    this.fps = 60;
+
+    this.animate = this.animate.bind(this);
+  }
+
+  // ==============================================================================
+  // SETUP
+  // ==============================================================================
+
+  setupScene() {
+    const { width, height } = this.getSize();
+
+    this.scene = new THREE.Scene();
+
+    // Camera limits outside camera paths; loadScenario() sets maxDistance
+    this.viewLimits = { near: 0.1, far: 1000, minDistance: 5, maxDistance: DEFAULT_VIEW.maxDistance };
+
+    this.camera = new THREE.PerspectiveCamera(60, width / height, this.viewLimits.near, this.viewLimits.far);
+    this.camera.position.set(...DEFAULT_VIEW.position);
+    this.camera.lookAt(0, 0, 0);
+
+    // Timestamp queries only run while the diagnostics are on (see PassTimer)
+    this.renderer = new THREE.WebGPURenderer({
+      antialias: true,
+      forceWebGL: !!this.options.forceWebGL,
+      trackTimestamp: true
+    });
+    this.renderer.setSize(width, height);
+    this.renderer.setPixelRatio(this.basePixelRatio);
+    this.renderer.domElement.tabIndex = 0; // Focusable, so keys go to this viewer only
+    this.container.appendChild(this.renderer.domElement);
+    this.timer = new PassTimer(this.renderer);
+
+    // Orbit controls
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    this.controls.enableDamping = true;
+    this.controls.dampingFactor = 0.05;
+    this.controls.minDistance = this.viewLimits.minDistance;
+    this.controls.maxDistance = this.viewLimits.maxDistance;
+    this.controls.target.set(...DEFAULT_VIEW.target);
+    this.controls.addEventListener('end', () => this.scheduleUrlUpdate());
+
+    // First-person flight, the alternative to orbiting (setCameraMode)
+    this.flyControls = new FreeFlyControls(this.camera, this.renderer.domElement);
+    this.cameraMode = 'orbit';
+
+    // Post-processing (created once the renderer is initialized)
+    this.postProcessing = null;
+    this.scenePass = null;
+    this.bloomPassNode = null;
+    this.lenses = Array.from({ length: MAX_LENSES }, createLensUniforms);
+
+    // Follow the container size rather than the window
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.resizeObserver.observe(this.container);
+  }
+
+  /**
+   * Pointer interaction (mouse, pen and touch), listening on this viewer's canvas only
+   */
+  setupInput() {
+    this.gestures = new PointerGestures();
+    this.raycaster = new THREE.Raycaster();
+    this.intersectionPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    this.galaxyCenter = new THREE.Vector3();
+    this.pointerCoords = new THREE.Vector2();
+
+    // World positions of the dropped black holes, oldest first
+    this.blackHoles = [];
+
+    // Pressed pointers applying the tool get a world-space target (see gestures.js)
+    const canvas = this.renderer.domElement;
+    this.inputListeners = {
+      pointerdown: (event) => {
+        canvas.focus({ preventScroll: true });
+        const pointer = this.gestures.down(event, this.config.touchGesture);
+        if (!pointer) return;
+        canvas.setPointerCapture(event.pointerId);
+        pointer.target = new THREE.Vector3();
+        this.updatePointerTarget(pointer);
+      },
+      pointermove: (event) => {
+        const pointer = this.gestures.move(event);
+        if (pointer) this.updatePointerTarget(pointer);
+      },
+      pointerup: (event) => this.releasePointer(event),
+      pointercancel: (event) => this.releasePointer(event)
+    };
+    Object.entries(this.inputListeners).forEach(([type, listener]) => canvas.addEventListener(type, listener));
+    this.applyGestures();
+  }
+
+  /**
+   * Stops tracking a pointer; a persistent tool (the black hole) is dropped
+   * where a pointer applying the tool is released
+   */
+  releasePointer(event) {
+    const pointer = this.gestures.up(event);
+    if (!pointer || !pointer.interacting || event.type === 'pointercancel') return;
+    if (getInteractionTool(this.config.interactionTool).persistent) {
+      this.updatePointerTarget(pointer);
+      this.dropBlackHole(pointer.target);
+    }
+  }
+
+  /**
+   * Which OrbitControls inputs move the camera: the right mouse button (the
+   * left one applies the tool) and, with the camera touch gesture, two fingers
+   */
+  applyGestures() {
+    this.controls.mouseButtons = { LEFT: null, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.ROTATE };
+    const gesture = getTouchGesture(this.config.touchGesture);
+    this.controls.touches = { ONE: null, TWO: gesture.twoFingerCamera ? THREE.TOUCH.DOLLY_ROTATE : null };
+  }
+
+  /**
+   * Drops a black hole that keeps attracting particles until cleared,
+   * replacing the oldest one once MAX_BLACK_HOLES are placed
+   *
+   * @param {THREE.Vector3} position - World position
+   */
+  dropBlackHole(position) {
+    this.blackHoles.push(position.clone());
+    if (this.blackHoles.length > MAX_BLACK_HOLES) this.blackHoles.shift();
+  }
+
+  /**
+   * Removes every dropped black hole
+   */
+  clearBlackHoles() {
+    this.blackHoles = [];
+  }
+
+  /**
+   * World-space interaction state for a simulation step (see GalaxySimulation.update())
+   *
+   * @param {boolean} interactive - Whether pressed pointers apply the selected tool
+   */
+  getInteraction(interactive) {
+    const config = this.config;
+    const applies = interactive && !getInteractionTool(config.interactionTool).persistent;
+    const pointers = applies ? this.gestures.getInteracting(MAX_INTERACTION_POINTS) : [];
+    return {
+      points: pointers.map((pointer) => pointer.target),
+      ...getToolSettings(config.interactionTool, config),
+      blackHoles: this.blackHoles,
+      blackHoleStrength: config.blackHoleForce,
+      blackHoleRadius: config.blackHoleRadius,
+      blackHoleFalloff: config.blackHoleFalloff
+    };
+  }
+
+  /**
+   * Places a pointer's tool where its ray meets the primary galaxy's disk.
+   * Rays that miss the disk plane or meet it beyond the galactic center's
+   * distance (looking along the disk from inside it) use the point at that
+   * distance along the ray instead.
+   *
+   * @param {object} pointer - Pointer tracked by PointerGestures, with a world-space target
+   */
+  updatePointerTarget(pointer) {
+    if (!this.galaxySimulation) return;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.pointerCoords.set(
+      ((pointer.x - rect.left) / rect.width) * 2 - 1,
+      -((pointer.y - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointerCoords, this.camera);
+    const ray = this.raycaster.ray;
+    const reach = this.camera.position.distanceTo(this.galaxySimulation.getCenter(this.galaxyCenter));
+
+    this.galaxySimulation.getDiskPlane(this.intersectionPlane);
+    const hit = ray.intersectPlane(this.intersectionPlane, pointer.target);
+    if (!hit || hit.distanceTo(ray.origin) > reach) ray.at(reach, pointer.target);
+  }
+
+  /**
+   * Keyboard shortcuts on the canvas, which takes focus when pressed, so
+   * several viewers on a page don't all react to the same key
+   */
+  setupKeyboard() {
+    this.keyListener = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      const shortcut = KEYBOARD_SHORTCUTS[event.key.toLowerCase()];
+      if (!shortcut) return;
+      event.preventDefault();
+      shortcut(this);
+    };
+    this.renderer.domElement.addEventListener('keydown', this.keyListener);
+  }
+
+  createUI() {
+    return new GalaxyUI(this.config, {
+      onUniformChange: (key, value) => this.galaxySimulation.updateUniforms({ [key]: value }),
+
+      onBloomChange: (property, value) => {
+        if (this.bloomPassNode) this.bloomPassNode[property].value = value;
+      },
+
+      onBackgroundChange: (key, value) => this.skybox.updateUniforms({ [key]: value }),
+
+      onBackgroundImagePick: () => {
+        pickImageFile()
+          .then((file) => this.loadBackgroundImage(file))
+          .catch(err => console.error('Background image failed:', err));
+      },
+
+      onStarCountChange: (newCount) => {
+        // The slider range does not depend on the backend
+        if (this.capabilities && newCount > this.capabilities.maxStarCount) {
+          newCount = this.capabilities.maxStarCount;
+          this.config.starCount = newCount;
+          this.ui.refresh();
+        }
+        this.galaxySimulation.updateStarCount(newCount);
+        this.emitStarCount();
+        this.resetQuality();
+      },
+
+
+      onQualityModeChange: () => this.restoreQuality(),
+
+      onDiagnosticsToggle: (enabled) => this.setDiagnostics(enabled),
+
+      onComputeSubmissionChange: (name) => this.scenario.setComputeSubmission(name),
+
+      onCompareSubmissions: () => {
+        this.benchmarkComputeSubmission().catch(err => console.error('Benchmark failed:', err));
+      },
+
+      onBenchmark: () => {
+        this.benchmark().catch(err => console.error('Benchmark failed:', err));
+      },
+
+      // Settings baked into a cloud population's particles (see clouds.js)
+      onCloudPopulationChange: (name, key, value) => {
+        this.galaxySimulation.updateUniforms({ [key]: value });
+        if (key === getCloudPopulation(name).countKey && !this.benchmarking) {
+          // Starting over from the new count rebuilds the population if its size changes
+          this.resetQuality();
+          return;
+        }
+        this.galaxySimulation.createCloudPopulation(name);
+      },
+
+      onGalaxyTypeChange: (galaxyType) => {
+        this.galaxySimulation.updateUniforms(this.config);
+        this.galaxySimulation.setGalaxyType(galaxyType);
+      },
+
+      onPhysicsModeChange: (physicsMode) => {
+        this.galaxySimulation.updateUniforms(this.config);
+        this.galaxySimulation.setPhysicsMode(physicsMode);
+      },
+
+      onSeedChange: (seed) => this.applySeed(seed),
+
+      onPresetApply: (values) => this.applyConfig({ ...this.defaultConfig, ...values }),
+
+      onScenarioChange: (name) => this.loadScenario(name),
+
+      onScenarioRestart: () => this.loadScenario(this.scenario.presetName),
+
+      onRegenerate: () => {
+        this.galaxySimulation.updateUniforms(this.config);
+        this.galaxySimulation.createClouds();
+        this.galaxySimulation.regenerate();
+      },
+
+      onConfigChange: () => this.scheduleUrlUpdate(),
+
+      onCopyLink: () => {
+        this.updateUrl();
+        navigator.clipboard.writeText(this.getShareUrl())
+          .catch(err => console.error('Failed to copy link:', err));
+      },
+
+      onPauseChange: (paused) => (paused ? this.pause() : this.resume()),
+
+      onTimeScaleChange: (timeScale) => this.setTimeScale(timeScale),
+
+      onStep: (direction) => this.stepSimulation(direction),
+
+      onTimeReset: () => this.resetTime(),
+
+      onTimeSet: (time) => this.setTime(time),
+
+      onRecord: (options) => {
+        this.record(options)
+          .then((blob) => {
+            if (blob) downloadBlob(blob, `galaxy.${getRecordingFormat(options.format).extension}`);
+          })
+          .catch(err => {
+            console.error('Recording failed:', err);
+            if (this.ui) this.ui.showRecordingError(err);
+          });
+      },
+
+      onRecordCancel: () => this.cancelRecording(),
+
+      onPathAddKeyframe: () => this.addCameraKeyframe(),
+
+      onPathUpdateKeyframe: (keyframe) => Object.assign(keyframe, this.getCameraView()),
+
+      onPathGoTo: (keyframe) => {
+        this.stopCameraPath();
+        this.setCameraView(keyframe);
+      },
+
+      onPathLimitsChange: () => this.applyCameraLimits(),
+
+      onPathPlay: () => this.playCameraPath(),
+
+      onPathStop: () => this.stopCameraPath(),
+
+      onPathImport: (json) => {
+        try {
+          this.setCameraPath(parseCameraPath(json));
+        } catch (err) {
+          console.error('Failed to load camera path:', err);
+        }
+      },
+
+      onClearBlackHoles: () => this.clearBlackHoles(),
+
+      onTouchGestureChange: () => this.applyGestures(),
+
+      onCapture: (options) => {
+        this.capture(options)
+          .then((blob) => downloadBlob(blob, `galaxy-${this.config.seed}.png`))
+          .catch(err => console.error('Capture failed:', err));
+      }
+    }, { container: this.options.uiContainer, clock: this.getClockState(), cameraPath: this.cameraPath });
+  }
+
+  setupBloom() {
+    if (!this.postProcessing) return;
+
+    this.scenePass = pass(this.scene, this.camera);
+    const scenePassColor = this.scenePass.getTextureNode();
+
+    // Lensing bends the scene around the central black holes before it blooms
+    const lensedColor = gravitationalLensing(scenePassColor, this.lenses);
+
+    this.bloomPassNode = nodeObject(new ScalableBloomNode(lensedColor));
+    this.bloomPassNode.resolutionScale = this.bloomScale;
+    this.bloomPassNode.timer = this.timer;
+    this.bloomPassNode.threshold.value = this.config.bloomThreshold;
+    this.bloomPassNode.strength.value = this.config.bloomStrength;
+    this.bloomPassNode.radius.value = this.config.bloomRadius;
+
+    this.postProcessing.outputNode = lensedColor.add(this.bloomPassNode);
+  }
+
+  // ==============================================================================
+  // EVENTS
+  // ==============================================================================
+
+  /**
+   * Subscribes to a viewer event
+   *
+   * @param {string} event - Event name ('fps', 'starCount')
+   * @param {Function} handler - Called with the event value
+   * @returns {GalaxyViewer} - this, for chaining
+   */
+  on(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+    return this;
+  }
+
+  /**
+   * Removes a handler added with on()
+   */
+  off(event, handler) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((listener) => listener !== handler);
+    }
+    return this;
+  }
+
+  emit(event, value) {
+    (this.listeners[event] || []).forEach((handler) => handler(value));
+  }
+
+  emitStarCount() {
+    this.emit('starCount', this.getStarCount());
+  }
+
+  // ==============================================================================
+  // CONFIGURATION
+  // ==============================================================================
+
+  /**
+   * Loads a scenario preset and frames the camera on it
+   * @param {string} name - Key in SCENARIO_PRESETS
+   */
+  loadScenario(name) {
+    const preset = this.scenario.load(name, this.config);
+    this.galaxySimulation = this.scenario.primary;
+
+    const view = preset.camera || DEFAULT_VIEW;
+    this.camera.position.set(...view.position);
+    this.controls.target.set(...view.target);
+    this.viewLimits.maxDistance = view.maxDistance;
+    this.applyCameraLimits();
+    this.controls.update();
+    this.clearBlackHoles();
+
+    if (this.ui) this.ui.setScenario(this.scenario.presetName);
+    this.resetQuality(); // The new galaxies start from the scenario's counts
+    this.emitStarCount();
+    this.scheduleUrlUpdate();
+  }
+
+  /**
+   * Applies a new seed to every galaxy generator: stars and clouds (the
+   * background has its own backgroundSeed)
+   * @param {number} seed - Integer seed
+   */
+  applySeed(seed) {
+    this.scenario.setSeed(seed);
+    this.scheduleUrlUpdate();
+  }
+
+  /**
+   * Applies a complete set of config values (e.g. a preset) to the primary galaxy
+   *
+   * Uniform-backed values go through updateUniforms. Star count, galaxy type and
+   * physics mode rebuild the star system, clouds are always rebuilt because their
+   * tint is baked in at init, and every particle is regenerated. Once the
+   * renderer is initialized, values its backend cannot run are fitted to it.
+   * @param {object} values - Validated config values
+   */
+  applyConfig(values) {
+    const config = this.config;
+    const previous = { ...config };
+    Object.assign(config, this.capabilities ? fitToCapabilities(values, this.capabilities) : values);
+
+    this.galaxySimulation.updateUniforms(config);
+    this.skybox.updateUniforms(config);
+
+    if (config.starCount !== previous.starCount) {
+      this.galaxySimulation.updateStarCount(config.starCount);
+    } else if (config.galaxyType !== previous.galaxyType || config.physicsMode !== previous.physicsMode) {
+      this.galaxySimulation.createGalaxySystem();
+    }
+    this.galaxySimulation.createClouds();
+    this.galaxySimulation.regenerate();
+
+    if (config.seed !== previous.seed) this.applySeed(config.seed);
+    this.applyGestures();
+
+    if (this.bloomPassNode) {
+      this.bloomPassNode.strength.value = config.bloomStrength;
+      this.bloomPassNode.radius.value = config.bloomRadius;
+      this.bloomPassNode.threshold.value = config.bloomThreshold;
+    }
+
+    this.emitStarCount();
+    if ('starCount' in values || 'cloudCount' in values) {
+      this.resetQuality();
+    } else if (config.qualityMode !== previous.qualityMode) {
+      this.restoreQuality();
+    }
+    if (this.ui) this.ui.refresh();
+    this.scheduleUrlUpdate();
+  }
+
+  /**
+   * Shows an equirectangular image (HDR or LDR) as the background
+   *
+   * @param {string|File} source - Image URL, or a local file (not kept in the
+   *   URL state or presets, which only hold URLs)
+   * @returns {Promise<void>}
+   */
+  async loadBackgroundImage(source) {
+    if (typeof source === 'string') {
+      this.config.backgroundImage = source;
+      await this.skybox.loadImage(source);
+    } else {
+      const url = URL.createObjectURL(source);
+      try {
+        await this.skybox.loadImage(url, /\.hdr$/i.test(source.name));
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+    this.config.backgroundMode = 'image';
+    this.skybox.updateUniforms({ backgroundMode: 'image' });
+    if (this.ui) this.ui.refresh();
+    this.scheduleUrlUpdate();
+  }
+
+  /**
+   * Drops unknown keys and invalid values (with a warning) and clamps numbers
+   * to the control ranges (see limits.js), with or without the UI
+   */
+  validateConfig(values) {
+    const { config, warnings } = validateConfig(values, this.defaultConfig, getConfigLimits(this.capabilities));
+    warnings.forEach((warning) => console.warn(`GalaxyViewer config: ${warning}`));
+    return config;
+  }
+
+  /**
+   * Changes config values
+   *
+   * @param {object} values - Partial config
+   */
+  setConfig(values) {
+    this.applyConfig({ ...this.config, ...this.validateConfig(values) });
+  }
+
+  /**
+   * Copy of the current config
+   */
+  getConfig() {
+    return { ...this.config };
+  }
+
+  /**
+   * Total number of stars across the scenario's galaxies
+   */
+  getStarCount() {
+    return this.scenario.galaxies.reduce((sum, simulation) => sum + simulation.COUNT, 0);
+  }
+
+  // ==============================================================================
+  // URL STATE
+  // ==============================================================================
+
+  /**
+   * Page URL whose hash reproduces the current config, scenario and camera
+   */
+  getShareUrl() {
+    const hash = encodeState({
+      config: this.config,
+      defaults: this.defaultConfig,
+      scenario: this.scenario.presetName,
+      position: this.camera.position,
+      target: this.controls.target
+    });
+    return `${window.location.href.split('#')[0]}#${hash}`;
+  }
+
+  updateUrl() {
+    clearTimeout(this.urlUpdateTimer);
+    if (this.options.urlState) history.replaceState(null, '', this.getShareUrl());
+  }
+
+  scheduleUrlUpdate() {
+    if (!this.options.urlState) return;
+    clearTimeout(this.urlUpdateTimer);
+    this.urlUpdateTimer = setTimeout(() => this.updateUrl(), 300);
+  }
+
+  /**
+   * Restores the state encoded in the URL hash, if any
+   */
+  applyUrlState() {
+    const state = decodeState(window.location.hash, this.defaultConfig, getConfigLimits(this.capabilities));
+    if (!state) return;
+    this.urlStateRestored = true;
+
+    state.warnings.forEach((warning) => console.warn(`URL state: ${warning}`));
+
+    if (state.scenario) this.loadScenario(state.scenario);
+
+    this.applyConfig({ ...this.config, ...state.config });
+
+    if (state.view) {
+      this.camera.position.set(...state.view.position);
+      this.controls.target.set(...state.view.target);
+      this.controls.update();
+    }
+  }
+
+  // ==============================================================================
+  // LIFECYCLE
+  // ==============================================================================
+
+  /**
+   * Initializes the renderer (once) and starts the animation loop
+   *
+   * @returns {Promise<void>} - Resolves once rendering has started
+   */
+  async start() {
+    if (this.disposed) return;
+    await this.initRenderer();
+
+    if (this.running || this.recording || this.disposed) return;
+    this.running = true;
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame(this.animate);
+
+    if (this.options.benchmark && !this.benchmarked) {
+      this.benchmarked = true;
+      this.applyFirstLoadBenchmark().catch(err => console.error('Benchmark failed:', err));
+    }
+  }
+
+  /**
+   * Initializes the renderer and the post-processing, once
+   */
+  initRenderer() {
+    if (!this.initPromise) {
+      this.initPromise = this.renderer.init().then(() => {
+        this.timer.init();
+        this.applyCapabilities(detectCapabilities(this.renderer));
+        this.postProcessing = new THREE.PostProcessing(this.renderer);
+        this.setupBloom();
+        if (this.ui) this.ui.setBloomNode(this.bloomPassNode);
+      });
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Fits the scenario and the controls to the limits of the renderer backend
+   * @param {object} capabilities - Entry of BACKENDS
+   */
+  applyCapabilities(capabilities) {
+    this.capabilities = capabilities;
+    this.scenario.setCapabilities(capabilities);
+    this.quality.reset(this.getQualityBaseline()); // The star count may have been fitted
+    if (this.ui) {
+      this.ui.setCapabilities(capabilities);
+      this.ui.refresh();
+    }
+
+    if (capabilities.fallback) {
+      console.warn(`WebGPU unavailable, using the ${capabilities.name} fallback`);
+    }
+    this.emitStarCount();
+    this.emit('capabilities', capabilities);
+    this.scheduleUrlUpdate();
+  }
+
+  // ==============================================================================
+  // TIME
+  // ==============================================================================
+
+  /**
+   * Freezes the simulation (rendering continues)
+   */
+  pause() {
+    this.clock.pause();
+    this.clockChanged();
+  }
+
+  resume() {
+    this.clock.resume();
+    this.clockChanged();
+  }
+
+  togglePause() {
+    this.clock.togglePause();
+    this.clockChanged();
+  }
+
+  /**
+   * Pauses and advances the simulation by a single fixed step
+   * @param {number} direction - 1 forward, -1 backward
+   */
+  stepSimulation(direction = 1) {
+    this.clock.stepOnce(direction);
+    this.clockChanged();
+  }
+
+  /**
+   * @param {number} timeScale - Simulation speed; negative values run backwards
+   */
+  setTimeScale(timeScale) {
+    this.clock.setTimeScale(timeScale);
+    this.clockChanged();
+  }
+
+  getClockState() {
+    return { paused: this.clock.paused, timeScale: this.clock.timeScale };
+  }
+
+  clockChanged() {
+    const state = this.getClockState();
+    if (this.ui) this.ui.setClockState(state);
+    this.emit('clock', state);
+  }
+
+  /**
+   * Accumulated simulation time of the primary galaxy in seconds
+   */
+  getTime() {
+    return this.galaxySimulation.uniforms.compute.time.value;
+  }
+
+  /**
+   * Restarts the simulation time of every galaxy at zero
+   */
+  resetTime() {
+    this.scenario.resetTime();
+    if (this.ui) this.ui.updateTime(0);
+  }
+
+  /**
+   * Jumps to a simulation time, forwards or back. Kinematic orbits are closed
+   * form, so the galaxy is shown as it is at that time, paused or not; in
+   * gravity mode only the clock changes
+   *
+   * @param {number} time - Simulation time in seconds
+   */
+  setTime(time) {
+    this.scenario.setTime(time);
+    if (this.ui) this.ui.updateTime(time);
+  }
+
+  // ==============================================================================
+  // RECORDING
+  // ==============================================================================
+
+  /**
+   * Renders a recording offline: the animation loop stops, and every frame
+   * advances the simulation by exactly 1 / fps seconds (times the clock's
+   * speed, even while paused) and is rendered at the requested size, bloom
+   * included. Emits 'recording' with { frame, frames } after every frame.
+   *
+   * @param {object} options
+   * @param {string} options.format - Key in RECORDING_FORMATS (default: 'webm')
+   * @param {number} options.width - Frame width in pixels, may exceed the window (default: canvas size)
+   * @param {number} options.height - Frame height in pixels (default: canvas size); frames are
+   *   rendered whole, so sizes beyond the backend's maxTextureSize are scaled down keeping the aspect ratio
+   * @param {number} options.fps - Frames per second (default: 60)
+   * @param {number} options.duration - Seconds of video (default: 10)
+   * @param {number} options.bitrate - WebM bits per second (default: DEFAULT_VIDEO_BITRATE)
+   * @param {boolean} options.cameraPath - Fly the camera path, one frame per 1 / fps
+   *   seconds of it; the duration defaults to the path's
+   * @returns {Promise<Blob|null>} - The file, or null if cancelled
+   */
+  async record(options = {}) {
+    if (this.recording) throw new Error('A recording is already running');
+    await this.initRenderer();
+    if (this.disposed) return null;
+
+    const canvas = this.renderer.domElement;
+    const format = getRecordingFormat(options.format || 'webm');
+    if (!format || !format.isSupported()) throw new Error(`Unsupported recording format: ${options.format}`);
+
+    // Within the texture limit (frames aren't tiled like captures), and even for the video encoders
+    const size = fitCaptureSize(options.width || canvas.width, options.height || canvas.height, this.capabilities.maxTextureSize);
+    const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+    const width = even(size.width);
+    const height = even(size.height);
+    const fps = options.fps || 60;
+    const flyPath = !!options.cameraPath && this.cameraPath.keyframes.length > 0;
+    const start = flyPath ? this.cameraPath.keyframes[0].time : 0;
+    const duration = options.duration || (flyPath ? this.cameraPath.duration - start : 10);
+    const frames = Math.max(1, Math.round(duration * fps) + (flyPath && !options.duration ? 1 : 0));
+
+    // Frames are copied here right after rendering, while the canvas still holds them
+    const capture = document.createElement('canvas');
+    capture.width = width;
+    capture.height = height;
+    const context = capture.getContext('2d');
+
+    const encoder = format.createEncoder(capture, { width, height, fps, bitrate: options.bitrate });
+    await encoder.start();
+
+    // A clock of its own: same speed, never paused, no cap on steps per frame
+    const clock = new SimulationClock(FIXED_TIME_STEP, Infinity);
+    clock.setTimeScale(this.clock.timeScale);
+
+    const wasRunning = this.running;
+    const pixelRatio = this.renderer.getPixelRatio();
+    this.stop();
+    this.recording = { cancelled: false, frame: 0, frames };
+    if (flyPath) this.playCameraPath();
+
+    // Render at the recording size; the canvas keeps its on-page size and shows the frames scaled
+    this.renderer.setPixelRatio(1);
+    this.renderer.setSize(width, height, false);
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+
+    try {
+      for (let frame = 0; frame < frames; frame++) {
+        if (this.recording.cancelled || this.disposed) break;
+
+        if (flyPath) {
+          this.setCameraView(this.cameraPath.evaluate(start + frame / fps));
+        } else {
+          this.updateCamera(1 / fps);
+        }
+        await this.advanceSimulation(clock, 1 / fps, false);
+        if (this.disposed) break;
+
+        this.renderFrame();
+        context.drawImage(canvas, 0, 0, width, height);
+        await encoder.addFrame(frame);
+
+        this.recording.frame = frame + 1;
+        if (this.ui) this.ui.updateTime(this.getTime());
+        if (this.ui) this.ui.updateRecording({ frame: frame + 1, frames });
+        this.emit('recording', { frame: frame + 1, frames });
+      }
+
+      if (this.recording.cancelled || this.disposed) {
+        encoder.cancel();
+        return null;
+      }
+      return await encoder.finish();
+    } catch (error) {
+      encoder.cancel();
+      throw error;
+    } finally {
+      this.recording = null;
+      if (flyPath) this.stopCameraPath();
+      if (!this.disposed) {
+        this.renderer.setPixelRatio(pixelRatio);
+        this.resize();
+        if (this.ui) this.ui.updateRecording(null);
+        this.emit('recording', null);
+        if (wasRunning) this.start();
+      }
+    }
+  }
+
+  /**
+   * Stops a running record() after the current frame; it resolves with null
+   */
+  cancelRecording() {
+    if (this.recording) this.recording.cancelled = true;
+  }
+
+  // ==============================================================================
+  // CAMERA PATH
+  // ==============================================================================
+
+  /**
+   * Current view as a keyframe-compatible { position, target, fov }
+   */
+  getCameraView() {
+    const target = this.cameraMode === 'fly' ? this.getLookTarget(new THREE.Vector3()) : this.controls.target;
+    return {
+      position: this.camera.position.toArray(),
+      target: target.toArray(),
+      fov: this.camera.fov
+    };
+  }
+
+  /**
+   * Moves the camera to a view (see getCameraView)
+   */
+  setCameraView(view) {
+    this.camera.position.set(...view.position);
+    this.controls.target.set(...view.target);
+    this.camera.lookAt(this.controls.target);
+    this.camera.fov = view.fov;
+    this.camera.updateProjectionMatrix();
+    if (this.flyControls.enabled) this.flyControls.syncOrientation();
+  }
+
+  /**
+   * Point straight ahead of the camera, at the galactic center's distance
+   * @param {THREE.Vector3} target - Vector to write into
+   */
+  getLookTarget(target) {
+    const distance = this.camera.position.distanceTo(this.galaxySimulation.getCenter(this.galaxyCenter));
+    this.camera.getWorldDirection(target);
+    return target.multiplyScalar(Math.max(distance, this.viewLimits.minDistance)).add(this.camera.position);
+  }
+
+  /**
+   * Adds the current view as a keyframe at the end of the camera path
+   * @returns {object} - The keyframe
+   */
+  addCameraKeyframe() {
+    const keyframe = this.cameraPath.addKeyframe(this.getCameraView());
+    if (this.ui) this.ui.refreshCameraPath(keyframe);
+    return keyframe;
+  }
+
+  /**
+   * Replaces the camera path (e.g. one loaded with parseCameraPath)
+   * @param {CameraPath} path
+   */
+  setCameraPath(path) {
+    this.stopCameraPath();
+    this.cameraPath = path;
+    if (this.ui) this.ui.setCameraPath(path);
+    this.applyCameraLimits();
+  }
+
+  getCameraPath() {
+    return this.cameraPath;
+  }
+
+  /**
+   * Plays the camera path from its start; the orbit controls are disabled
+   * until it ends (or loops until stopCameraPath())
+   */
+  playCameraPath() {
+    if (this.cameraPath.keyframes.length === 0) return;
+
+    this.pathPlayback = { time: this.cameraPath.keyframes[0].time };
+    this.controls.enabled = false;
+    this.applyCameraLimits();
+    this.setCameraView(this.cameraPath.evaluate(this.pathPlayback.time));
+    if (this.ui) this.ui.setCameraPathPlaying(true);
+    this.emit('cameraPath', { playing: true });
+  }
+
+  stopCameraPath() {
+    if (!this.pathPlayback) return;
+
+    this.pathPlayback = null;
+    if (this.cameraMode === 'fly') {
+      this.flyControls.setEnabled(true); // Resumes from the path's last orientation
+    } else {
+      this.controls.enabled = true;
+    }
+    this.applyCameraLimits();
+    if (this.ui) this.ui.setCameraPathPlaying(false);
+    this.emit('cameraPath', { playing: false });
+  }
+
+  /**
+   * Moves the playing camera path on by a frame of wall-clock time
+   */
+  advanceCameraPath(frameTime) {
+    this.pathPlayback.time += frameTime;
+    this.setCameraView(this.cameraPath.evaluate(this.pathPlayback.time));
+
+    if (!this.cameraPath.loop && this.pathPlayback.time >= this.cameraPath.duration) {
+      this.stopCameraPath();
+    }
+  }
+
+  /**
+   * Near/far planes and orbit distance clamps: the camera path's while it
+   * plays (or when its limits are enabled), else those of the camera mode
+   */
+  applyCameraLimits() {
+    const pathLimits = this.cameraPath.limits;
+    let limits = this.cameraMode === 'fly' ? FLY_LIMITS : this.viewLimits;
+    if (this.pathPlayback || pathLimits.enabled) limits = pathLimits;
+
+    this.camera.near = limits.near;
+    this.camera.far = limits.far;
+    this.camera.updateProjectionMatrix();
+    this.controls.minDistance = limits.minDistance;
+    this.controls.maxDistance = limits.maxDistance;
+  }
+
+  /**
+   * Switches between orbiting and first-person flight (see freefly.js)
+   * @param {string} mode - 'orbit' or 'fly'
+   */
+  setCameraMode(mode) {
+    if (mode === this.cameraMode || (mode !== 'orbit' && mode !== 'fly')) return;
+    this.cameraMode = mode;
+
+    const playing = !!this.pathPlayback;
+    this.flyControls.setEnabled(mode === 'fly' && !playing);
+    this.controls.enabled = mode === 'orbit' && !playing;
+
+    if (mode === 'orbit') this.getLookTarget(this.controls.target); // Orbit around the point ahead
+    this.applyCameraLimits();
+    if (mode === 'orbit') this.controls.update();
+
+    this.emit('cameraMode', mode);
+  }
+
+  getCameraMode() {
+    return this.cameraMode;
+  }
+
+  // ==============================================================================
+  // CAPTURE
+  // ==============================================================================
+
+  /**
+   * Renders the current frame as a PNG at any size, bloom included, without
+   * advancing the simulation. Sizes beyond the GPU texture limit are rendered
+   * in tiles (see capture.js). The PNG carries the seed, the config as a
+   * preset (loadable with Upload JSON) and the share link as text metadata.
+   *
+   * @param {object} options
+   * @param {number} options.scale - Multiple of the canvas size (default: 2)
+   * @param {number} options.width - Width in pixels, overrides scale (with height)
+   * @param {number} options.height - Height in pixels; sizes beyond
+   *   MAX_CAPTURE_SIZE are scaled down keeping the aspect ratio
+   * @param {boolean} options.transparent - Drop the background and the starfield
+   *   for an alpha channel (default: false)
+   * @returns {Promise<Blob>} - PNG file
+   */
+  async capture(options = {}) {
+    if (this.recording) throw new Error('Cannot capture while recording');
+    await this.initRenderer();
+    await this.scenario.initialize(this.renderer);
+
+    const canvas = this.renderer.domElement;
+    const scale = options.scale || 2;
+    const { width, height } = fitCaptureSize(options.width || canvas.width * scale, options.height || canvas.height * scale);
+
+    const image = document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+    const context = image.getContext('2d');
+
+    const pixelRatio = this.renderer.getPixelRatio();
+    if (options.transparent) this.skybox.setVisible(false);
+
+    // Rendered and copied in one go, so the animation loop cannot render in between
+    this.renderer.setPixelRatio(1);
+    this.camera.aspect = width / height;
+    try {
+      for (const tile of getTiles(width, height, this.capabilities.maxTextureSize)) {
+        const region = tile.render;
+        this.camera.setViewOffset(width, height, region.x, region.y, region.width, region.height);
+        this.renderer.setSize(region.width, region.height, false);
+        this.renderFrame();
+
+        const x = tile.x - region.x;
+        const y = tile.y - region.y;
+        context.drawImage(canvas, x, y, tile.width, tile.height, tile.x, tile.y, tile.width, tile.height);
+      }
+    } finally {
+      this.camera.clearViewOffset();
+      this.skybox.setVisible(true);
+      this.renderer.setPixelRatio(pixelRatio);
+      this.resize();
+    }
+
+    if (options.transparent) {
+      const pixels = context.getImageData(0, 0, width, height);
+      alphaFromBrightness(pixels.data);
+      context.putImageData(pixels, 0, 0);
+    }
+
+    const png = await new Promise((resolve) => image.toBlob(resolve, 'image/png'));
+    const bytes = addPngText(new Uint8Array(await png.arrayBuffer()), {
+      Software: 'webgpu-galaxy',
+      Seed: String(this.config.seed),
+      Preset: JSON.stringify(createPreset(`Capture (seed ${this.config.seed})`, this.config)),
+      Source: this.getShareUrl()
+    });
+    return new Blob([bytes], { type: 'image/png' });
+  }
+
+  /**
+   * Renderer backend and its limits, or null before start()
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
+
+  /**
+   * Pauses the animation loop; start() resumes it
+   */
+  stop() {
+    this.running = false;
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  updateFPS() {
+    this.frameCount++;
+    const currentTime = performance.now();
+    const deltaTime = currentTime - this.lastTime;
+
+    if (deltaTime >= 1000) {
+      this.fps = Math.round((this.frameCount * 1000) / deltaTime);
+      this.frameCount = 0;
+      this.lastTime = currentTime;
+
+      if (this.ui) this.ui.updateFPS(this.fps);
+      this.emit('fps', this.fps);
+      this.governQuality();
+    }
+  }
+
+  // ==============================================================================
+  // DIAGNOSTICS
+  // ==============================================================================
+
+  /**
+   * Starts or stops timing the compute, render and bloom passes (GPU timestamp
+   * queries where the backend has them, CPU time otherwise)
+   */
+  setDiagnostics(enabled) {
+    this.timer.setEnabled(enabled);
+  }
+
+  /**
+   * Pass timings and storage buffer sizes
+   *
+   * @returns {{ source: string, passes: object, storage: { label: string, bytes: number }[] }} -
+   *   source 'gpu' or 'cpu'; passes by TIMED_PASSES key, each { latest, min, avg, max } in
+   *   milliseconds over the last TIMING_HISTORY timed frames (see diagnostics.js)
+   */
+  getDiagnostics() {
+    return { ...this.timer.getTimings(), storage: storageReport(this.scenario.getStorageBuffers()) };
+  }
+
+  /**
+   * Runs the galaxy with every compute submission in turn (see COMPUTE_SUBMISSIONS
+   * in scenario.js) and compares their frame rates and the time spent stepping
+   * the simulation per frame, then goes back to the current one
+   *
+   * @param {number} duration - Seconds measured per submission (default: 3)
+   * @returns {Promise<object>} - { [submission]: { fps, simulationMs } }
+   */
+  async benchmarkComputeSubmission(duration = 3) {
+    if (!this.running) throw new Error('Start the viewer before benchmarking');
+    if (this.benchmarking) throw new Error('A benchmark is already running');
+
+    this.benchmarking = true;
+    const current = this.scenario.computeSubmission;
+    const results = {};
+    try {
+      for (const name of Object.keys(COMPUTE_SUBMISSIONS)) {
+        this.scenario.setComputeSubmission(name);
+        results[name] = await this.measureFrames(1, duration);
+      }
+    } finally {
+      this.scenario.setComputeSubmission(current);
+      this.benchmarking = false;
+    }
+
+    if (this.ui) this.ui.showSubmissionBenchmark(results);
+    return results;
+  }
+
+  // ==============================================================================
+  // ADAPTIVE QUALITY
+  // ==============================================================================
+
+  /**
+   * Settings the adaptive quality starts from and never exceeds: the configured
+   * star and cloud counts at the full pixel ratio and bloom resolution. The
+   * governor lowers the counts of the simulation only (see applyQualitySettings),
+   * so the config always holds the user's counts
+   */
+  getQualityBaseline() {
+    return {
+      starCount: this.config.starCount,
+      cloudCount: this.config.cloudCount,
+      pixelRatio: this.basePixelRatio,
+      bloomScale: 1
+    };
+  }
+
+  /**
+   * Starts the adaptive quality over from the current config (after the user
+   * changed a setting it controls), restoring the pixel ratio and bloom resolution
+   */
+  resetQuality() {
+    if (this.benchmarking) return;
+    this.quality.reset(this.getQualityBaseline());
+    this.applyQualitySettings(this.quality.settings);
+  }
+
+  /**
+   * Goes back to the settings the adaptive quality started from (e.g. when
+   * switching to the fixed quality mode)
+   */
+  restoreQuality() {
+    if (this.benchmarking) return;
+    this.quality.reset(this.quality.baseline);
+    this.applyQualitySettings(this.quality.settings);
+  }
+
+  /**
+   * Feeds the latest FPS measurement to the governor in the auto quality mode
+   */
+  governQuality() {
+    if (!getQualityMode(this.config.qualityMode).adaptive || this.benchmarking || this.recording) return;
+
+    this.quality.target = this.config.targetFps;
+    const decision = this.quality.sample(this.fps, (performance.now() - this.startTime) / 1000);
+    if (!decision) return;
+
+    this.applyQualitySettings(decision.settings);
+    this.logQuality(formatDecision(decision));
+    this.emit('quality', decision);
+  }
+
+  /**
+   * Switches to a set of adaptive quality settings
+   *
+   * @param {object} settings - { starCount, cloudCount, pixelRatio, bloomScale }
+   */
+  applyQualitySettings(settings) {
+    if (this.renderer.getPixelRatio() !== settings.pixelRatio) this.renderer.setPixelRatio(settings.pixelRatio);
+
+    this.bloomScale = settings.bloomScale;
+    if (this.bloomPassNode) this.bloomPassNode.resolutionScale = settings.bloomScale;
+
+    // The counts limit the simulation only; the config keeps the user's counts
+    // for share links, presets and capture metadata
+    const starCount = this.galaxySimulation.COUNT;
+    this.galaxySimulation.setCountLimits({ starCount: settings.starCount, cloudCount: settings.cloudCount });
+    if (this.galaxySimulation.COUNT !== starCount) this.emitStarCount();
+  }
+
+  logQuality(message) {
+    if (this.ui) this.ui.logQuality(message);
+  }
+
+  /**
+   * Measures the frame rate at decreasing quality until config.targetFps holds,
+   * and keeps those settings
+   *
+   * @returns {Promise<{ level: number, settings: object, fps: number }>}
+   */
+  async benchmark() {
+    if (!this.running) throw new Error('Start the viewer before benchmarking');
+    if (this.benchmarking) throw new Error('A benchmark is already running');
+
+    const baseline = { ...this.quality.baseline };
+    this.benchmarking = true;
+    this.logQuality(`benchmark for ${this.config.targetFps} FPS`);
+    try {
+      const result = await runBenchmark(
+        baseline,
+        this.config.targetFps,
+        (settings) => this.applyQualitySettings(settings),
+        () => this.measureFps()
+      );
+      this.quality.reset(baseline);
+      this.quality.level = result.level;
+      this.logQuality(`benchmark: level ${result.level} runs at ${result.fps} FPS`);
+      return result;
+    } finally {
+      this.benchmarking = false;
+    }
+  }
+
+  /**
+   * Frame rate over a short window, after letting a settings change settle
+   *
+   * @param {number} settle - Seconds skipped first
+   * @param {number} duration - Seconds measured
+   */
+  async measureFps(settle = 0.5, duration = 1) {
+    return (await this.measureFrames(settle, duration)).fps;
+  }
+
+  /**
+   * Frame rate and CPU time per frame spent stepping the simulation over a
+   * short window, after letting a settings change settle
+   *
+   * @param {number} settle - Seconds skipped first
+   * @param {number} duration - Seconds measured
+   * @returns {Promise<{ fps: number, simulationMs: number }>}
+   */
+  async measureFrames(settle = 0.5, duration = 1) {
+    const wait = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+    await wait(settle);
+    const frames = this.renderedFrames;
+    const simulationTime = this.simulationTime;
+    const start = performance.now();
+    await wait(duration);
+
+    const measured = this.renderedFrames - frames;
+    return {
+      fps: Math.round(measured * 1000 / (performance.now() - start)),
+      simulationMs: (this.simulationTime - simulationTime) / Math.max(measured, 1)
+    };
+  }
+
+  /**
+   * Benchmarks on the first start in a browser and stores the picked level for
+   * the backend; later starts apply the stored level to the simulation.
+   * Links carrying their own state are left as they are
+   */
+  async applyFirstLoadBenchmark() {
+    if (this.urlStateRestored) return;
+
+    const key = BENCHMARK_STORAGE_PREFIX + this.capabilities.name;
+    const stored = readStoredBenchmark(key);
+    if (stored) {
+      this.quality.reset(this.quality.baseline);
+      this.quality.level = stored.level;
+      this.applyQualitySettings(this.quality.settings);
+      this.logQuality(`stored benchmark level ${stored.level}`);
+      return;
+    }
+
+    const result = await this.benchmark();
+    try {
+      localStorage.setItem(key, JSON.stringify({ level: result.level, fps: result.fps }));
+    } catch (err) {
+      console.warn('Could not store the benchmark result:', err);
+    }
+  }
+
+  async animate() {
+    if (!this.running) return;
+    this.frameId = requestAnimationFrame(this.animate);
+
+    const currentTime = performance.now();
+    const frameTime = (currentTime - this.lastFrameTime) / 1000;
+    this.lastFrameTime = currentTime;
+
+    this.updateCamera(frameTime);
+    // The camera may have moved under the pointers
+    this.gestures.getInteracting().forEach((pointer) => this.updatePointerTarget(pointer));
+
+    // Batched steps go out without waiting; the GPU runs the compute shaders before the render
+    this.timer.beginFrame();
+    const simulationStart = performance.now();
+    await this.advanceSimulation(this.clock, frameTime, true);
+    if (this.disposed) return;
+    this.simulationTime += performance.now() - simulationStart;
+    if (this.ui) this.ui.updateTime(this.getTime(), this.clock.droppedTime);
+
+    this.renderFrame();
+    this.timer.endFrame();
+    this.renderedFrames++;
+    this.updateFPS();
+    if (this.timer.enabled && this.ui) this.ui.updateDiagnostics(this.getDiagnostics());
+  }
+
+  /**
+   * Moves the camera by a frame: along the playing camera path, else with the
+   * controls of the camera mode
+   */
+  updateCamera(frameTime) {
+    if (this.pathPlayback) {
+      this.advanceCameraPath(frameTime);
+    } else if (this.cameraMode === 'fly') {
+      if (this.galaxySimulation) this.galaxySimulation.getCenter(this.flyControls.center);
+      this.flyControls.update(frameTime);
+    } else {
+      this.controls.update();
+    }
+  }
+
+  /**
+   * Updates the galaxies in the fixed steps a clock hands out for a frame;
+   * without any, only pending init shaders run
+   *
+   * @param {SimulationClock} clock - Clock deciding the steps
+   * @param {number} frameTime - Seconds the frame covers
+   * @param {boolean} interactive - Whether pressed pointers apply the interaction tool
+   */
+  async advanceSimulation(clock, frameTime, interactive) {
+    // The background twinkles in frame time, also while paused
+    this.skybox.advance(frameTime);
+
+    // Only the perPass compute submission hands back a promise (see GalaxyScenario.submit)
+    const steps = clock.advance(frameTime);
+    if (steps === 0) {
+      await this.scenario.initialize(this.renderer, this.timer);
+    }
+    for (let i = 0; i < steps && !this.disposed; i++) {
+      await this.scenario.update(this.renderer, clock.deltaTime, this.getInteraction(interactive), this.timer);
+    }
+  }
+
+  /**
+   * Renders the scene, through the bloom pass once it exists
+   */
+  renderFrame() {
+    if (this.postProcessing) {
+      this.updateLensing();
+      this.timer.render('render', () => this.postProcessing.render());
+    } else {
+      this.timer.render('render', () => this.renderer.render(this.scene, this.camera));
+    }
+  }
+
+  /**
+   * Points the lensing pass at the central black hole of every galaxy, as seen
+   * by the camera this frame (view offsets of capture tiles included)
+   */
+  updateLensing() {
+    const galaxies = this.scenario ? this.scenario.galaxies : [];
+    const center = new THREE.Vector3();
+    this.camera.updateMatrixWorld();
+    this.lenses.forEach((lens, index) => {
+      const simulation = galaxies[index];
+      const mass = simulation ? getCentralMass(simulation.config) : 0;
+      if (simulation) simulation.getCenter(center);
+      updateLens(lens, this.camera, center, mass, this.config.lensingStrength);
+    });
+  }
+
+  /**
+   * Matches the canvas and camera to the container size
+   */
+  resize() {
+    if (this.recording) return; // The recording size holds until it ends
+    const { width, height } = this.getSize();
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+  }
+
+  getSize() {
+    return {
+      width: this.container.clientWidth || 1,
+      height: this.container.clientHeight || 1
+    };
+  }
+
+  /**
+   * Stops rendering and releases every resource: GPU buffers, materials,
+   * textures, listeners, the UI and the canvas
+   */
+  dispose() {
+    if (this.disposed) return;
+    this.stop();
+    this.disposed = true;
+
+    clearTimeout(this.urlUpdateTimer);
+    this.resizeObserver.disconnect();
+
+    const canvas = this.renderer.domElement;
+    Object.entries(this.inputListeners).forEach(([type, listener]) => canvas.removeEventListener(type, listener));
+    if (this.keyListener) canvas.removeEventListener('keydown', this.keyListener);
+    this.controls.dispose();
+    this.flyControls.dispose();
+
+    this.timer.dispose();
+    this.scenario.dispose();
+    this.skybox.dispose();
+    this.cloudTexture.dispose();
+
+    if (this.scenePass) this.scenePass.dispose();
+    if (this.bloomPassNode) this.bloomPassNode.dispose();
+    if (this.postProcessing) this.postProcessing.dispose();
+    if (this.ui) this.ui.dispose();
+
+    this.renderer.dispose();
+    canvas.remove();
+    this.listeners = {};
+  }
+}